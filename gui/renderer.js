@@ -4,9 +4,22 @@
 // ============ State ============
 let files = [];
 let isCompressing = false;
+let isWatching = false;
 let availableEncoders = { nvenc: false, qsv: false, cpu: true };
 let eventSource = null;
 
+// Containers each encoder can write to (first = default), mirrors ENCODER_CONFIGS
+const ENCODER_CONTAINERS = {
+    nvenc: ['mp4', 'mkv'],
+    amf: ['mp4', 'mkv'],
+    qsv: ['mp4', 'mkv'],
+    x264: ['mp4', 'mkv'],
+    x265: ['mp4', 'mkv'],
+    svtav1: ['webm', 'mkv', 'mp4'],
+    aom: ['webm', 'mkv', 'mp4'],
+    vp9: ['webm', 'mkv', 'mp4']
+};
+
 // ============ DOM Elements ============
 const $ = (id) => document.getElementById(id);
 
@@ -28,10 +41,25 @@ async function init() {
     // Sliders
     $('quality-slider').oninput = () => $('quality-value').textContent = $('quality-slider').value;
     $('crf-slider').oninput = () => $('crf-value').textContent = $('crf-slider').value;
+    $('auto-crf').onchange = () => {
+        $('crf-slider').disabled = $('auto-crf').checked;
+        $('crf-value').textContent = $('auto-crf').checked ? 'Auto' : $('crf-slider').value;
+    };
+
+    // Switch container to the encoder's native one and disable incompatible ones
+    document.querySelectorAll('input[name="encoder"]').forEach(radio => {
+        radio.onchange = updateContainerOptions;
+    });
+
+    // Presets
+    $('btn-preset-apply').onclick = () => applyPreset($('preset-select').value);
+    $('btn-preset-save').onclick = savePreset;
 
     // Action buttons
     $('btn-start').onclick = startCompression;
+    $('btn-plan').onclick = previewPlan;
     $('btn-cancel').onclick = cancelCompression;
+    $('watch-folder').onchange = () => ($('watch-folder').checked ? startWatch() : stopWatch());
 
     // Make folder inputs editable
     $('input-folder').removeAttribute('readonly');
@@ -42,6 +70,9 @@ async function init() {
     // Detect encoders
     await detectEncoders();
 
+    // Config file defaults go under everything the user picks afterwards
+    await loadPresets(true);
+
     // Connect SSE for real-time updates
     connectSSE();
 
@@ -65,12 +96,19 @@ function connectSSE() {
 
     eventSource.addEventListener('file-complete', (e) => {
         const data = JSON.parse(e.data);
-        updateFileStatus(data.index, 'completed', { savings: data.savings });
+        updateFileStatus(data.index, 'completed', {
+            savings: data.savings,
+            quality: data.quality,
+            autoCrf: data.autoCrf ? data.crf : null,
+            autoQuality: data.autoQuality,
+            metadata: data.metadata
+        });
     });
 
     eventSource.addEventListener('file-error', (e) => {
         const data = JSON.parse(e.data);
         updateFileStatus(data.index, 'failed');
+        if (isWatching && files[data.index]) addWatchLog(`✗ ${files[data.index].name}: ${data.error || 'failed'}`);
     });
 
     eventSource.addEventListener('overall-progress', (e) => {
@@ -84,6 +122,43 @@ function connectSSE() {
         const data = JSON.parse(e.data);
         showSummary(data);
         finishCompression();
+        if (isWatching) addWatchLog(`✅ ${data.success} done, ${data.failed} failed, ${formatBytes(Math.max(0, data.totalSaved || 0))} saved`);
+        if (data.error) {
+            if (isWatching) addWatchLog(`✗ Batch stopped: ${data.error}`);
+            else alert('Compression stopped: ' + data.error);
+        }
+    });
+
+    // Watch mode: the server adds files to the list as they arrive and compresses them in batches
+    eventSource.addEventListener('watch-start', (e) => {
+        const data = JSON.parse(e.data);
+        isWatching = true;
+        files = [];
+        renderFileList();
+        $('watch-folder').checked = true;
+        $('watch-section').style.display = 'block';
+        $('progress-section').style.display = 'block';
+        $('watch-status').textContent = `👀 Watching ${data.folder}`;
+        $('btn-scan').disabled = true; // A scan would replace the list the watch adds to
+        addWatchLog(`👀 Watching ${data.folder}`);
+        updateStartButton();
+    });
+
+    eventSource.addEventListener('watch-file', (e) => {
+        const data = JSON.parse(e.data);
+        files[data.index] = { ...data.file, status: 'pending' };
+        renderFileList();
+        addWatchLog(`📥 ${data.file.name} (${data.file.sizeFormatted})`);
+    });
+
+    eventSource.addEventListener('watch-stop', (e) => {
+        const data = JSON.parse(e.data);
+        isWatching = false;
+        $('watch-folder').checked = false;
+        $('watch-status').textContent = `Stopped watching (${data.files} file(s) seen)`;
+        $('btn-scan').disabled = false;
+        addWatchLog(`🛑 Stopped watching ${data.folder}`);
+        updateStartButton();
     });
 
     eventSource.addEventListener('cancelled', () => {
@@ -121,6 +196,16 @@ async function detectEncoders() {
             $('encoder-qsv-label').style.opacity = '0.5';
         }
 
+        // Software AV1/VP9 depend on the FFmpeg build
+        ['svtav1', 'aom', 'vp9'].forEach(key => {
+            $(`${key}-badge`).textContent = availableEncoders[key] ? '✓' : '✗';
+            $(`${key}-badge`).className = 'encoder-badge ' + (availableEncoders[key] ? 'available' : 'unavailable');
+            if (!availableEncoders[key]) {
+                document.querySelector(`input[value="${key}"]`).disabled = true;
+                $(`encoder-${key}-label`).style.opacity = '0.5';
+            }
+        });
+
         // Auto-select the best available encoder
         let bestEncoder = 'x264'; // Default fallback
         if (availableEncoders.nvenc) bestEncoder = 'nvenc';
@@ -131,11 +216,25 @@ async function detectEncoders() {
         if (radioToSelect) {
             radioToSelect.checked = true;
         }
+        updateContainerOptions();
     } catch (error) {
         console.error('Failed to detect encoders:', error);
     }
 }
 
+function updateContainerOptions() {
+    const encoder = document.querySelector('input[name="encoder"]:checked')?.value;
+    const supported = ENCODER_CONTAINERS[encoder] || ['mp4', 'mkv'];
+
+    document.querySelectorAll('input[name="container"]').forEach(radio => {
+        radio.disabled = !supported.includes(radio.value);
+        $(`container-${radio.value}-label`).style.opacity = radio.disabled ? '0.5' : '1';
+    });
+
+    // Default to the encoder's native container whenever the encoder changes
+    document.querySelector(`input[name="container"][value="${supported[0]}"]`).checked = true;
+}
+
 // ============ Folder Selection ============
 async function promptForPath(type) {
     let newPath = null;
@@ -167,6 +266,166 @@ async function promptForPath(type) {
     }
 }
 
+// ============ Presets ============
+// Preset option (CLI name, as in the config file) → GUI control: a radio group by name, else an element by id
+const PRESET_CONTROLS = {
+    recursive: { id: 'recursive-scan' },
+    flatten: { id: 'flatten-output' },
+    renameOnly: { id: 'rename-only' },
+    dedupe: { id: 'dedupe-action' },
+    imageFormat: { radio: 'image-format' },
+    quality: { id: 'quality-slider' },
+    imageTargetSize: { id: 'image-target-size' },
+    allowDownscale: { id: 'allow-downscale' },
+    autoQuality: { id: 'auto-quality' },
+    animation: { id: 'animation-mode' },
+    imageMode: { id: 'image-mode' },
+    palette: { id: 'png-palette' },
+    icc: { id: 'icc-mode' },
+    maxWidth: { id: 'max-width' },
+    maxHeight: { id: 'max-height' },
+    maxMegapixels: { id: 'max-megapixels' },
+    fit: { id: 'image-fit' },
+    encoder: { radio: 'encoder' },
+    container: { radio: 'container' },
+    crf: { id: 'crf-slider' },
+    videoTargetSize: { id: 'video-target-size' },
+    maxFps: { id: 'max-fps' },
+    hdr: { radio: 'hdr' },
+    verify: { id: 'verify-quality' },
+    scoreMetric: { id: 'score-metric' },
+    minScore: { id: 'min-score' },
+    rejectLowScore: { id: 'reject-low-score' },
+    autoCrf: { id: 'auto-crf' },
+    targetScore: { id: 'target-score' },
+    audio: { radio: 'audio-mode' },
+    audioCodec: { id: 'audio-codec' },
+    audioBitrate: { id: 'audio-bitrate' },
+    downmix: { id: 'audio-downmix' },
+    normalize: { id: 'audio-normalize' },
+    efficient: { id: 'skip-efficient' },
+    metadata: { id: 'metadata-policy' }
+};
+
+// GUI values that mean "not set" (left out of saved presets)
+const UNSET_VALUES = { dedupe: 'off', audioCodec: 'default' };
+
+let presets = [];
+
+async function loadPresets(applyDefaults) {
+    try {
+        const folder = $('input-folder').value;
+        const response = await fetch(`/api/presets?folder=${encodeURIComponent(folder)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        renderPresets(data);
+        if (applyDefaults) setControls(data.defaults);
+    } catch (error) {
+        $('preset-source').textContent = `⚠ ${error.message.split('\n')[0]}`;
+        $('preset-source').title = error.message;
+    }
+}
+
+function renderPresets(data) {
+    presets = data.presets;
+    const selected = $('preset-select').value;
+    // Names and descriptions come from the config file, so they are set as text, not parsed as HTML
+    $('preset-select').innerHTML = '<option value="">Custom</option>';
+    for (const preset of presets) {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.title = preset.description || '';
+        option.textContent = `${preset.name}${preset.source === 'builtin' ? ' (built-in)' : ''}`;
+        $('preset-select').appendChild(option);
+    }
+    $('preset-select').value = presets.some(p => p.name === selected) ? selected : '';
+    $('preset-source').textContent = data.configPath ? `Config: ${data.configPath}` : 'No config file';
+    $('preset-source').title = '';
+}
+
+function applyPreset(name) {
+    const preset = presets.find(p => p.name === name);
+    if (preset) setControls(preset.options);
+}
+
+// Set GUI controls from preset options (options without a control are CLI-only and ignored)
+function setControls(options) {
+    // The encoder resets the container to its native one, so it goes first
+    const keys = Object.keys(options).sort((a, b) => (b === 'encoder') - (a === 'encoder'));
+    for (const key of keys) {
+        const control = PRESET_CONTROLS[key];
+        const value = options[key];
+        if (!control) continue;
+
+        if (control.radio) {
+            const radio = document.querySelector(`input[name="${control.radio}"][value="${value}"]`);
+            if (radio && !radio.disabled) radio.checked = true;
+            if (key === 'encoder') updateContainerOptions();
+            continue;
+        }
+
+        const element = $(control.id);
+        if (key === 'efficient') {
+            element.checked = value === 'skip';
+        } else if (element.type === 'checkbox') {
+            element.checked = Boolean(value);
+        } else if (element.tagName === 'SELECT') {
+            if ([...element.options].some(option => option.value === String(value))) element.value = String(value);
+        } else {
+            element.value = value;
+        }
+    }
+
+    // Labels and dependent controls follow their inputs
+    $('quality-value').textContent = $('quality-slider').value;
+    $('auto-crf').onchange();
+}
+
+// Current GUI settings as preset options
+function getPresetOptions() {
+    const options = {};
+    for (const [key, control] of Object.entries(PRESET_CONTROLS)) {
+        let value;
+        if (control.radio) {
+            value = document.querySelector(`input[name="${control.radio}"]:checked`)?.value;
+        } else if (key === 'efficient') {
+            value = $(control.id).checked ? 'skip' : 'encode';
+        } else if ($(control.id).type === 'checkbox') {
+            value = $(control.id).checked;
+        } else {
+            value = $(control.id).value.trim();
+        }
+        if (value === undefined || value === '' || value === UNSET_VALUES[key]) continue;
+        options[key] = value;
+    }
+    return options;
+}
+
+async function savePreset() {
+    const name = $('preset-name').value.trim();
+    if (!name) {
+        alert('Enter a name for the preset first');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/presets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ folder: $('input-folder').value, name: name, options: getPresetOptions() })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        renderPresets(data);
+        $('preset-select').value = name;
+        $('preset-name').value = '';
+    } catch (error) {
+        alert('Error saving preset: ' + error.message);
+    }
+}
+
 // ============ File Scanning ============
 async function scanFolder() {
     const folderPath = $('input-folder').value.trim();
@@ -188,7 +447,8 @@ async function scanFolder() {
             body: JSON.stringify({
                 folderPath: folderPath,
                 recursive: $('recursive-scan').checked,
-                fileType: fileType
+                fileType: fileType,
+                findDuplicates: $('find-duplicates').checked
             })
         });
 
@@ -202,6 +462,8 @@ async function scanFolder() {
 
         renderFileList();
         updateStartButton();
+        // The input folder may have its own config file
+        loadPresets(false);
     } catch (error) {
         alert('Error scanning folder: ' + error.message);
     } finally {
@@ -222,20 +484,64 @@ function renderFileList() {
 
     const imageCount = files.filter(f => f.type === 'image').length;
     const videoCount = files.filter(f => f.type === 'video').length;
-    fileCount.textContent = `${files.length} files (${imageCount} images, ${videoCount} videos)`;
+    const duplicateCount = files.filter(f => f.duplicate).length;
+    fileCount.textContent = `${files.length} files (${imageCount} images, ${videoCount} videos${duplicateCount ? `, ${duplicateCount} duplicates` : ''})`;
 
     fileList.innerHTML = files.map((file, index) => `
         <div class="file-item" id="file-${index}">
             <span class="file-icon">${file.type === 'image' ? '🖼️' : '🎬'}</span>
             <div class="file-info">
                 <div class="file-name" title="${file.name}">${file.name}</div>
-                <div class="file-size">${file.sizeFormatted}</div>
+                <div class="file-size">${file.sizeFormatted}${getDuplicateText(file)}</div>
+                ${getPlanHtml(file)}
             </div>
             <span class="file-status status-${file.status}">${getStatusText(file.status)}</span>
         </div>
     `).join('');
 }
 
+function getDuplicateText(file) {
+    if (file.duplicate) {
+        const match = file.duplicate.match === 'exact' ? 'exact copy' : 'near duplicate';
+        return ` · ${match} of ${file.duplicate.of.split(/[\\/]/).pop()}`;
+    }
+    return file.bestCopy ? ' · best copy' : '';
+}
+
+// Short names of the capture date sources in a plan
+const DATE_SOURCES = {
+    'takeout-json': 'Takeout JSON',
+    'exif': 'EXIF',
+    'exif-datetime': 'EXIF DateTime',
+    'video-metadata': 'video metadata',
+    'file-mtime': 'file date'
+};
+
+function getPlanHtml(file) {
+    const plan = file.plan;
+    if (!plan) return '';
+    if (plan.action === 'error') return `<div class="file-plan plan-collision">✗ ${plan.error}</div>`;
+    if (plan.action === 'duplicate') {
+        return `<div class="file-plan">≡ duplicate, ${plan.movedTo ? 'moved to _duplicates' : 'skipped'}</div>`;
+    }
+
+    const outputRoot = $('output-folder').value;
+    const output = plan.output && plan.output.startsWith(outputRoot)
+        ? plan.output.slice(outputRoot.length).replace(/^[\\/]/, '')
+        : plan.output || '?';
+    const parts = [`→ ${output}`];
+    if (plan.action === 'unchanged') parts.push('unchanged, skipped');
+    else if (plan.action !== 'compress') parts.push(plan.action);
+    if (plan.conversion) parts.push(`${plan.conversion} → ${output.split('.').pop()}`);
+    if (plan.captureDate) parts.push(`${plan.captureDate} (${DATE_SOURCES[plan.dateSource] || plan.dateSource})`);
+
+    const collisions = plan.collisions.length > 0
+        ? ` <span class="plan-collision">⚠ ${plan.collisions.length} collision(s)</span>`
+        : '';
+    const title = plan.collisions.map(c => `${c.path.split(/[\\/]/).pop()}: ${c.reason === 'exists' ? 'already exists' : `taken by ${c.source.split(/[\\/]/).pop()}`}`).join('\n');
+    return `<div class="file-plan" title="${title}">${parts.join(' · ')}${collisions}</div>`;
+}
+
 function getStatusText(status) {
     switch (status) {
         case 'pending': return 'Waiting';
@@ -271,6 +577,25 @@ function updateFileStatus(index, status, extras = {}) {
         statusEl.innerHTML = `✓ ${extras.savings}`;
         statusEl.classList.add('file-savings');
     }
+
+    if (extras.autoCrf !== null && extras.autoCrf !== undefined) {
+        statusEl.innerHTML += ` · CRF ${extras.autoCrf}`;
+    }
+
+    if (extras.autoQuality) {
+        statusEl.innerHTML += ` · q${extras.autoQuality.quality} SSIM ${extras.autoQuality.score.toFixed(3)}`;
+        if (!extras.autoQuality.met) statusEl.classList.add('status-warning');
+    }
+
+    if (extras.quality && extras.quality.score !== null) {
+        const score = extras.quality.metric === 'ssim' ? extras.quality.score.toFixed(4) : extras.quality.score.toFixed(1);
+        statusEl.innerHTML += ` · ${extras.quality.metric.toUpperCase()} ${score}`;
+        if (extras.quality.passed === false) statusEl.classList.add('status-warning');
+    }
+
+    if (extras.metadata && extras.metadata.verified) {
+        statusEl.innerHTML += ' · no GPS';
+    }
 }
 
 function scrollToFile(index) {
@@ -282,13 +607,85 @@ function scrollToFile(index) {
 
 // ============ Compression ============
 function updateStartButton() {
-    $('btn-start').disabled = !$('input-folder').value || !$('output-folder').value || files.length === 0;
+    $('btn-start').disabled = !$('input-folder').value || !$('output-folder').value || files.length === 0 || isWatching;
+    $('btn-plan').disabled = $('btn-start').disabled || isCompressing;
+}
+
+// Settings sent to /api/compress and /api/plan
+function getRunSettings() {
+    return {
+        outputFolder: $('output-folder').value,
+        inputFolder: $('input-folder').value,
+        encoder: document.querySelector('input[name="encoder"]:checked').value,
+        container: document.querySelector('input[name="container"]:checked').value,
+        imageFormat: document.querySelector('input[name="image-format"]:checked').value,
+        quality: $('quality-slider').value,
+        imageTargetSize: $('image-target-size').value.trim(),
+        allowDownscale: $('allow-downscale').checked,
+        autoQuality: $('auto-quality').checked,
+        animation: $('animation-mode').value,
+        imageMode: $('image-mode').value,
+        palette: $('png-palette').checked,
+        icc: $('icc-mode').value,
+        crf: $('crf-slider').value,
+        videoTargetSize: $('video-target-size').value.trim(),
+        maxWidth: $('max-width').value,
+        maxHeight: $('max-height').value,
+        maxFps: $('max-fps').value,
+        maxMegapixels: $('max-megapixels').value,
+        fit: $('image-fit').value,
+        hdr: document.querySelector('input[name="hdr"]:checked').value,
+        verify: $('verify-quality').checked,
+        scoreMetric: $('score-metric').value,
+        minScore: $('min-score').value,
+        rejectLowScore: $('reject-low-score').checked,
+        audioMode: document.querySelector('input[name="audio-mode"]:checked').value,
+        audioCodec: $('audio-codec').value,
+        audioBitrate: $('audio-bitrate').value,
+        downmix: $('audio-downmix').checked,
+        normalizeAudio: $('audio-normalize').checked,
+        autoCrf: $('auto-crf').checked,
+        efficient: $('skip-efficient').checked ? 'skip' : 'encode',
+        targetScore: $('target-score').value,
+        metadata: $('metadata-policy').value,
+        flatten: $('flatten-output').checked,
+        renameOnly: $('rename-only').checked,
+        force: $('force-reprocess').checked,
+        dedupe: $('dedupe-action').value,
+        categoryByYear: $('category-by-year').checked
+    };
+}
+
+// Dry run: show each file's output path, capture date, conversion and collisions without writing
+async function previewPlan() {
+    if (files.length === 0 || isCompressing) return;
+
+    $('btn-plan').disabled = true;
+    try {
+        const response = await fetch('/api/plan', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ files: files, ...getRunSettings() })
+        });
+        const plan = await response.json();
+        if (!response.ok) throw new Error(plan.error || 'Planning failed');
+
+        plan.entries.forEach(entry => { files[entry.index].plan = entry; });
+        renderFileList();
+        const { summary } = plan;
+        $('file-count').textContent += ` · plan: ${summary.renamed} renamed, ${summary.conversions} converted, ${summary.collisions} collision(s)`;
+    } catch (error) {
+        alert('Error planning run: ' + error.message);
+    } finally {
+        updateStartButton();
+    }
 }
 
 async function startCompression() {
     if (files.length === 0 || isCompressing) return;
 
     isCompressing = true;
+    $('btn-plan').disabled = true;
     $('btn-start').style.display = 'none';
     $('btn-cancel').style.display = 'inline-flex';
     $('progress-section').style.display = 'block';
@@ -305,24 +702,11 @@ async function startCompression() {
         updateFileStatus(i, 'pending');
     });
 
-    const encoder = document.querySelector('input[name="encoder"]:checked').value;
-
     try {
         const response = await fetch('/api/compress', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                files: files,
-                outputFolder: $('output-folder').value,
-                inputFolder: $('input-folder').value,
-                encoder: encoder,
-                imageFormat: document.querySelector('input[name="image-format"]:checked').value,
-                quality: $('quality-slider').value,
-                crf: $('crf-slider').value,
-                flatten: $('flatten-output').checked,
-                renameOnly: $('rename-only').checked,
-                categoryByYear: $('category-by-year').checked
-            })
+            body: JSON.stringify({ files: files, ...getRunSettings() })
         });
 
         if (!response.ok) {
@@ -339,6 +723,7 @@ function finishCompression() {
     isCompressing = false;
     $('btn-start').style.display = 'inline-flex';
     $('btn-cancel').style.display = 'none';
+    updateStartButton();
 }
 
 async function cancelCompression() {
@@ -349,6 +734,52 @@ async function cancelCompression() {
     }
 }
 
+// ============ Watch Mode ============
+async function startWatch() {
+    if (!$('input-folder').value || !$('output-folder').value) {
+        alert('Please enter the input and output folders first');
+        $('watch-folder').checked = false;
+        return;
+    }
+
+    $('watch-log').innerHTML = '';
+    try {
+        const response = await fetch('/api/watch/start', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...getRunSettings(),
+                fileType: document.querySelector('input[name="file-type"]:checked').value
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Watch failed');
+        }
+    } catch (error) {
+        alert('Error starting watch: ' + error.message);
+        $('watch-folder').checked = false;
+    }
+}
+
+async function stopWatch() {
+    try {
+        await fetch('/api/watch/stop', { method: 'POST' });
+    } catch (error) {
+        console.error('Failed to stop watching:', error);
+    }
+}
+
+// Running log of the watch, newest line last
+function addWatchLog(message) {
+    const log = $('watch-log');
+    const line = document.createElement('div');
+    line.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
+    log.appendChild(line);
+    log.scrollTop = log.scrollHeight;
+}
+
 function showSummary(results) {
     $('summary-section').style.display = 'block';
 
@@ -364,6 +795,7 @@ function showSummary(results) {
 
     const encoder = document.querySelector('input[name="encoder"]:checked').value;
     $('stat-encoder').textContent = encoder.toUpperCase();
+    $('stat-skipped').textContent = `${results.skipped || 0} skipped`;
 }
 
 function formatBytes(bytes) {
@@ -10,7 +10,13 @@ const fs = require('fs');
 // Import compression modules
 const { compressImage } = require('./src/imageCompressor');
 const { compressVideo, detectAvailableEncoders } = require('./src/videoCompressor');
-const { isImage, isVideo, getFilesRecursive, formatFileSize, setFileMetadata, getCaptureDate, formatDateForFilename, normalizeOutputExtension, IMAGE_EXTENSIONS, VIDEO_EXTENSIONS } = require('./src/utils');
+const { getDefaultContainer, getEncoderConfig } = require('./src/hwEncoder');
+const { openManifest, saveManifest, hashSettings, checkFile, planCheckFile, reserveOutput, recordFile, recordFailure } = require('./src/processingManifest');
+const { findDuplicates, moveDuplicates, isInDuplicatesFolder } = require('./src/dedupe');
+const { createPlanReserver, createPlanEntry, getPlannedAction, getConversion, summarizePlan } = require('./src/runPlan');
+const { findConfigFile, loadConfig, listPresets, savePreset } = require('./src/config');
+const { watchFolder } = require('./src/watcher');
+const { isImage, isVideo, isRawImage, getFilesRecursive, formatFileSize, setFileMetadata, getCaptureDateInfo, formatDateForFilename, normalizeOutputExtension, IMAGE_EXTENSIONS, VIDEO_EXTENSIONS } = require('./src/utils');
 
 const app = express();
 const PORT = 3847; // Random port to avoid conflicts
@@ -30,6 +36,13 @@ let compressionState = {
     results: null
 };
 
+// Folder watch started from the GUI (one at a time): ready files are compressed in batches
+// { watcher, inputFolder, settings (compress request body), files, queue (indices into files), running }
+let watchState = null;
+
+// How long a watch batch waits for a run started with Start Compression to finish
+const WATCH_RETRY_MS = 2000;
+
 // SSE clients for real-time updates
 let sseClients = [];
 
@@ -52,15 +65,15 @@ app.get('/api/encoders', async (req, res) => {
 });
 
 // Scan folder for media files
-app.post('/api/scan', (req, res) => {
-    const { folderPath, recursive, fileType } = req.body;
+app.post('/api/scan', async (req, res) => {
+    const { folderPath, recursive, fileType, findDuplicates: withDuplicates } = req.body;
 
     if (!folderPath || !fs.existsSync(folderPath)) {
         return res.status(400).json({ error: 'Invalid folder path' });
     }
 
     try {
-        // Build filter based on fileType
+        // Build filter based on fileType (files moved aside by dedupe stay out)
         let filter;
         if (fileType === 'image') {
             filter = (f) => isImage(f);
@@ -69,6 +82,8 @@ app.post('/api/scan', (req, res) => {
         } else {
             filter = (f) => isImage(f) || isVideo(f);
         }
+        const typeFilter = filter;
+        filter = (f) => typeFilter(f) && !isInDuplicatesFolder(path.relative(folderPath, f));
 
         let files;
         if (recursive) {
@@ -94,6 +109,18 @@ app.post('/api/scan', (req, res) => {
             };
         });
 
+        // Duplicate groups: each duplicate points at the best copy it would be dropped for
+        if (withDuplicates) {
+            const dedupe = await findDuplicates(files);
+            const byPath = new Map(result.map(f => [f.path, f]));
+            for (const group of dedupe.groups) {
+                byPath.get(group.keep).bestCopy = true;
+                for (const duplicate of group.duplicates) {
+                    byPath.get(duplicate.path).duplicate = { of: group.keep, match: duplicate.match, distance: duplicate.distance };
+                }
+            }
+        }
+
         res.json(result);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -102,7 +129,7 @@ app.post('/api/scan', (req, res) => {
 
 // Start compression
 app.post('/api/compress', async (req, res) => {
-    const { files, outputFolder, inputFolder, encoder, imageFormat, quality, crf, flatten, renameOnly, categoryByYear } = req.body;
+    const { files, outputFolder, inputFolder, encoder, imageFormat, quality, crf, flatten, renameOnly, categoryByYear, force, dedupe } = req.body;
 
     if (compressionState.isRunning) {
         return res.status(400).json({ error: 'Compression already in progress' });
@@ -113,35 +140,439 @@ app.post('/api/compress', async (req, res) => {
         return res.status(400).json({ error: 'No files to compress' });
     }
 
+    const { videoOptions, imageOptions } = getRunOptions(req.body);
+    const renameOnlyError = checkRenameOnlyMetadata(renameOnly, imageOptions);
+    if (renameOnlyError) {
+        return res.status(400).json({ error: renameOnlyError });
+    }
+
+    // An unavailable AV1/VP9 encoder without a fallback for the container would fail every video
+    if (!renameOnly && files.some(f => f.type === 'video')) {
+        try {
+            await getEncoderConfig(encoder, videoOptions.container);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+
     // Ensure output folder exists
-    if (!fs.existsSync(outputFolder)) {
-        fs.mkdirSync(outputFolder, { recursive: true });
+    try {
+        if (!fs.existsSync(outputFolder)) {
+            fs.mkdirSync(outputFolder, { recursive: true });
+        }
+    } catch (error) {
+        return res.status(400).json({ error: `Can't create the output folder: ${error.message}` });
     }
 
     // Start compression in background
+    startCompressionState(files.length);
+
+    res.json({ status: 'started', total: files.length });
+
+    // Process files (force = redo files the manifest says are unchanged; dedupe = off, report, skip or move)
+    processFiles(files, outputFolder, inputFolder, encoder, imageFormat, parseInt(quality), parseInt(crf), flatten, renameOnly, categoryByYear, videoOptions, imageOptions, Boolean(force), dedupe || 'off');
+});
+
+/**
+ * Rename only copies most files unchanged, so a metadata policy other than 'keep' can't be applied to them
+ * @param {boolean} renameOnly - Rename-only run
+ * @param {Object} imageOptions - From getRunOptions
+ * @returns {string|null} - Error message, null when the run may start
+ */
+function checkRenameOnlyMetadata(renameOnly, imageOptions) {
+    if (!renameOnly || imageOptions.metadata === 'keep') return null;
+    return `Rename only copies files unchanged and can't apply the "${imageOptions.metadata}" metadata policy (use keep, or compress)`;
+}
+
+/**
+ * Reset the progress state for a new run
+ * @param {number} total - Files in the run
+ */
+function startCompressionState(total) {
     compressionState = {
         isRunning: true,
         shouldCancel: false,
         currentFile: null,
         progress: 0,
         processed: 0,
-        total: files.length,
+        total,
         results: {
             success: 0,
             failed: 0,
+            skipped: 0,
             totalOriginal: 0,
             totalCompressed: 0,
             startTime: Date.now()
         }
     };
+}
 
-    res.json({ status: 'started', total: files.length });
+// Watch the input folder: files that arrive (and those already there) are compressed once completely written
+// Settings are those of /api/compress; progress streams over the usual SSE events, new files as watch-file
+app.post('/api/watch/start', async (req, res) => {
+    const { inputFolder, outputFolder, fileType, newOnly, encoder, renameOnly } = req.body;
+
+    if (!inputFolder || !fs.existsSync(inputFolder)) {
+        return res.status(400).json({ error: 'Invalid folder path' });
+    }
+    if (!outputFolder) {
+        return res.status(400).json({ error: 'No output folder' });
+    }
+    const renameOnlyError = checkRenameOnlyMetadata(renameOnly, getRunOptions(req.body).imageOptions);
+    if (renameOnlyError) {
+        return res.status(400).json({ error: renameOnlyError });
+    }
+    if (!renameOnly && fileType !== 'image') {
+        try {
+            await getEncoderConfig(encoder, getRunOptions(req.body).videoOptions.container);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+    if (watchState) {
+        return res.status(400).json({ error: `Already watching ${watchState.inputFolder}` });
+    }
+
+    let filter = (f) => isImage(f) || isVideo(f);
+    if (fileType === 'image') filter = (f) => isImage(f);
+    else if (fileType === 'video') filter = (f) => isVideo(f);
+
+    const watch = { inputFolder, settings: req.body, files: [], queue: [], running: false };
+    watch.watcher = watchFolder(inputFolder, {
+        filter,
+        ignore: [outputFolder],
+        includeExisting: !newOnly,
+        onReady: (filePaths) => addWatchedFiles(watch, filePaths),
+        onError: (error) => console.error(`   Watch: ${error.message}`)
+    });
+    watchState = watch;
+
+    console.log(`👀 Watching ${inputFolder}`);
+    sendSSE('watch-start', { folder: inputFolder });
+    res.json({ status: 'watching', folder: inputFolder });
+});
+
+// Stop watching (a batch in progress is cancelled like a normal run)
+app.post('/api/watch/stop', (req, res) => {
+    if (!watchState) {
+        return res.json({ status: 'idle' });
+    }
+
+    const watch = watchState;
+    watchState = null;
+    watch.watcher.close();
+    if (watch.running) compressionState.shouldCancel = true;
 
-    // Process files
-    processFiles(files, outputFolder, inputFolder, encoder, imageFormat, parseInt(quality), parseInt(crf), flatten, renameOnly, categoryByYear);
+    console.log(`🛑 Stopped watching ${watch.inputFolder} (${watch.files.length} file(s) seen)`);
+    sendSSE('watch-stop', { folder: watch.inputFolder, files: watch.files.length });
+    res.json({ status: 'stopped', files: watch.files.length });
 });
 
-async function processFiles(files, outputFolder, inputFolder, encoder, imageFormat, quality, crf, flatten, renameOnly, categoryByYear) {
+/**
+ * Announce files the watcher found ready and queue them for compression
+ * @param {Object} watch - Watch state they belong to
+ * @param {string[]} filePaths - Completely written files
+ */
+function addWatchedFiles(watch, filePaths) {
+    if (watchState !== watch) return;
+
+    for (const filePath of filePaths) {
+        let size;
+        try {
+            size = fs.statSync(filePath).size;
+        } catch (error) {
+            continue; // Gone again before it could be queued
+        }
+        const file = {
+            path: filePath,
+            name: path.basename(filePath),
+            type: isImage(filePath) ? 'image' : 'video',
+            size,
+            sizeFormatted: formatFileSize(size)
+        };
+        const index = watch.files.push(file) - 1;
+        watch.queue.push(index);
+        sendSSE('watch-file', { index, file });
+    }
+    runWatchQueue(watch);
+}
+
+/**
+ * Compress the queued files of a watch, batch after batch, until the queue is empty
+ * The GUI's file list is the watch's list, so SSE indices continue from batch to batch.
+ * @param {Object} watch - Watch state
+ */
+async function runWatchQueue(watch) {
+    if (watch.running || watchState !== watch) return;
+    if (compressionState.isRunning) {
+        setTimeout(() => runWatchQueue(watch), WATCH_RETRY_MS);
+        return;
+    }
+
+    watch.running = true;
+    try {
+        await runWatchBatches(watch);
+    } catch (error) {
+        console.error(`❌ Watch batch failed: ${error.message}`);
+    } finally {
+        watch.running = false;
+    }
+}
+
+/**
+ * Compress the queue of a watch in batches until it is empty (or the watch stopped)
+ * @param {Object} watch - Watch state
+ */
+async function runWatchBatches(watch) {
+    while (watch.queue.length > 0 && watchState === watch) {
+        const batch = watch.queue.splice(0);
+        const { outputFolder, inputFolder, encoder, imageFormat, quality, crf, flatten, renameOnly, categoryByYear, force } = watch.settings;
+        const { videoOptions, imageOptions } = getRunOptions(watch.settings);
+
+        console.log(`👀 ${batch.length} new file(s) in ${inputFolder}`);
+        startCompressionState(batch.length);
+        await processFiles(batch.map(index => watch.files[index]), outputFolder, inputFolder, encoder, imageFormat, parseInt(quality), parseInt(crf), flatten, renameOnly, categoryByYear, videoOptions, imageOptions, Boolean(force), 'off', batch[0]);
+    }
+}
+
+// Presets: the built-in ones plus those of the config file for the input folder (or the server's folder)
+app.get('/api/presets', (req, res) => {
+    try {
+        res.json(getPresetList(req.query.folder));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Save a preset to that config file (a new mediasquash.config.json in the folder when there is none)
+app.post('/api/presets', (req, res) => {
+    const { folder, name, description, options } = req.body;
+
+    try {
+        const dir = getConfigFolder(folder);
+        const configPath = findConfigFile(dir);
+        // A config that doesn't validate is left for the user to fix, not rewritten
+        loadConfig(configPath);
+        const savedTo = savePreset(configPath, dir, name, { description, ...options });
+        console.log(`⚙️  Saved preset "${name}" to ${savedTo}`);
+        res.json({ ...getPresetList(folder), savedTo });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * Folder the GUI's config is looked up from: the input folder, else where the server runs
+ * @param {string} folder - Input folder (may be empty)
+ * @returns {string}
+ */
+function getConfigFolder(folder) {
+    return folder && fs.existsSync(folder) ? folder : process.cwd();
+}
+
+/**
+ * Presets and defaults of the config for a folder
+ * @param {string} folder - Input folder (may be empty)
+ * @returns {Object} - { configPath, defaults, presets }
+ */
+function getPresetList(folder) {
+    const config = loadConfig(findConfigFile(getConfigFolder(folder)));
+    return { configPath: config.path, defaults: config.defaults, presets: listPresets(config) };
+}
+
+// Dry run: what /api/compress would do with the same settings, without writing anything
+app.post('/api/plan', async (req, res) => {
+    const { files, outputFolder, inputFolder, encoder, imageFormat, quality, crf, flatten, renameOnly, categoryByYear, force, dedupe } = req.body;
+
+    if (!files || files.length === 0) {
+        return res.status(400).json({ error: 'No files to plan' });
+    }
+
+    try {
+        const { videoOptions, imageOptions } = getRunOptions(req.body);
+        const entries = await planFiles(files, outputFolder, inputFolder, encoder, imageFormat, parseInt(quality), parseInt(crf), flatten, renameOnly, categoryByYear, videoOptions, imageOptions, Boolean(force), dedupe || 'off');
+        res.json({ entries, summary: summarizePlan(entries) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Build compressVideo and compressImage options from a compress/plan request body
+ * @param {Object} body - Request body
+ * @returns {Object} - { videoOptions, imageOptions }
+ */
+function getRunOptions(body) {
+    const { encoder, videoTargetSize, maxWidth, maxHeight, maxFps, container, hdr, verify, minScore, scoreMetric, rejectLowScore, autoCrf, targetScore, streams, languages, audioMode, audioCodec, audioBitrate, downmix, normalizeAudio, efficient, efficiencyThreshold, maxMegapixels, fit, imageTargetSize, allowDownscale, autoQuality, targetSsim, metadata, animation, imageMode, palette, icc } = body;
+
+    // Extra video settings passed straight through to compressVideo
+    const videoOptions = {
+        container: container || getDefaultContainer(encoder),
+        targetSize: videoTargetSize || null,
+        maxWidth: parseInt(maxWidth) || null,
+        maxHeight: parseInt(maxHeight) || null,
+        maxFps: parseFloat(maxFps) || null,
+        hdr: hdr || 'auto',
+        verify: Boolean(verify || minScore),
+        scoreMetric: scoreMetric || 'vmaf',
+        minScore: parseFloat(minScore) || null,
+        rejectLowScore: Boolean(rejectLowScore),
+        autoCrf: Boolean(autoCrf),
+        targetScore: parseFloat(targetScore) || null,
+        streams: streams || 'all',
+        languages: Array.isArray(languages) ? languages : String(languages || '').split(',').map(l => l.trim()).filter(Boolean),
+        audioMode: audioMode || 'auto',
+        // 'default' keeps the encoder profile's codec (AAC, or Opus for AV1/VP9)
+        ...(audioCodec && audioCodec !== 'default' ? { audioCodec } : {}),
+        ...(audioBitrate ? { audioBitrate } : {}),
+        downmix: Boolean(downmix),
+        normalizeAudio: Boolean(normalizeAudio),
+        efficient: efficient || 'skip',
+        efficiencyThreshold: efficiencyThreshold ? parseFloat(efficiencyThreshold) : null,
+        metadata: metadata || 'keep'
+    };
+
+    // Image resize limits (max width/height are shared with videos) and target size
+    const imageOptions = {
+        maxWidth: parseInt(maxWidth) || null,
+        maxHeight: parseInt(maxHeight) || null,
+        maxMegapixels: parseFloat(maxMegapixels) || null,
+        fit: fit || 'inside',
+        targetSize: imageTargetSize || null,
+        allowDownscale: Boolean(allowDownscale),
+        autoQuality: Boolean(autoQuality),
+        targetSsim: parseFloat(targetSsim) || null,
+        imageMode: imageMode || 'auto',
+        palette: Boolean(palette),
+        icc: icc || 'srgb',
+        metadata: metadata || 'keep',
+        // Large animated GIFs become video with the video encoder and container
+        animation: animation || 'auto',
+        container: videoOptions.container
+    };
+
+    return { videoOptions, imageOptions };
+}
+
+/**
+ * Work out where a file goes before collisions: named after its capture date, in a year folder,
+ * the output root (flatten) or its mirrored subfolder
+ * @param {Object} file - Scanned file { path }
+ * @param {string} outputFolder - Output root
+ * @param {string} inputFolder - Input root (for mirrored subfolders)
+ * @param {string} imageFormat - Image output format
+ * @param {string} container - Video output container
+ * @param {boolean} flatten - Everything in the output root
+ * @param {boolean} categoryByYear - Year folders
+ * @returns {Promise<Object>} - { outputPath, dateInfo } (dateInfo from getCaptureDateInfo, or null)
+ */
+async function resolveOutputPath(file, outputFolder, inputFolder, imageFormat, container, flatten, categoryByYear) {
+    // Get capture date (falls back to file modified date)
+    let dateInfo = null;
+    let yearFolder = null;
+    try {
+        dateInfo = await getCaptureDateInfo(file.path);
+    } catch {
+        // Use file mtime as last resort
+        try {
+            dateInfo = { date: fs.statSync(file.path).mtime, source: 'file-mtime' };
+        } catch { }
+    }
+    const captureDate = dateInfo ? dateInfo.date : null;
+
+    // Generate new filename based on date
+    const ext = path.extname(file.path);
+
+    // Use normalizeOutputExtension to determine output format
+    const tempOutputPath = normalizeOutputExtension(file.path, imageFormat, container);
+    const outputExt = path.extname(tempOutputPath);
+
+    let newFilename;
+    if (captureDate) {
+        const baseName = formatDateForFilename(captureDate);
+        newFilename = baseName + outputExt;
+        yearFolder = captureDate.getFullYear().toString();
+    } else {
+        // No date available, keep original name but still apply normalization
+        const originalName = path.basename(file.path, ext);
+        newFilename = originalName + outputExt;
+        yearFolder = 'other';
+    }
+
+    // Calculate output path based on options
+    let outputPath;
+    if (flatten || categoryByYear) {
+        if (categoryByYear && yearFolder) {
+            outputPath = path.join(outputFolder, yearFolder, newFilename);
+        } else {
+            outputPath = path.join(outputFolder, newFilename);
+        }
+    } else {
+        // Preserve subfolder structure but still rename file
+        const relativePath = path.relative(inputFolder, file.path);
+        const relativeDir = path.dirname(relativePath);
+        outputPath = path.join(outputFolder, relativeDir, newFilename);
+    }
+
+    return { outputPath, dateInfo };
+}
+
+/**
+ * Handle duplicate filenames by adding a counter (name_1.webp, name_2.webp, ...)
+ * @param {string} outputPath - Preferred output path
+ * @param {Function} reserve - (path) → true when the path may be used
+ * @returns {string}
+ */
+function claimOutputPath(outputPath, reserve) {
+    if (reserve(outputPath)) return outputPath;
+
+    const outputExt = path.extname(outputPath);
+    const baseNoExt = path.basename(outputPath, outputExt);
+    const dir = path.dirname(outputPath);
+    let candidate;
+    let counter = 1;
+    do {
+        candidate = path.join(dir, `${baseNoExt}_${counter}${outputExt}`);
+        counter++;
+    } while (!reserve(candidate));
+    return candidate;
+}
+
+/**
+ * Settings hashes per file type, compared with the manifest to find unchanged files
+ * @returns {Object} - { image, video }
+ */
+function getSettingsHashes(imageFormat, quality, crf, encoder, flatten, renameOnly, categoryByYear, videoOptions, imageOptions) {
+    const layout = { imageFormat, flatten: Boolean(flatten), renameOnly: Boolean(renameOnly), categoryByYear: Boolean(categoryByYear) };
+    return {
+        image: hashSettings({ layout, image: { ...imageOptions, quality, encoder, crf } }),
+        video: hashSettings({ layout, video: { ...videoOptions, encoder, crf } })
+    };
+}
+
+/**
+ * Run a compression in the background and always end it: the GUI gets 'complete' and
+ * a new run (or the next watch batch) may start, even when the run stopped on an error
+ * Takes the same arguments as compressFiles.
+ */
+async function processFiles(...args) {
+    try {
+        await compressFiles(...args);
+    } catch (error) {
+        // e.g. an output folder the manifest can't be written to
+        console.error(`❌ Run stopped: ${error.message}`);
+        compressionState.results.error = error.message;
+    } finally {
+        compressionState.results.endTime = Date.now();
+        compressionState.results.duration = (compressionState.results.endTime - compressionState.results.startTime) / 1000;
+        compressionState.results.totalSaved = compressionState.results.totalOriginal - compressionState.results.totalCompressed;
+
+        sendSSE('complete', compressionState.results);
+        compressionState.isRunning = false;
+    }
+}
+
+async function compressFiles(files, outputFolder, inputFolder, encoder, imageFormat, quality, crf, flatten, renameOnly, categoryByYear, videoOptions = {}, imageOptions = {}, force = false, dedupe = 'off', firstIndex = 0) {
     // Dynamic concurrency based on CPU cores
     const os = require('os');
     const cpuCount = os.cpus().length;
@@ -161,73 +592,45 @@ async function processFiles(files, outputFolder, inputFolder, encoder, imageForm
     console.log(`⚡ Dynamic concurrency: ${IMAGE_CONCURRENCY} images, ${VIDEO_CONCURRENCY} videos (${cpuCount} CPU cores detected)`);
     console.log(`   Video threads per worker: ${THREADS_PER_VIDEO} (GPU encoding, threads for decoding)`);
 
+    // Processing manifest: skips files unchanged since an earlier run, reruns overwrite their own outputs
+    const manifest = openManifest(outputFolder);
+    const settingsHashes = getSettingsHashes(imageFormat, quality, crf, encoder, flatten, renameOnly, categoryByYear, videoOptions, imageOptions);
+
     // Helper to process a single file
     async function processSingleFile(file, index) {
         if (compressionState.shouldCancel) return null;
 
-        // Get capture date (falls back to file modified date)
-        let captureDate = null;
-        let yearFolder = null;
+        let check;
         try {
-            captureDate = await getCaptureDate(file.path);
-        } catch {
-            // Use file mtime as last resort
-            try {
-                const stats = fs.statSync(file.path);
-                captureDate = stats.mtime;
-            } catch { }
+            check = await checkFile(manifest, file.path, settingsHashes[file.type]);
+        } catch (error) {
+            sendSSE('file-error', { index, error: error.message });
+            return { success: false };
         }
-
-        // Generate new filename based on date
-        const ext = path.extname(file.path);
-        const extLower = ext.toLowerCase();
-
-        // Use normalizeOutputExtension to determine output format
-        let tempOutputPath = normalizeOutputExtension(file.path, imageFormat);
-        let outputExt = path.extname(tempOutputPath);
-
-        let newFilename;
-        if (captureDate) {
-            const baseName = formatDateForFilename(captureDate);
-            newFilename = baseName + outputExt;
-            yearFolder = captureDate.getFullYear().toString();
-        } else {
-            // No date available, keep original name but still apply normalization
-            const originalName = path.basename(file.path, ext);
-            newFilename = originalName + outputExt;
-            yearFolder = 'other';
+        if (check.status === 'unchanged' && !force) {
+            const entry = check.entry;
+            sendSSE('file-complete', { index, savings: 'Unchanged (skipped)', skipped: 'unchanged', originalSize: entry.originalSize, compressedSize: entry.compressedSize });
+            return { success: true, result: { unchanged: true, skipped: 'unchanged' } };
         }
 
-        // Calculate output path based on options
+        // Output path named after the capture date, with a counter on collisions
+        // (reserved in the manifest right away, a path this file wrote in an earlier run is reused)
+        // (reserving may write the manifest, and the folder may not be creatable: both fail only this file)
+        const extLower = path.extname(file.path).toLowerCase();
+        const reserve = (candidate) => reserveOutput(manifest, file.path, candidate, check);
         let outputPath;
-        if (flatten || categoryByYear) {
-            if (categoryByYear && yearFolder) {
-                outputPath = path.join(outputFolder, yearFolder, newFilename);
-            } else {
-                outputPath = path.join(outputFolder, newFilename);
-            }
-        } else {
-            // Preserve subfolder structure but still rename file
-            const relativePath = path.relative(inputFolder, file.path);
-            const relativeDir = path.dirname(relativePath);
-            outputPath = path.join(outputFolder, relativeDir, newFilename);
-        }
+        try {
+            const target = await resolveOutputPath(file, outputFolder, inputFolder, imageFormat, videoOptions.container, flatten, categoryByYear);
+            outputPath = claimOutputPath(target.outputPath, reserve);
 
-        // Handle duplicate filenames by adding counter
-        if (fs.existsSync(outputPath)) {
-            let counter = 1;
-            const baseNoExt = newFilename.slice(0, -outputExt.length);
-            while (fs.existsSync(outputPath)) {
-                const uniqueName = `${baseNoExt}_${counter}${outputExt}`;
-                outputPath = path.join(path.dirname(outputPath), uniqueName);
-                counter++;
+            // Ensure parent directory exists
+            const parentDir = path.dirname(outputPath);
+            if (!fs.existsSync(parentDir)) {
+                fs.mkdirSync(parentDir, { recursive: true });
             }
-        }
-
-        // Ensure parent directory exists
-        const parentDir = path.dirname(outputPath);
-        if (!fs.existsSync(parentDir)) {
-            fs.mkdirSync(parentDir, { recursive: true });
+        } catch (error) {
+            sendSSE('file-error', { index, error: error.message });
+            return { success: false };
         }
 
         sendSSE('file-start', { index, name: file.name, type: file.type });
@@ -237,11 +640,11 @@ async function processFiles(files, outputFolder, inputFolder, encoder, imageForm
             const originalSize = fs.statSync(file.path).size;
 
             if (renameOnly) {
-                // HEIC/HEIF files must be converted even in renameOnly mode
-                // because HEIC binary format must be decoded to the target format (WebP/JPEG/AVIF)
-                if (extLower === '.heic' || extLower === '.heif') {
-                    result = await compressImage(file.path, outputPath, { quality });
-                    result.savings = 'Converted from HEIC';
+                // HEIC/HEIF and RAW files must be converted even in renameOnly mode
+                // because their binary formats must be decoded to the target format (WebP/JPEG/AVIF)
+                if (extLower === '.heic' || extLower === '.heif' || isRawImage(file.path)) {
+                    result = await compressImage(file.path, outputPath, { quality, metadata: imageOptions.metadata, icc: imageOptions.icc });
+                    result.savings = `Converted from ${isRawImage(file.path) ? 'RAW' : 'HEIC'}`;
                 } else {
                     // Other formats: just copy with new extension
                     fs.copyFileSync(file.path, outputPath);
@@ -253,9 +656,11 @@ async function processFiles(files, outputFolder, inputFolder, encoder, imageForm
                     };
                 }
             } else if (file.type === 'image') {
-                result = await compressImage(file.path, outputPath, { quality });
+                // An animation written as a video or WebP reserves that path too
+                result = await compressImage(file.path, outputPath, { ...imageOptions, quality, encoder, crf, reserve });
             } else {
                 result = await compressVideo(file.path, outputPath, {
+                    ...videoOptions,
                     encoder: encoder,
                     crf: crf,
                     threads: THREADS_PER_VIDEO,  // Use calculated optimal threads
@@ -266,14 +671,33 @@ async function processFiles(files, outputFolder, inputFolder, encoder, imageForm
             }
 
             if (!renameOnly) {
-                setFileMetadata(file.path, outputPath);
+                // Animations may have been written as a video or WebP next to the planned path
+                setFileMetadata(file.path, result.output || outputPath);
             }
+            recordFile(manifest, file.path, settingsHashes[file.type], [result.output || outputPath], result);
 
             sendSSE('file-complete', {
                 index,
                 savings: result.savings,
                 originalSize: result.originalSize,
-                compressedSize: result.compressedSize
+                compressedSize: result.compressedSize,
+                resolution: result.resolution,
+                originalResolution: result.originalResolution,
+                hdr: result.hdr,
+                hdrNote: result.hdrNote,
+                // Videos report metric scores, images the encoder quality setting they ended up with
+                quality: file.type === 'video' ? result.quality : null,
+                imageQuality: file.type === 'image' ? result.quality : null,
+                autoQuality: result.autoQuality || null,
+                crf: result.crf,
+                autoCrf: result.autoCrf,
+                audio: result.audio,
+                skipped: result.skipped || null,
+                efficiency: result.efficiency || null,
+                metadata: result.metadata || null,
+                animation: result.animation || null,
+                encoding: result.encoding || null,
+                colourSpace: result.colourSpace || null
             });
 
             return { success: true, result };
@@ -281,6 +705,7 @@ async function processFiles(files, outputFolder, inputFolder, encoder, imageForm
             // Log detailed error for debugging
             // Error might be an object with 'error' property from videoCompressor
             const errorMsg = error?.error || error?.message || JSON.stringify(error);
+            recordFailure(manifest, file.path);
             console.error(`\n❌ COMPRESSION FAILED: ${file.name}`);
             console.error(`   Input: ${file.path}`);
             console.error(`   Output: ${outputPath}`);
@@ -295,14 +720,16 @@ async function processFiles(files, outputFolder, inputFolder, encoder, imageForm
                         console.error(`   Cleaned up partial file`);
                     }
                 } catch { }
-            } else {
+            } else if (imageOptions.metadata === 'keep' && !getConversion(file.path)) {
                 // For image files, try to copy original as fallback
+                // (not under a metadata policy - the original still has its location,
+                // and not for RAW/HEIC - their bytes under an image extension are unreadable)
                 try {
                     fs.copyFileSync(file.path, outputPath);
                     setFileMetadata(file.path, outputPath);
                 } catch { }
             }
-            sendSSE('file-error', { index, error: error.message || 'Unknown error' });
+            sendSSE('file-error', { index, error: errorMsg || 'Unknown error', quality: error?.quality });
             return { success: false };
         }
     }
@@ -320,10 +747,15 @@ async function processFiles(files, outputFolder, inputFolder, encoder, imageForm
             // Update progress immediately when each item completes
             if (res) {
                 compressionState.processed++;
-                if (res.success) {
+                if (res.success && res.result.unchanged) {
+                    // Done in an earlier run, not part of this run's totals
+                    compressionState.results.success++;
+                    compressionState.results.skipped++;
+                } else if (res.success) {
                     compressionState.results.success++;
                     compressionState.results.totalOriginal += res.result.originalSize;
                     compressionState.results.totalCompressed += res.result.compressedSize;
+                    if (res.result.skipped) compressionState.results.skipped++;
                 } else {
                     compressionState.results.failed++;
                 }
@@ -364,11 +796,34 @@ async function processFiles(files, outputFolder, inputFolder, encoder, imageForm
         return Promise.all(results);
     }
 
-    // Separate images and videos with their original indices
+    // Duplicates are found before anything is compressed; skip/move leave them out of the run
+    const dropped = new Set();
+    if (dedupe !== 'off') {
+        try {
+            const found = await findDuplicates(files.map(f => f.path));
+            console.log(`🔍 Duplicates: ${found.groups.length} group(s), ${found.duplicates.length} duplicate(s), ${formatFileSize(found.reclaimable)} reclaimable`);
+            sendSSE('duplicates', { action: dedupe, groups: found.groups, reclaimable: found.reclaimable });
+
+            if (dedupe === 'skip' || dedupe === 'move') {
+                if (dedupe === 'move') moveDuplicates(found.duplicates, inputFolder);
+                found.duplicates.forEach(duplicate => dropped.add(duplicate));
+            }
+        } catch (error) {
+            console.error(`   Duplicate check failed: ${error.message}`);
+        }
+    }
+
+    // Separate images and videos with their original indices (a watch batch continues the GUI's list at firstIndex)
     const images = [];
     const videos = [];
-    files.forEach((file, index) => {
-        if (file.type === 'image') {
+    files.forEach((file, position) => {
+        const index = firstIndex + position;
+        if (dropped.has(file.path)) {
+            compressionState.processed++;
+            compressionState.results.success++;
+            compressionState.results.skipped++;
+            sendSSE('file-complete', { index, savings: dedupe === 'move' ? 'Duplicate (moved)' : 'Duplicate (skipped)', skipped: 'duplicate' });
+        } else if (file.type === 'image') {
             images.push({ file, index });
         } else {
             videos.push({ file, index });
@@ -383,13 +838,72 @@ async function processFiles(files, outputFolder, inputFolder, encoder, imageForm
     // Then process videos using worker pool
     await processWithWorkerPool(videos, VIDEO_CONCURRENCY);
 
-    // Done
-    compressionState.results.endTime = Date.now();
-    compressionState.results.duration = (compressionState.results.endTime - compressionState.results.startTime) / 1000;
-    compressionState.results.totalSaved = compressionState.results.totalOriginal - compressionState.results.totalCompressed;
+    // The manifest is written in batches during the run (cancelled ones too), the rest now
+    saveManifest(manifest);
+}
+
+/**
+ * Plan a run the way compressFiles would do it, without writing anything (manifest included)
+ * Takes the same arguments as compressFiles.
+ * @returns {Promise<Object[]>} - Plan entries (createPlanEntry) with each file's index, in file order
+ */
+async function planFiles(files, outputFolder, inputFolder, encoder, imageFormat, quality, crf, flatten, renameOnly, categoryByYear, videoOptions = {}, imageOptions = {}, force = false, dedupe = 'off') {
+    const manifest = openManifest(outputFolder, { readOnly: true });
+    const planner = createPlanReserver(manifest);
+    const settingsHashes = getSettingsHashes(imageFormat, quality, crf, encoder, flatten, renameOnly, categoryByYear, videoOptions, imageOptions);
+
+    // Duplicates skipped or moved aside never get an output
+    const dropped = new Map(); // Duplicate path → { of, movedTo }
+    if (dedupe === 'skip' || dedupe === 'move') {
+        try {
+            const found = await findDuplicates(files.map(f => f.path));
+            const moves = dedupe === 'move' ? moveDuplicates(found.duplicates, inputFolder, undefined, { dryRun: true }) : [];
+            for (const group of found.groups) {
+                group.duplicates.forEach(duplicate => dropped.set(duplicate.path, {
+                    of: group.keep,
+                    movedTo: (moves.find(move => move.from === duplicate.path) || {}).to || null
+                }));
+            }
+        } catch (error) {
+            console.error(`   Duplicate check failed: ${error.message}`);
+        }
+    }
+
+    // Images claim their output paths before videos, as in compressFiles
+    const entries = new Array(files.length);
+    const ordered = files.map((file, index) => ({ file, index }))
+        .sort((a, b) => (a.file.type === 'image' ? 0 : 1) - (b.file.type === 'image' ? 0 : 1));
+
+    for (const { file, index } of ordered) {
+        try {
+            const duplicate = dropped.get(file.path);
+            if (duplicate) {
+                entries[index] = { index, ...createPlanEntry(file.path, null, { type: file.type, action: 'duplicate', duplicateOf: duplicate.of, movedTo: duplicate.movedTo }) };
+                continue;
+            }
+
+            const check = await planCheckFile(manifest, file.path, settingsHashes[file.type]);
+            const target = await resolveOutputPath(file, outputFolder, inputFolder, imageFormat, videoOptions.container, flatten, categoryByYear);
+            if (check.status === 'unchanged' && !force) {
+                entries[index] = { index, ...createPlanEntry(file.path, check.entry.outputs[0] || null, { type: file.type, action: 'unchanged', dateInfo: target.dateInfo }) };
+                continue;
+            }
 
-    sendSSE('complete', compressionState.results);
-    compressionState.isRunning = false;
+            const outputPath = claimOutputPath(target.outputPath, planner.reserveFor(file.path));
+            entries[index] = {
+                index,
+                ...createPlanEntry(file.path, outputPath, {
+                    type: file.type,
+                    action: getPlannedAction(file.path, renameOnly),
+                    dateInfo: target.dateInfo,
+                    collisions: planner.collisionsOf(file.path)
+                })
+            };
+        } catch (error) {
+            entries[index] = { index, ...createPlanEntry(file.path, null, { type: file.type, action: 'error' }), error: error.message };
+        }
+    }
+    return entries;
 }
 
 // Cancel compression
@@ -405,7 +919,8 @@ app.get('/api/status', (req, res) => {
         currentFile: compressionState.currentFile,
         progress: compressionState.progress,
         processed: compressionState.processed,
-        total: compressionState.total
+        total: compressionState.total,
+        watching: watchState ? watchState.inputFolder : null
     });
 });
 
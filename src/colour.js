@@ -0,0 +1,162 @@
+/**
+ * Colour Management Module
+ *
+ * Decides what happens to the source's ICC colour profile:
+ * - srgb: convert the pixels to sRGB and embed an sRGB profile (default, displays the same everywhere)
+ * - keep: leave the pixels in the source colour space and embed the source profile (e.g. Display P3)
+ *
+ * Profiles are also read to report the source and output colour spaces.
+ */
+
+const sharp = require('sharp');
+
+const ICC_MODES = ['srgb', 'keep'];
+
+// ICC data colour spaces whose profiles can be kept on RGB/greyscale output (CMYK etc. are always converted)
+const KEEPABLE_ICC_SPACES = ['RGB', 'GRAY'];
+
+// Sharp colour space names for untagged images
+const SPACE_NAMES = {
+    srgb: 'sRGB',
+    rgb16: 'sRGB',
+    cmyk: 'CMYK',
+    'b-w': 'Greyscale',
+    grey16: 'Greyscale'
+};
+
+// Descriptions of libvips' compact built-in profiles
+const PROFILE_ALIASES = {
+    sP3C: 'Display P3'
+};
+
+// HEIF nclx colour primaries (ITU-T H.273) → Sharp built-in profile (null = sRGB, no profile needed)
+const NCLX_PRIMARIES = {
+    1: null, // BT.709, same primaries as sRGB
+    12: 'p3' // SMPTE EG 432-1, Display P3
+};
+
+// Built-in profiles extracted from Sharp, by name
+const builtinProfiles = {};
+
+/**
+ * Validate an ICC mode
+ * @param {string} mode - Mode name (undefined = 'srgb')
+ * @returns {string} - The mode
+ */
+function resolveIccMode(mode) {
+    const resolved = mode || 'srgb';
+    if (!ICC_MODES.includes(resolved)) {
+        throw new Error(`Invalid ICC mode "${mode}" (expected ${ICC_MODES.join(', ')})`);
+    }
+    return resolved;
+}
+
+/**
+ * Read the description of an ICC profile (e.g. "Display P3")
+ * Handles both v2 'desc' (ASCII) and v4 'mluc' (UTF-16, first record) description tags.
+ * @param {Buffer} icc - ICC profile bytes
+ * @returns {Object|null} - { name, space } (space = ICC data colour space, e.g. 'RGB'), null when unreadable
+ */
+function describeIccProfile(icc) {
+    if (!icc || icc.length < 132 || icc.toString('latin1', 36, 40) !== 'acsp') return null;
+
+    const space = icc.toString('latin1', 16, 20).trim();
+    const tagCount = icc.readUInt32BE(128);
+    let name = null;
+
+    for (let i = 0; i < tagCount && 144 + i * 12 <= icc.length; i++) {
+        const entry = 132 + i * 12;
+        if (icc.toString('latin1', entry, entry + 4) !== 'desc') continue;
+
+        const offset = icc.readUInt32BE(entry + 4);
+        const size = icc.readUInt32BE(entry + 8);
+        if (offset + size > icc.length || size < 12) break;
+
+        const type = icc.toString('latin1', offset, offset + 4);
+        if (type === 'desc') {
+            const length = icc.readUInt32BE(offset + 8);
+            name = icc.toString('latin1', offset + 12, Math.min(offset + 12 + length, offset + size));
+        } else if (type === 'mluc' && size >= 28) {
+            const length = icc.readUInt32BE(offset + 20);
+            const start = offset + icc.readUInt32BE(offset + 24);
+            const text = icc.subarray(start, Math.min(start + length, offset + size));
+            // UTF-16BE: swap to little-endian for Node's decoder
+            name = Buffer.from(text).swap16().toString('utf16le');
+        }
+        break;
+    }
+
+    name = (name || '').replace(/\0+$/, '').trim();
+    return { name: PROFILE_ALIASES[name] || name || `${space} ICC profile`, space };
+}
+
+/**
+ * Describe the colour space of an image from its Sharp metadata
+ * @param {Object} metadata - Sharp metadata (icc, space)
+ * @returns {string} - Profile name, or the colour space with "(untagged)"
+ */
+function getColourSpace(metadata) {
+    const profile = describeIccProfile(metadata.icc);
+    if (profile) return profile.name;
+    return `${SPACE_NAMES[metadata.space] || metadata.space || 'unknown'} (untagged)`;
+}
+
+/**
+ * Whether a source profile can be kept as-is (RGB and greyscale profiles; untagged sources stay untagged)
+ * @param {Buffer|undefined} icc - Source ICC profile
+ * @returns {boolean}
+ */
+function canKeepProfile(icc) {
+    const profile = describeIccProfile(icc);
+    return !profile || KEEPABLE_ICC_SPACES.includes(profile.space);
+}
+
+/**
+ * Apply a colour mode to a Sharp pipeline (after applyImageMetadata)
+ * @param {Object} pipeline - Sharp pipeline
+ * @param {string} mode - 'srgb' or 'keep'
+ * @param {string} policy - Metadata policy ('strip' writes no profile for sRGB, untagged means sRGB)
+ * @returns {Object} - Sharp pipeline
+ */
+function applyColourProfile(pipeline, mode, policy) {
+    if (mode === 'keep') {
+        return pipeline.keepIccProfile();
+    }
+    return policy === 'strip' ? pipeline : pipeline.withIccProfile('srgb');
+}
+
+/**
+ * Get the bytes of one of Sharp's built-in ICC profiles ('srgb', 'p3', 'cmyk')
+ * @param {string} name - Profile name
+ * @returns {Promise<Buffer>}
+ */
+async function getBuiltinProfile(name) {
+    if (!builtinProfiles[name]) {
+        const tagged = await sharp({ create: { width: 1, height: 1, channels: 3, background: '#000000' } })
+            .withIccProfile(name)
+            .png()
+            .toBuffer();
+        builtinProfiles[name] = (await sharp(tagged).metadata()).icc;
+    }
+    return builtinProfiles[name];
+}
+
+/**
+ * Build the ICC profile for HEIF nclx colour information
+ * @param {number} primaries - nclx colour primaries code
+ * @returns {Promise<Buffer|null>} - Profile bytes, null for sRGB or unsupported primaries
+ */
+async function getNclxProfile(primaries) {
+    const name = NCLX_PRIMARIES[primaries];
+    return name ? getBuiltinProfile(name) : null;
+}
+
+module.exports = {
+    resolveIccMode,
+    describeIccProfile,
+    getColourSpace,
+    canKeepProfile,
+    applyColourProfile,
+    getNclxProfile,
+    ICC_MODES
+};
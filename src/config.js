@@ -0,0 +1,356 @@
+/**
+ * Config Module
+ *
+ * Project config shared by the CLI and the GUI: `.mediasquashrc` or `mediasquash.config.json` (both JSON),
+ * taken from the given folder or the nearest parent folder that has one.
+ *   {
+ *     "defaults": { "quality": 85, "recursive": true },
+ *     "presets": { "archive": { "description": "Keep forever", "imageFormat": "avif", "crf": 20 } }
+ *   }
+ * Option names are the CLI's, camelCased: --max-width → "maxWidth", --no-manifest → "manifest": false.
+ * Target sizes are named by kind (imageTargetSize, videoTargetSize), --target-size means either depending on the command.
+ * Settings merge in this order: CLI flags over the preset (--preset-name) over the file's defaults.
+ * The presets "archive", "web" and "whatsapp" are built in; a file can replace them or add its own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSize, parseTime } = require('./utils');
+const { ICC_MODES } = require('./colour');
+const { DEDUPE_ACTIONS } = require('./dedupe');
+const { ENCODER_CONFIGS } = require('./hwEncoder');
+const { IMAGE_MODES, ANIMATION_MODES, RESIZE_FITS } = require('./imageCompressor');
+const { METADATA_POLICIES } = require('./metadata');
+
+// Config file names, in lookup order; a preset saved without a config file creates the last one
+const CONFIG_FILES = ['.mediasquashrc', 'mediasquash.config.json'];
+
+// Preset names: usable as a CLI argument without quoting
+const PRESET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Options a config may set → type and allowed values
+// (run-time flags like --dry-run, --force or trim times stay on the command line)
+const OPTION_SCHEMA = {
+    output: { type: 'string' },
+    recursive: { type: 'boolean' },
+    flatten: { type: 'boolean' },
+    organize: { type: 'boolean' },
+    rename: { type: 'boolean' },
+    renameOnly: { type: 'boolean' },
+    manifest: { type: 'boolean' },
+    jobs: { type: 'integer', min: 1 },
+    // Images
+    quality: { type: 'integer', min: 1, max: 100 },
+    imageFormat: { type: 'string', values: ['jpeg', 'webp', 'avif', 'png'] },
+    maxWidth: { type: 'integer', min: 1 },
+    maxHeight: { type: 'integer', min: 1 },
+    maxMegapixels: { type: 'number', min: 0.01 },
+    fit: { type: 'string', values: RESIZE_FITS },
+    imageTargetSize: { type: 'size' },
+    allowDownscale: { type: 'boolean' },
+    autoQuality: { type: 'boolean' },
+    targetSsim: { type: 'number', min: 0, max: 1 },
+    heicImage: { type: 'integer', min: 1 },
+    imageMode: { type: 'string', values: IMAGE_MODES },
+    palette: { type: 'boolean' },
+    colours: { type: 'integer', min: 2, max: 256 },
+    dither: { type: 'number', min: 0, max: 1 },
+    icc: { type: 'string', values: ICC_MODES },
+    animation: { type: 'string', values: ANIMATION_MODES },
+    metadata: { type: 'string', values: METADATA_POLICIES },
+    // Videos
+    crf: { type: 'integer', min: 0, max: 63 },
+    videoTargetSize: { type: 'size' },
+    preset: { type: 'string' },
+    encoder: { type: 'string', values: ['auto', ...Object.keys(ENCODER_CONFIGS)] },
+    container: { type: 'string', values: ['mp4', 'mkv', 'webm'] },
+    maxFps: { type: 'number', min: 1 },
+    hdr: { type: 'string', values: ['auto', 'preserve', 'tonemap'] },
+    verify: { type: 'boolean' },
+    minScore: { type: 'number', min: 0 },
+    scoreMetric: { type: 'string', values: ['vmaf', 'ssim', 'psnr'] },
+    rejectLowScore: { type: 'boolean' },
+    autoCrf: { type: 'boolean' },
+    targetScore: { type: 'number', min: 0 },
+    streams: { type: 'string', values: ['all', 'first'] },
+    languages: { type: 'list' },
+    audio: { type: 'string', values: ['auto', 'copy', 'encode'] },
+    audioCodec: { type: 'string', values: ['aac', 'opus', 'mp3'] },
+    audioBitrate: { type: 'string', pattern: /^\d+k$/i, hint: 'a bitrate like "128k"' },
+    downmix: { type: 'boolean' },
+    normalize: { type: 'boolean' },
+    efficient: { type: 'string', values: ['skip', 'remux', 'encode'] },
+    efficiencyThreshold: { type: 'number', min: 0 },
+    trimMode: { type: 'string', values: ['precise', 'fast'] },
+    segment: { type: 'time' },
+    // Duplicates
+    dedupe: { type: 'string', values: DEDUPE_ACTIONS },
+    dedupeThreshold: { type: 'number', min: 0, max: 64 },
+    threshold: { type: 'number', min: 0, max: 64 },
+    exactOnly: { type: 'boolean' },
+    action: { type: 'string', values: DEDUPE_ACTIONS.filter(action => action !== 'skip') },
+    moveTo: { type: 'string' },
+    // Web image sets
+    widths: { type: 'list' },
+    formats: { type: 'list' },
+    sizes: { type: 'string' },
+    baseUrl: { type: 'string' },
+    // Watching
+    stableTime: { type: 'time' },
+    newOnly: { type: 'boolean' },
+    log: { type: 'string' }
+};
+
+// Presets available without a config file
+const BUILTIN_PRESETS = {
+    archive: {
+        description: 'Long-term storage: high-quality AVIF and HEVC, all metadata kept',
+        imageFormat: 'avif',
+        quality: 90,
+        encoder: 'x265',
+        crf: 20,
+        hdr: 'preserve',
+        metadata: 'keep'
+    },
+    web: {
+        description: 'Websites: WebP and H.264 up to 2560px, metadata stripped',
+        imageFormat: 'webp',
+        quality: 80,
+        maxWidth: 2560,
+        maxHeight: 2560,
+        encoder: 'x264',
+        crf: 26,
+        maxFps: 30,
+        metadata: 'strip'
+    },
+    whatsapp: {
+        description: 'Chat attachments: JPEG and MP4 at 1280px, videos under 16MB, no location',
+        imageFormat: 'jpeg',
+        quality: 80,
+        maxWidth: 1280,
+        maxHeight: 1280,
+        encoder: 'x264',
+        container: 'mp4',
+        videoTargetSize: '16MB',
+        maxFps: 30,
+        audioBitrate: '96k',
+        metadata: 'strip-location'
+    }
+};
+
+/**
+ * Find the config file for a folder (the folder itself, then its parents)
+ * @param {string} startDir - Folder to start in (default: working directory)
+ * @returns {string|null} - Config path, or null without one
+ */
+function findConfigFile(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+    while (true) {
+        for (const name of CONFIG_FILES) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Check one option against the schema
+ * @param {string} key - Option name
+ * @param {*} value - Value from the config
+ * @returns {Object} - { value } (normalized) or { error }
+ */
+function validateOption(key, value) {
+    const rule = OPTION_SCHEMA[key];
+    if (!rule) return { error: key === 'targetSize' ? 'is ambiguous (use imageTargetSize or videoTargetSize)' : 'is not a known option' };
+
+    switch (rule.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+        case 'integer':
+        case 'number': {
+            // Numeric strings are accepted, the GUI sends form values as text
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !isFinite(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+                return { error: `must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}` };
+            }
+            if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+                return { error: `must be between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}` };
+            }
+            return { value: number };
+        }
+        case 'size':
+            return parseSize(value) ? { value: String(value) } : { error: 'must be a size like "500KB" or "25MB"' };
+        case 'time':
+            return parseTime(value) ? { value: String(value) } : { error: 'must be seconds or [hh:]mm:ss' };
+        case 'list': {
+            const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+            if (!items || items.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+                return { error: 'must be a list or a comma-separated string' };
+            }
+            // Commander hands lists over as comma-separated text
+            return { value: items.map(item => String(item).trim()).filter(Boolean).join(',') };
+        }
+        default:
+            if (typeof value !== 'string') return { error: 'must be text' };
+            if (rule.values && !rule.values.includes(value)) return { error: `must be one of ${rule.values.join(', ')}` };
+            if (rule.pattern && !rule.pattern.test(value)) return { error: `must be ${rule.hint}` };
+            return { value };
+    }
+}
+
+/**
+ * Check an option set against the schema
+ * @param {Object} options - Options by CLI name
+ * @param {string} where - Location for error messages (e.g. "presets.web")
+ * @returns {Object} - { options (normalized), errors: string[] }
+ */
+function validateOptions(options, where) {
+    const errors = [];
+    const normalized = {};
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        return { options: normalized, errors: [`${where} must be an object`] };
+    }
+
+    for (const [key, value] of Object.entries(options)) {
+        if (value === null || value === undefined) continue;
+        const result = validateOption(key, value);
+        if (result.error) errors.push(`${where}.${key} ${result.error}`);
+        else normalized[key] = result.value;
+    }
+    return { options: normalized, errors };
+}
+
+/**
+ * Check a preset (options plus an optional description)
+ * @param {string} name - Preset name
+ * @param {Object} preset - { description, ...options }
+ * @param {string} where - Location for error messages
+ * @returns {Object} - { preset (normalized), errors: string[] }
+ */
+function validatePreset(name, preset, where) {
+    const errors = [];
+    if (!PRESET_NAME_PATTERN.test(name)) errors.push(`${where}: "${name}" is not a valid preset name (letters, digits, - and _)`);
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) return { preset: {}, errors: [...errors, `${where} must be an object`] };
+
+    const { description, ...options } = preset;
+    if (description !== undefined && typeof description !== 'string') errors.push(`${where}.description must be text`);
+
+    const result = validateOptions(options, where);
+    return {
+        preset: { ...(description ? { description } : {}), ...result.options },
+        errors: [...errors, ...result.errors]
+    };
+}
+
+/**
+ * Load and validate a config file (built-in presets only without one)
+ * @param {string|null} configPath - Config path, e.g. from findConfigFile
+ * @returns {Object} - { path, defaults, presets } (presets include the built-in ones)
+ * @throws {Error} - Unreadable JSON or schema violations (all of them in one message)
+ */
+function loadConfig(configPath) {
+    const config = { path: configPath || null, defaults: {}, presets: { ...BUILTIN_PRESETS } };
+    if (!configPath) return config;
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read config ${configPath}: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`Invalid config ${configPath}: expected an object with "defaults" and/or "presets"`);
+    }
+
+    const errors = Object.keys(data)
+        .filter(key => !['defaults', 'presets'].includes(key))
+        .map(key => `${key} is not a known section (expected defaults, presets)`);
+
+    const defaults = validateOptions(data.defaults || {}, 'defaults');
+    errors.push(...defaults.errors);
+    config.defaults = defaults.options;
+
+    const presets = data.presets || {};
+    if (typeof presets !== 'object' || Array.isArray(presets)) {
+        errors.push('presets must be an object of named presets');
+    } else {
+        for (const [name, preset] of Object.entries(presets)) {
+            const result = validatePreset(name, preset, `presets.${name}`);
+            errors.push(...result.errors);
+            config.presets[name] = result.preset;
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid config ${configPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return config;
+}
+
+/**
+ * Merge the file defaults with a preset (CLI flags go on top of the result)
+ * @param {Object} config - Result of loadConfig
+ * @param {string} presetName - Preset to apply (optional)
+ * @returns {Object} - Options by CLI name
+ */
+function resolveSettings(config, presetName) {
+    if (!presetName) return { ...config.defaults };
+
+    const preset = config.presets[presetName];
+    if (!preset) {
+        throw new Error(`Unknown preset "${presetName}" (available: ${Object.keys(config.presets).join(', ')})`);
+    }
+    const { description, ...options } = preset;
+    return { ...config.defaults, ...options };
+}
+
+/**
+ * List the presets of a config
+ * @param {Object} config - Result of loadConfig
+ * @returns {Object[]} - [{ name, description, source: 'builtin'|'file', options }]
+ */
+function listPresets(config) {
+    return Object.entries(config.presets).map(([name, { description, ...options }]) => ({
+        name,
+        description: description || '',
+        source: BUILTIN_PRESETS[name] === config.presets[name] ? 'builtin' : 'file',
+        options
+    }));
+}
+
+/**
+ * Save a preset to a config file (created when the folder has none), keeping everything else in it
+ * @param {string|null} configPath - Existing config, or null to create one in dir
+ * @param {string} dir - Folder for a new config
+ * @param {string} name - Preset name (an existing preset is replaced)
+ * @param {Object} preset - { description, ...options }
+ * @returns {string} - Config path written
+ * @throws {Error} - Invalid name or options
+ */
+function savePreset(configPath, dir, name, preset) {
+    const result = validatePreset(name, preset, `presets.${name}`);
+    if (result.errors.length > 0) throw new Error(`Invalid preset:\n  - ${result.errors.join('\n  - ')}`);
+
+    const target = configPath || path.join(dir, CONFIG_FILES[CONFIG_FILES.length - 1]);
+    const data = configPath ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+    data.presets = { ...(data.presets || {}), [name]: result.preset };
+
+    fs.writeFileSync(target, JSON.stringify(data, null, 2) + '\n');
+    return target;
+}
+
+module.exports = {
+    findConfigFile,
+    loadConfig,
+    validateOption,
+    validateOptions,
+    resolveSettings,
+    listPresets,
+    savePreset,
+    CONFIG_FILES,
+    OPTION_SCHEMA,
+    BUILTIN_PRESETS
+};
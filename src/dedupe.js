@@ -0,0 +1,486 @@
+/**
+ * Duplicate Detection Module
+ *
+ * Finds copies of the same photo or video in a media library:
+ * - Exact duplicates: same content hash (SHA-256), e.g. re-downloads
+ * - Near duplicates: perceptual hashes within a Hamming distance, e.g. edited copies or
+ *   WhatsApp re-saves. Images use the mean of their dHash and pHash distances, videos a dHash per keyframe.
+ * Each group keeps its best-quality copy (most pixels, then EXIF present, then largest file) and holds only
+ * files within the threshold of that copy, so a burst of similar shots doesn't chain into one group;
+ * the others are reported, skipped or moved aside before compression.
+ */
+
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { hashFile } = require('./processingManifest');
+const { loadSource, loadImage, getOrientedSize } = require('./imageCompressor');
+const { isVideo, parallelProcess, getOptimalConcurrency, ensureDirectoryExists, getFFmpegPath } = require('./utils');
+
+const DEDUPE_ACTIONS = ['report', 'skip', 'move'];
+
+// Near-duplicate threshold: differing bits out of 64 (0 = visually identical)
+const DEFAULT_MAX_DISTANCE = 8;
+
+// Images whose aspect ratios differ more than this are never near duplicates (crops)
+const ASPECT_TOLERANCE = 0.05;
+
+// Video keyframes hashed, as positions in the duration; durations may differ by 2% (at least 1s)
+const VIDEO_FRAME_POSITIONS = [0.1, 0.3, 0.5, 0.7, 0.9];
+const DURATION_TOLERANCE = 0.02;
+const MIN_DURATION_TOLERANCE = 1;
+
+// Near-duplicate lookup: hashes are indexed in 16-bit bands; above 3 differing bits per band
+// (thresholds of 16 and up) there are too many band values to look up and every pair is compared
+const HASH_BANDS = 4;
+const MAX_BAND_RADIUS = 3;
+
+// Size of the frames FFmpeg hands over for hashing
+const VIDEO_FRAME_SIZE = 64;
+
+// Folder duplicates are moved into (inside the scanned folder, left out of later scans)
+const DUPLICATES_FOLDER = '_duplicates';
+
+// Analysis results by path, size and mtime: a GUI scan and the run after it share the work
+const analysisCache = new Map();
+
+/**
+ * Turn 64 bits into a hex hash
+ * @param {boolean[]} bits - 64 bits, most significant first
+ * @returns {string} - 16 hex characters
+ */
+function bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+/**
+ * dHash: each bit says whether a pixel is brighter than its right neighbour (9×8 greyscale)
+ * @param {Object} pipeline - Sharp pipeline (upright)
+ * @returns {Promise<string>} - 64-bit hash, hex
+ */
+async function computeDhash(pipeline) {
+    const pixels = await pipeline.resize(9, 8, { fit: 'fill' }).greyscale().raw().toBuffer();
+    const bits = [];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1]);
+        }
+    }
+    return bitsToHex(bits);
+}
+
+/**
+ * pHash: the 8×8 lowest frequencies of a 32×32 greyscale DCT, each bit above or below their median
+ * @param {Object} pipeline - Sharp pipeline (upright)
+ * @returns {Promise<string>} - 64-bit hash, hex
+ */
+async function computePhash(pipeline) {
+    const size = 32;
+    const pixels = await pipeline.resize(size, size, { fit: 'fill' }).greyscale().raw().toBuffer();
+
+    const cosines = [];
+    for (let u = 0; u < 8; u++) {
+        cosines.push(Array.from({ length: size }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size))));
+    }
+
+    const coefficients = [];
+    for (let v = 0; v < 8; v++) {
+        for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    sum += pixels[y * size + x] * cosines[u][x] * cosines[v][y];
+                }
+            }
+            coefficients.push(sum);
+        }
+    }
+
+    // The DC term (overall brightness) would skew the median
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+    return bitsToHex(coefficients.map(c => c > median));
+}
+
+/**
+ * Number of differing bits between two hex hashes of the same length
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i += 8) {
+        let x = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+        while (x) {
+            x &= x - 1;
+            distance++;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Analyse an image: size, EXIF presence and perceptual hashes
+ * @param {string} filePath - Image (HEIC and camera RAW included)
+ * @returns {Promise<Object>} - { kind, width, height, hasExif, dhash, phash }
+ */
+async function analyseImage(filePath) {
+    const { source } = await loadSource(filePath);
+    const metadata = await loadImage(source).metadata();
+    const { width, height } = getOrientedSize(metadata);
+    return {
+        kind: 'image',
+        width,
+        height,
+        hasExif: Boolean(metadata.exif),
+        dhash: await computeDhash(loadImage(source).rotate()),
+        phash: await computePhash(loadImage(source).rotate())
+    };
+}
+
+/**
+ * Grab one video frame as PNG (rotation applied by FFmpeg)
+ * @param {string} filePath - Video
+ * @param {number} seconds - Timestamp
+ * @returns {Promise<Buffer>}
+ */
+function extractFrame(filePath, seconds) {
+    const args = [
+        '-hide_banner', '-v', 'error',
+        '-ss', seconds.toFixed(3), '-i', filePath,
+        '-frames:v', '1', '-vf', `scale=${VIDEO_FRAME_SIZE}:${VIDEO_FRAME_SIZE}`,
+        '-f', 'image2pipe', '-vcodec', 'png', 'pipe:1'
+    ];
+    return new Promise((resolve, reject) => {
+        execFile(getFFmpegPath(), args, { encoding: 'buffer', maxBuffer: 10 * 1024 * 1024, timeout: 60000 }, (error, stdout) => {
+            if (error) reject(error);
+            else if (!stdout.length) reject(new Error(`No frame at ${seconds.toFixed(1)}s`));
+            else resolve(stdout);
+        });
+    });
+}
+
+/**
+ * Analyse a video: size, duration and a dHash per keyframe
+ * @param {string} filePath - Video
+ * @returns {Promise<Object>} - { kind, width, height, duration, frames }
+ */
+async function analyseVideo(filePath) {
+    const metadata = await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, data) => (err ? reject(err) : resolve(data)));
+    });
+    const stream = metadata.streams.find(s => s.codec_type === 'video');
+    const duration = parseFloat(metadata.format.duration);
+    if (!stream || !duration) throw new Error('No video stream or duration');
+
+    const frames = [];
+    for (const position of VIDEO_FRAME_POSITIONS) {
+        frames.push(await computeDhash(sharp(await extractFrame(filePath, duration * position))));
+    }
+    return { kind: 'video', width: stream.width, height: stream.height, duration, frames };
+}
+
+/**
+ * Analyse a file for near-duplicate matching (cached while the file doesn't change)
+ * @param {string} filePath - Image or video
+ * @returns {Promise<Object>}
+ */
+async function analyseFile(filePath) {
+    const stats = fs.statSync(filePath);
+    const key = `${filePath}|${stats.size}|${stats.mtimeMs}`;
+    if (!analysisCache.has(key)) {
+        analysisCache.set(key, isVideo(filePath) ? analyseVideo(filePath) : analyseImage(filePath));
+    }
+    try {
+        return await analysisCache.get(key);
+    } catch (error) {
+        analysisCache.delete(key);
+        throw error;
+    }
+}
+
+/**
+ * Perceptual distance between two analysed files (null = can't be duplicates)
+ * @param {Object} a - analyseFile result
+ * @param {Object} b - analyseFile result
+ * @returns {number|null} - Differing bits (images: mean of dHash and pHash, videos: mean per keyframe)
+ */
+function compareFiles(a, b) {
+    if (a.kind !== b.kind) return null;
+
+    if (a.kind === 'image') {
+        const ratioA = a.width / a.height;
+        const ratioB = b.width / b.height;
+        if (Math.abs(ratioA - ratioB) / Math.max(ratioA, ratioB) > ASPECT_TOLERANCE) return null;
+        // dHash flips on brightness edits in flat areas, pHash on small shifts; together they even out
+        return (hammingDistance(a.dhash, b.dhash) + hammingDistance(a.phash, b.phash)) / 2;
+    }
+
+    const tolerance = Math.max(MIN_DURATION_TOLERANCE, Math.max(a.duration, b.duration) * DURATION_TOLERANCE);
+    if (Math.abs(a.duration - b.duration) > tolerance) return null;
+    const total = a.frames.reduce((sum, frame, i) => sum + hammingDistance(frame, b.frames[i]), 0);
+    return total / a.frames.length;
+}
+
+/**
+ * Index of 64-bit hex hashes for finding every hash within a Hamming distance without comparing all pairs.
+ * Two hashes within radius bits of each other differ in at most radius / 4 bits in one of their four
+ * 16-bit bands, so looking up every band value within that many bit flips finds all of them.
+ * @param {number} radius - Largest Hamming distance looked up
+ * @returns {Object} - { add(hash, item), candidates(hash) → Set of items }
+ */
+function createHashIndex(radius) {
+    const bandRadius = Math.floor(radius / HASH_BANDS);
+    const buckets = Array.from({ length: HASH_BANDS }, () => new Map());
+    const all = [];
+    const bandsOf = (hash) => Array.from({ length: HASH_BANDS }, (_, i) => parseInt(hash.slice(i * 4, i * 4 + 4), 16));
+
+    // XOR masks of up to bandRadius flipped bits, each once (bits flipped in increasing order)
+    const masksFrom = (mask, flips, from) => {
+        const found = [mask];
+        if (flips === 0) return found;
+        for (let bit = from; bit < 16; bit++) found.push(...masksFrom(mask | (1 << bit), flips - 1, bit + 1));
+        return found;
+    };
+    const masks = bandRadius > MAX_BAND_RADIUS ? [] : masksFrom(0, bandRadius, 0);
+
+    const add = (hash, item) => {
+        all.push(item);
+        bandsOf(hash).forEach((value, i) => {
+            if (!buckets[i].has(value)) buckets[i].set(value, []);
+            buckets[i].get(value).push(item);
+        });
+    };
+
+    const candidates = (hash) => {
+        // Thresholds this loose match most of the library anyway
+        if (bandRadius > MAX_BAND_RADIUS) return new Set(all);
+        const found = new Set();
+        bandsOf(hash).forEach((value, i) => masks.forEach(mask => (buckets[i].get(value ^ mask) || []).forEach(item => found.add(item))));
+        return found;
+    };
+
+    return { add, candidates };
+}
+
+/**
+ * Near-duplicate matches between content sets, without comparing every pair
+ * Images: the mean of the dHash and pHash distances is only within maxDistance when one of them is,
+ * so lookups in an index of each hash find every candidate. Videos: only similar durations are compared.
+ * @param {string[][]} sets - Analysed content sets
+ * @param {Map} analyses - Set → analyseFile result
+ * @param {number} maxDistance - Near-duplicate threshold
+ * @returns {Map} - Set → Map(matching set → distance)
+ */
+function findNearMatches(sets, analyses, maxDistance) {
+    const matches = new Map(sets.map(set => [set, new Map()]));
+    const link = (a, b) => {
+        if (a === b || matches.get(a).has(b)) return;
+        const distance = compareFiles(analyses.get(a), analyses.get(b));
+        if (distance === null || distance > maxDistance) return;
+        matches.get(a).set(b, distance);
+        matches.get(b).set(a, distance);
+    };
+
+    // Each image is looked up before it is added, so every pair is compared once
+    const radius = Math.floor(maxDistance);
+    const dhashes = createHashIndex(radius);
+    const phashes = createHashIndex(radius);
+    for (const set of sets.filter(other => analyses.get(other).kind === 'image')) {
+        const info = analyses.get(set);
+        new Set([...dhashes.candidates(info.dhash), ...phashes.candidates(info.phash)]).forEach(other => link(set, other));
+        dhashes.add(info.dhash, set);
+        phashes.add(info.phash, set);
+    }
+
+    // Sorted by duration, the comparisons for a video stop at the first one too long to match
+    const durationOf = (set) => analyses.get(set).duration || 0;
+    const videos = sets.filter(set => analyses.get(set).kind === 'video').sort((a, b) => durationOf(a) - durationOf(b));
+    for (let i = 0; i < videos.length; i++) {
+        for (let j = i + 1; j < videos.length; j++) {
+            const longer = durationOf(videos[j]);
+            if (longer - durationOf(videos[i]) > Math.max(MIN_DURATION_TOLERANCE, longer * DURATION_TOLERANCE)) break;
+            link(videos[i], videos[j]);
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Find exact and near duplicates among files
+ * @param {string[]} files - Image and video paths
+ * @param {Object} options - { maxDistance, exactOnly, concurrency, onProgress(done, total) }
+ * @returns {Promise<Object>} - { groups, duplicates, reclaimable, failed }
+ *   groups: [{ kind, match: 'exact'|'near', keep, duplicates: [{ path, size, match, distance }], reclaimable }]
+ */
+async function findDuplicates(files, options = {}) {
+    const maxDistance = resolveMaxDistance(options.maxDistance);
+    const concurrency = options.concurrency || getOptimalConcurrency();
+    const stats = new Map(files.map(f => [f, fs.statSync(f)]));
+    const failed = [];
+
+    // Exact: only files sharing their size with another file need hashing
+    const bySize = new Map();
+    files.forEach(f => bySize.set(stats.get(f).size, [...(bySize.get(stats.get(f).size) || []), f]));
+    const contentHashes = new Map();
+    const toHash = [...bySize.values()].filter(group => group.length > 1).flat();
+    await parallelProcess(toHash, async (f) => contentHashes.set(f, await hashFile(f)), concurrency);
+
+    // One set per content: identical files, oldest first (the original download)
+    const contents = new Map();
+    for (const f of files) {
+        const key = contentHashes.get(f) || f;
+        contents.set(key, [...(contents.get(key) || []), f]);
+    }
+    const sets = [...contents.values()].map(set => set.sort((a, b) => stats.get(a).mtimeMs - stats.get(b).mtimeMs || a.localeCompare(b)));
+
+    // Near: perceptual hashes of one file per content
+    const analyses = new Map();
+    if (!options.exactOnly) {
+        let done = 0;
+        await parallelProcess(sets, async (set) => {
+            try {
+                analyses.set(set, await analyseFile(set[0]));
+            } catch (error) {
+                failed.push({ path: set[0], error: error.message || String(error) });
+            }
+            if (options.onProgress) options.onProgress(++done, sets.length);
+        }, concurrency);
+    }
+
+    const matches = findNearMatches(sets.filter(set => analyses.has(set)), analyses, maxDistance);
+
+    // Best copy first: most pixels, then EXIF present (re-saves lose it), then largest file
+    const quality = (set) => {
+        const info = analyses.get(set) || {};
+        return [(info.width || 0) * (info.height || 0), info.hasExif ? 1 : 0, stats.get(set[0]).size];
+    };
+    const byQuality = [...sets].sort((a, b) => {
+        const qa = quality(a);
+        const qb = quality(b);
+        return qb[0] - qa[0] || qb[1] - qa[1] || qb[2] - qa[2] || a[0].localeCompare(b[0]);
+    });
+
+    // Each group is a kept copy and the sets matching that copy itself (no chains through other members)
+    const grouped = new Set();
+    const groups = [];
+    for (const best of byQuality) {
+        if (grouped.has(best)) continue;
+        grouped.add(best);
+        const nearMatches = matches.get(best) || new Map();
+        const others = [...nearMatches.keys()].filter(set => !grouped.has(set));
+        others.forEach(set => grouped.add(set));
+        if (others.length === 0 && best.length === 1) continue;
+
+        const keep = best[0];
+        const duplicates = [
+            ...best.slice(1).map(f => ({ path: f, size: stats.get(f).size, match: 'exact', distance: 0 })),
+            ...others.flatMap(set => set.map(f => ({ path: f, size: stats.get(f).size, match: 'near', distance: nearMatches.get(set) })))
+        ];
+        groups.push({
+            kind: isVideo(keep) ? 'video' : 'image',
+            match: others.length > 0 ? 'near' : 'exact',
+            keep,
+            duplicates,
+            reclaimable: duplicates.reduce((sum, d) => sum + d.size, 0)
+        });
+    }
+
+    groups.sort((a, b) => a.keep.localeCompare(b.keep));
+    const duplicates = groups.flatMap(group => group.duplicates.map(d => d.path));
+    return { groups, duplicates, reclaimable: groups.reduce((sum, g) => sum + g.reclaimable, 0), failed };
+}
+
+/**
+ * Move duplicates into a folder, mirroring their place under the scanned folder
+ * @param {string[]} duplicates - Paths to move
+ * @param {string} inputDir - Scanned folder
+ * @param {string} targetDir - Destination (default: <inputDir>/_duplicates)
+ * @param {Object} options - { dryRun } (only work out where each file would go)
+ * @returns {Object[]} - [{ from, to }]
+ */
+function moveDuplicates(duplicates, inputDir, targetDir = path.join(inputDir, DUPLICATES_FOLDER), { dryRun = false } = {}) {
+    const moved = [];
+    for (const from of duplicates) {
+        let to = path.join(targetDir, path.relative(inputDir, from));
+        const ext = path.extname(to);
+        const base = to.slice(0, -ext.length || undefined);
+        for (let counter = 1; fs.existsSync(to); counter++) {
+            to = `${base}_${counter}${ext}`;
+        }
+        if (dryRun) {
+            moved.push({ from, to });
+            continue;
+        }
+
+        ensureDirectoryExists(to);
+        try {
+            fs.renameSync(from, to);
+        } catch (error) {
+            // Another drive: copy, then remove the original
+            if (error.code !== 'EXDEV') throw error;
+            fs.copyFileSync(from, to);
+            fs.unlinkSync(from);
+        }
+        moved.push({ from, to });
+    }
+    return moved;
+}
+
+/**
+ * Validate a dedupe action
+ * @param {string} action - 'report', 'skip' or 'move'
+ * @returns {string}
+ */
+function resolveDedupeAction(action) {
+    if (!DEDUPE_ACTIONS.includes(action)) {
+        throw new Error(`Invalid dedupe action "${action}" (expected ${DEDUPE_ACTIONS.join(', ')})`);
+    }
+    return action;
+}
+
+/**
+ * Validate a near-duplicate threshold (a typo must not match everything)
+ * @param {string|number|undefined} value - Differing bits out of 64 (undefined = default)
+ * @returns {number} - The threshold
+ */
+function resolveMaxDistance(value) {
+    if (value === undefined || value === null) return DEFAULT_MAX_DISTANCE;
+    const distance = typeof value === 'number' ? value : Number(String(value).trim() || NaN);
+    if (!Number.isFinite(distance) || distance < 0 || distance > 64) {
+        throw new Error(`Invalid dedupe threshold "${value}" (expected 0-64 differing bits)`);
+    }
+    return distance;
+}
+
+/**
+ * Whether a path lies in a duplicates folder (never scanned again)
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isInDuplicatesFolder(filePath) {
+    return filePath.split(path.sep).includes(DUPLICATES_FOLDER);
+}
+
+module.exports = {
+    findDuplicates,
+    moveDuplicates,
+    resolveDedupeAction,
+    resolveMaxDistance,
+    isInDuplicatesFolder,
+    computeDhash,
+    computePhash,
+    hammingDistance,
+    createHashIndex,
+    DEDUPE_ACTIONS,
+    DEFAULT_MAX_DISTANCE,
+    DUPLICATES_FOLDER
+};
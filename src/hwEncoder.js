@@ -6,6 +6,7 @@
  * - AMD AMF (h264_amf) - For AMD GPUs and APUs
  * - Intel QuickSync (h264_qsv) - Good fallback for Intel CPUs
  * - Software x264 (libx264) - Universal fallback
+ * - Software AV1 (libsvtav1/libaom-av1) and VP9 (libvpx-vp9) - Smallest files, WebM-ready
  */
 
 const { exec } = require('child_process');
@@ -15,13 +16,37 @@ const { getFFmpegPath: resolveFFmpegPath } = require('./utils');
 // Try to use system FFmpeg first, fallback to ffmpeg-static
 let ffmpegPath = resolveFFmpegPath();
 
+// Map x264-style preset names onto the numeric speed levels used by the AV1/VP9 encoders
+// (numeric presets are passed through as-is)
+const SPEED_LEVELS = {
+    svtav1: { ultrafast: 12, superfast: 11, veryfast: 10, faster: 9, fast: 8, medium: 6, slow: 5, slower: 4, veryslow: 3, placebo: 2 },
+    aom: { ultrafast: 8, superfast: 7, veryfast: 6, faster: 6, fast: 5, medium: 4, slow: 3, slower: 2, veryslow: 1, placebo: 0 },
+    vp9: { ultrafast: 5, superfast: 5, veryfast: 4, faster: 4, fast: 3, medium: 2, slow: 1, slower: 1, veryslow: 0, placebo: 0 }
+};
+
+// AV1/VP9 encoders fall back to each other first: their default .webm container holds nothing else
+const WEBM_ENCODER_FALLBACKS = {
+    svtav1: ['aom', 'vp9'],
+    aom: ['svtav1', 'vp9'],
+    vp9: ['svtav1', 'aom']
+};
+
+function toSpeedLevel(encoder, preset) {
+    if (/^\d+$/.test(String(preset))) return preset;
+    const levels = SPEED_LEVELS[encoder];
+    return levels[preset] !== undefined ? levels[preset] : levels.medium;
+}
+
 // Encoder configurations optimized for quality/speed balance
+// containers: supported output containers, first entry is the default
 const ENCODER_CONFIGS = {
     nvenc: {
         name: 'NVIDIA NVENC',
         codec: 'h264_nvenc',
+        containers: ['mp4', 'mkv'],
         // p4 preset is balanced, -cq is quality-based VBR (similar to CRF)
         // -pix_fmt yuv420p converts 10-bit HEVC (Main 10) to 8-bit for NVENC compatibility
+        // (HDR sources are tone-mapped to SDR first, see compressVideo)
         getOutputOptions: (crf) => [
             '-pix_fmt yuv420p',
             '-preset p4',
@@ -30,11 +55,24 @@ const ENCODER_CONFIGS = {
             '-profile:v high',
             '-spatial-aq 1',
             '-temporal-aq 1'
+        ],
+        // Target-size mode: single-pass VBR capped by maxrate
+        getBitrateOptions: (bitrate) => [
+            '-pix_fmt yuv420p',
+            '-preset p4',
+            '-rc vbr',
+            `-b:v ${bitrate}k`,
+            `-maxrate ${Math.round(bitrate * 1.5)}k`,
+            `-bufsize ${bitrate * 2}k`,
+            '-profile:v high',
+            '-spatial-aq 1',
+            '-temporal-aq 1'
         ]
     },
     amf: {
         name: 'AMD AMF',
         codec: 'h264_amf',
+        containers: ['mp4', 'mkv'],
         // quality preset, qp_i/qp_p for quality control (similar to CRF)
         // -pix_fmt yuv420p for 10-bit HEVC compatibility
         getOutputOptions: (crf) => [
@@ -43,43 +81,155 @@ const ENCODER_CONFIGS = {
             `-qp_i ${crf}`,
             `-qp_p ${crf}`,
             '-profile:v high'
+        ],
+        // Target-size mode: peak-constrained VBR
+        getBitrateOptions: (bitrate) => [
+            '-pix_fmt yuv420p',
+            '-quality quality',
+            '-rc vbr_peak',
+            `-b:v ${bitrate}k`,
+            `-maxrate ${Math.round(bitrate * 1.5)}k`,
+            `-bufsize ${bitrate * 2}k`,
+            '-profile:v high'
         ]
     },
     qsv: {
         name: 'Intel QuickSync',
         codec: 'h264_qsv',
+        containers: ['mp4', 'mkv'],
         // -pix_fmt yuv420p for 10-bit HEVC compatibility
         getOutputOptions: (crf) => [
             '-pix_fmt yuv420p',
             '-preset medium',
             `-global_quality ${crf}`,
             '-profile:v high'
+        ],
+        // Target-size mode: QSV switches to VBR when maxrate > bitrate
+        getBitrateOptions: (bitrate) => [
+            '-pix_fmt yuv420p',
+            '-preset medium',
+            `-b:v ${bitrate}k`,
+            `-maxrate ${Math.round(bitrate * 1.5)}k`,
+            `-bufsize ${bitrate * 2}k`,
+            '-profile:v high'
         ]
     },
     x264: {
         name: 'Software (x264)',
         codec: 'libx264',
+        containers: ['mp4', 'mkv'],
         // Medium preset: good quality/speed balance for users who prioritize quality
         getOutputOptions: (crf, preset = 'medium', threads = 0) => [
             `-crf ${crf}`,
             `-preset ${preset}`,
             `-threads ${threads}`
-        ]
+        ],
+        // Target-size mode: average bitrate, run as two passes
+        getBitrateOptions: (bitrate, preset = 'medium', threads = 0) => [
+            `-b:v ${bitrate}k`,
+            `-preset ${preset}`,
+            `-threads ${threads}`
+        ],
+        getPassOptions: (pass, logFile) => ['-pass', String(pass), '-passlogfile', logFile]
     },
     x265: {
         name: 'Software (x265/HEVC)',
         codec: 'libx265',
+        containers: ['mp4', 'mkv'],
+        mp4Tag: 'hvc1', // Apple/QuickTime compatibility tag (MP4/MOV only, MKV rejects it)
+        // Main10 keeps 10-bit / HDR sources intact (color tags are added by compressVideo)
+        getHighBitDepthOptions: () => ['-pix_fmt yuv420p10le', '-profile:v main10'],
         // x265 CRF scale is slightly different - same number = better quality than x264
         // So CRF 22 in x265 ≈ CRF 20 in x264 quality, but 40% smaller file
         getOutputOptions: (crf, preset = 'medium', threads = 0) => [
             `-crf ${crf}`,
             `-preset ${preset}`,
-            `-threads ${threads}`,
-            '-tag:v hvc1'  // Apple/QuickTime compatibility tag
+            `-threads ${threads}`
+        ],
+        getBitrateOptions: (bitrate, preset = 'medium', threads = 0) => [
+            `-b:v ${bitrate}k`,
+            `-preset ${preset}`,
+            `-threads ${threads}`
+        ],
+        // libx265 ignores -pass/-passlogfile, multi-pass goes through x265-params
+        // (stats path must not contain ':' - it is the x265-params separator)
+        getPassOptions: (pass, logFile) => ['-x265-params', `pass=${pass}:stats=${logFile}`]
+    },
+    svtav1: {
+        name: 'Software (SVT-AV1)',
+        codec: 'libsvtav1',
+        containers: ['webm', 'mkv', 'mp4'],
+        audioCodec: 'libopus',
+        getHighBitDepthOptions: () => ['-pix_fmt yuv420p10le'],
+        // AV1 CRF range is 0-63 - same number gives a smaller file than x264/x265
+        // SVT-AV1 is far faster than libaom at similar quality; preset 6 is balanced
+        getOutputOptions: (crf, preset = 'medium', threads = 0) => [
+            `-crf ${crf}`,
+            `-preset ${toSpeedLevel('svtav1', preset)}`,
+            `-threads ${threads}`
+        ],
+        // No two-pass through FFmpeg's libsvtav1 wrapper, -b:v switches it to single-pass VBR
+        getBitrateOptions: (bitrate, preset = 'medium', threads = 0) => [
+            `-b:v ${bitrate}k`,
+            `-preset ${toSpeedLevel('svtav1', preset)}`,
+            `-threads ${threads}`
         ]
+    },
+    aom: {
+        name: 'Software (libaom AV1)',
+        codec: 'libaom-av1',
+        containers: ['webm', 'mkv', 'mp4'],
+        audioCodec: 'libopus',
+        getHighBitDepthOptions: () => ['-pix_fmt yuv420p10le'],
+        // -b:v 0 makes -crf a pure constant-quality mode; row-mt parallelizes within a frame
+        getOutputOptions: (crf, preset = 'medium', threads = 0) => [
+            `-crf ${crf}`,
+            '-b:v 0',
+            `-cpu-used ${toSpeedLevel('aom', preset)}`,
+            '-row-mt 1',
+            `-threads ${threads}`
+        ],
+        getBitrateOptions: (bitrate, preset = 'medium', threads = 0) => [
+            `-b:v ${bitrate}k`,
+            `-cpu-used ${toSpeedLevel('aom', preset)}`,
+            '-row-mt 1',
+            `-threads ${threads}`
+        ],
+        getPassOptions: (pass, logFile) => ['-pass', String(pass), '-passlogfile', logFile]
+    },
+    vp9: {
+        name: 'Software (VP9)',
+        codec: 'libvpx-vp9',
+        containers: ['webm', 'mkv', 'mp4'],
+        audioCodec: 'libopus',
+        // VP9 profile 2 = 10/12-bit 4:2:0
+        getHighBitDepthOptions: () => ['-pix_fmt yuv420p10le', '-profile:v 2'],
+        // Constant quality needs -b:v 0, "good" deadline with cpu-used 0-5 trades speed for size
+        getOutputOptions: (crf, preset = 'medium', threads = 0) => [
+            `-crf ${crf}`,
+            '-b:v 0',
+            '-deadline good',
+            `-cpu-used ${toSpeedLevel('vp9', preset)}`,
+            '-row-mt 1',
+            `-threads ${threads}`
+        ],
+        getBitrateOptions: (bitrate, preset = 'medium', threads = 0) => [
+            `-b:v ${bitrate}k`,
+            '-deadline good',
+            `-cpu-used ${toSpeedLevel('vp9', preset)}`,
+            '-row-mt 1',
+            `-threads ${threads}`
+        ],
+        getPassOptions: (pass, logFile) => ['-pass', String(pass), '-passlogfile', logFile]
     }
 };
 
+// Encoders that run on the CPU (take preset/threads arguments)
+const SOFTWARE_ENCODERS = ['x264', 'x265', 'svtav1', 'aom', 'vp9'];
+
+// Container families by file extension (.m4v accepts the same codecs as .mp4)
+const CONTAINER_ALIASES = { mp4: 'mp4', m4v: 'mp4', mkv: 'mkv', webm: 'webm' };
+
 // Cache for encoder availability (avoid repeated detection)
 let encoderCache = null;
 
@@ -132,7 +282,7 @@ async function testEncoder(encoderName) {
 /**
  * Detect all available hardware encoders
  * @param {boolean} forceRecheck - Force re-detection even if cached
- * @returns {Promise<Object>} - { nvenc: boolean, amf: boolean, qsv: boolean, cpu: boolean }
+ * @returns {Promise<Object>} - { nvenc, amf, qsv, x264, x265, svtav1, aom, vp9 } booleans
  */
 async function detectAvailableEncoders(forceRecheck = false) {
     if (encoderCache && !forceRecheck) {
@@ -146,7 +296,10 @@ async function detectAvailableEncoders(forceRecheck = false) {
         amf: false,
         qsv: false,
         x264: true, // Always available (CPU-based H.264)
-        x265: true // Always available (CPU-based HEVC)
+        x265: true, // Always available (CPU-based HEVC)
+        svtav1: false,
+        aom: false,
+        vp9: false
     };
 
     // Check NVENC (NVIDIA)
@@ -186,7 +339,17 @@ async function detectAvailableEncoders(forceRecheck = false) {
     }
 
     console.log('  ✓ Software x264: Always available');
-    console.log('  ✓ Software x265 (HEVC): Always available\n');
+    console.log('  ✓ Software x265 (HEVC): Always available');
+
+    // Software AV1/VP9 depend on how FFmpeg was built - listing is enough, no GPU driver involved
+    results.svtav1 = await isEncoderAvailable('libsvtav1');
+    console.log(`  ${results.svtav1 ? '✓' : '✗'} Software SVT-AV1: ${results.svtav1 ? 'Available' : 'Not in this FFmpeg build'}`);
+
+    results.aom = await isEncoderAvailable('libaom-av1');
+    console.log(`  ${results.aom ? '✓' : '✗'} Software libaom AV1: ${results.aom ? 'Available' : 'Not in this FFmpeg build'}`);
+
+    results.vp9 = await isEncoderAvailable('libvpx-vp9');
+    console.log(`  ${results.vp9 ? '✓' : '✗'} Software VP9: ${results.vp9 ? 'Available' : 'Not in this FFmpeg build'}\n`);
 
     encoderCache = results;
     return results;
@@ -208,10 +371,12 @@ async function getBestEncoder() {
 
 /**
  * Get encoder configuration
- * @param {string} encoder - 'auto', 'nvenc', 'amf', 'qsv', 'x264', or 'x265'
- * @returns {Promise<Object>} - { name, codec, getOutputOptions }
+ * @param {string} encoder - 'auto', 'nvenc', 'amf', 'qsv', 'x264', 'x265', 'svtav1', 'aom', or 'vp9'
+ * @param {string|null} container - Output container or extension; an AV1/VP9 fallback has to fit it
+ * @returns {Promise<Object>} - { type, name, codec, containers, getOutputOptions, getBitrateOptions, getPassOptions? }
+ * @throws {Error} - If no available encoder can write the container
  */
-async function getEncoderConfig(encoder = 'auto') {
+async function getEncoderConfig(encoder = 'auto', container = null) {
     if (encoder === 'auto') {
         encoder = await getBestEncoder();
     }
@@ -236,12 +401,55 @@ async function getEncoderConfig(encoder = 'auto') {
 
     // x265 is always available (CPU-based)
 
+    if (WEBM_ENCODER_FALLBACKS[encoder] && !available[encoder]) {
+        const fallback = WEBM_ENCODER_FALLBACKS[encoder].find(name => available[name]);
+        const containerFamily = container ? CONTAINER_ALIASES[container.replace(/^\./, '').toLowerCase()] : null;
+        if (fallback) {
+            console.log(`⚠️ ${ENCODER_CONFIGS[encoder].name} not available, falling back to ${ENCODER_CONFIGS[fallback].name}...`);
+            encoder = fallback;
+        } else if (containerFamily && !ENCODER_CONFIGS.x265.containers.includes(containerFamily)) {
+            throw new Error(`${ENCODER_CONFIGS[encoder].name} not available and no other WebM encoder (svtav1, aom, vp9) in this FFmpeg build; choose the mkv or mp4 container for an x265 fallback`);
+        } else {
+            console.log(`⚠️ ${ENCODER_CONFIGS[encoder].name} not available, falling back to x265...`);
+            encoder = 'x265';
+        }
+    }
+
     return {
         type: encoder,
         ...ENCODER_CONFIGS[encoder]
     };
 }
 
+/**
+ * Get the default output container for an encoder
+ * @param {string} encoder - Encoder key ('auto' resolves to the H.264 default)
+ * @returns {string} - 'mp4', 'mkv', or 'webm'
+ */
+function getDefaultContainer(encoder = 'auto') {
+    const config = ENCODER_CONFIGS[encoder];
+    return config ? config.containers[0] : 'mp4';
+}
+
+/**
+ * Check that an encoder's codec can be stored in the output container
+ * Unknown extensions (e.g. .avi given explicitly) are left for FFmpeg to judge
+ * @param {Object} encoderConfig - Result of getEncoderConfig
+ * @param {string} outputExt - Output file extension (with or without dot)
+ * @throws {Error} - If the combination is not supported
+ */
+function validateContainer(encoderConfig, outputExt) {
+    const container = CONTAINER_ALIASES[outputExt.replace(/^\./, '').toLowerCase()];
+    if (!container || !encoderConfig.containers) return;
+
+    if (!encoderConfig.containers.includes(container)) {
+        throw new Error(
+            `${encoderConfig.name} (${encoderConfig.codec}) cannot be stored in .${container} ` +
+            `(supported: ${encoderConfig.containers.map(c => '.' + c).join(', ')})`
+        );
+    }
+}
+
 /**
  * Set custom FFmpeg path
  * @param {string} customPath - Path to FFmpeg executable
@@ -263,7 +471,10 @@ module.exports = {
     detectAvailableEncoders,
     getBestEncoder,
     getEncoderConfig,
+    getDefaultContainer,
+    validateContainer,
     setFFmpegPath,
     getFFmpegPath,
-    ENCODER_CONFIGS
+    ENCODER_CONFIGS,
+    SOFTWARE_ENCODERS
 };
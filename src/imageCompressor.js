@@ -1,7 +1,13 @@
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
-const { ensureDirectoryExists, getFileSize, formatFileSize, getCompressionRatio, setFileMetadata } = require('./utils');
+const { ensureDirectoryExists, getFileSize, formatFileSize, parseSize, getCompressionRatio, setFileMetadata, encodeTaggedPng, isRawImage } = require('./utils');
+const { createReference, measureSsim, DEFAULT_TARGET_SSIM } = require('./imageQuality');
+const { resolveMetadataPolicy, buildExif, applyImageMetadata, findImageGps } = require('./metadata');
+const { resolveIccMode, getColourSpace, canKeepProfile, applyColourProfile, getNclxProfile } = require('./colour');
+const { convertAnimationToVideo } = require('./videoCompressor');
+const { getDefaultContainer } = require('./hwEncoder');
+const { loadRawSource } = require('./rawImage');
 
 // Compression settings for different formats
 const COMPRESSION_SETTINGS = {
@@ -16,78 +22,604 @@ const COMPRESSION_SETTINGS = {
     heif: { quality: 88 }
 };
 
+// Formats with a quality setting (target-size mode searches it)
+const QUALITY_FORMATS = ['jpg', 'jpeg', 'webp', 'avif', 'tiff', 'heic', 'heif'];
+
+// Target-size search: lowest quality tried before giving up or stepping the resolution down
+const TARGET_SIZE_MIN_QUALITY = 30;
+
+// Target-size search: resolution factor per step-down, and how many steps at most
+const TARGET_SIZE_SCALE_STEP = 0.85;
+const TARGET_SIZE_MAX_STEPS = 8;
+
+// Auto-quality search bounds (lowest quality meeting the SSIM target wins)
+const AUTO_QUALITY_RANGE = [30, 95];
+
+// HEIC/HEIF major brands (ftyp) decoded with libheif
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1', 'miaf'];
+
+// Image encoding modes: 'auto' switches flat-colour graphics (screenshots, logos) away from lossy photo encoding
+const IMAGE_MODES = ['auto', 'lossy', 'lossless', 'near-lossless'];
+
+// Formats with lossless/near-lossless variants (PNG is always lossless, near-lossless = palette quantization)
+const LOSSLESS_FORMATS = ['webp', 'avif'];
+
+// Encoding a format uses when no mode picks another (everything else: lossy)
+const DEFAULT_ENCODINGS = { png: 'lossless', gif: 'palette' };
+
+// Near-lossless settings: WebP pre-quantization level (100 = lossless), AVIF quality with full chroma
+const WEBP_NEAR_LOSSLESS_LEVEL = 60;
+const AVIF_NEAR_LOSSLESS_QUALITY = 90;
+
+// Flat-colour detection: distinct colours (nearest-neighbour sample) up to which an image counts as a graphic,
+// and up to which a palette holds it exactly
+const GRAPHIC_MAX_COLOURS = 1024;
+const PALETTE_MAX_COLOURS = 256;
+const COLOUR_SAMPLE_SIZE = 512;
+
+// Animated images (GIF/WebP): 'auto' picks by frame count and size, 'image' keeps an animated image, 'video' converts
+const ANIMATION_MODES = ['auto', 'image', 'video'];
+
+// Formats that can hold an animation (libvips writes AVIF/JPEG/PNG/TIFF as a single still)
+const ANIMATED_FORMATS = ['webp', 'gif'];
+
+// Auto animation mode: animations with at least this many frames and this file size become video
+const ANIMATION_VIDEO_MIN_FRAMES = 24;
+const ANIMATION_VIDEO_MIN_BYTES = 1024 * 1024;
+
+// Sharp fit modes allowed for resizing
+// inside = fit within the limits, cover = fill and crop, contain = fit and pad
+const RESIZE_FITS = ['inside', 'cover', 'contain'];
+
 /**
- * Convert HEIC/HEIF to target format (WebP, JPEG, or AVIF) using heic-convert + Sharp
- * Falls back to Sharp if the file is not a valid HEIC (may be mislabeled)
+ * Read the ftyp box of a HEIC/HEIF file without loading the whole file
  * @param {string} inputPath - Path to HEIC file
- * @param {string} outputPath - Path to output file
- * @param {Object} options - Compression options (quality, etc.)
- * @returns {Promise<{success: boolean, usedFallback: boolean}>}
- */
-async function convertHeicToJpeg(inputPath, outputPath, options = {}) {
-    const inputBuffer = fs.readFileSync(inputPath);
-    const quality = options.quality || 88;
-
-    // Check magic bytes to verify file format
-    // HEIC/HEIF files start with "ftyp" at byte 4-8
-    const hasFtypHeader = inputBuffer.length > 12 &&
-        inputBuffer.toString('ascii', 4, 8) === 'ftyp';
-
-    // Common HEIC/HEIF brand codes
-    const brand = inputBuffer.length > 12 ? inputBuffer.toString('ascii', 8, 12) : '';
-    const heicBrands = ['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1', 'miaf'];
-    const isLikelyHeic = hasFtypHeader && heicBrands.some(b => brand.toLowerCase().startsWith(b.toLowerCase()));
-
-    // Try heic-convert first if it looks like HEIC
-    if (isLikelyHeic) {
-        try {
-            const convert = (await import('heic-convert')).default;
+ * @returns {Promise<Object>} - { hasFtypHeader, brand, isLikelyHeic }
+ */
+async function readHeifBrand(inputPath) {
+    const handle = await fs.promises.open(inputPath, 'r');
+    try {
+        const header = Buffer.alloc(12);
+        const { bytesRead } = await handle.read(header, 0, 12, 0);
 
-            // Convert HEIC to raw JPEG buffer
-            const rawJpegBuffer = await convert({
-                buffer: inputBuffer,
-                format: 'JPEG',
-                quality: 1 // Max quality for initial conversion, Sharp will handle final compression
+        // HEIC/HEIF files start with "ftyp" at byte 4-8, followed by the major brand
+        const hasFtypHeader = bytesRead === 12 && header.toString('ascii', 4, 8) === 'ftyp';
+        const brand = hasFtypHeader ? header.toString('ascii', 8, 12) : '';
+        const isLikelyHeic = hasFtypHeader && HEIC_BRANDS.some(b => brand.toLowerCase().startsWith(b));
+
+        return { hasFtypHeader, brand, isLikelyHeic };
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Read a file into memory through a stream (keeps the event loop free for large HEICs)
+ * @param {string} filePath - Path to file
+ * @returns {Promise<Buffer>}
+ */
+function readFileStreamed(filePath) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        fs.createReadStream(filePath)
+            .on('data', chunk => chunks.push(chunk))
+            .on('end', () => resolve(Buffer.concat(chunks)))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Read the colour profile of a HEIF image handle
+ * The embind wrapper has no getter for the profile bytes, so they are copied out of the WASM heap
+ * (internal layout, which is why libheif-js is pinned to an exact version in package.json).
+ * @param {Object} libheif - libheif-js module
+ * @param {Object} handle - heif_image_handle
+ * @returns {Promise<Buffer|null>} - ICC profile (nclx colour information is mapped to one), null = sRGB/unknown
+ */
+async function readHeicColourProfile(libheif, handle) {
+    const ptr = handle.$$.ptr;
+    const type = Buffer.alloc(4);
+    type.writeUInt32BE(libheif.heif_image_handle_get_color_profile_type(ptr));
+
+    // heif_error is returned through a pointer to a 12-byte struct, its first field is the code
+    const error = libheif._malloc(16);
+    try {
+        if (type.toString('latin1') === 'prof' || type.toString('latin1') === 'rICC') {
+            const size = libheif.heif_image_handle_get_raw_color_profile_size(ptr);
+            const data = libheif._malloc(size);
+            try {
+                libheif._heif_image_handle_get_raw_color_profile(error, ptr, data);
+                return libheif.HEAP32[error >> 2] === 0 ? Buffer.from(libheif.HEAPU8.slice(data, data + size)) : null;
+            } finally {
+                libheif._free(data);
+            }
+        }
+        if (type.toString('latin1') === 'nclx') {
+            const out = libheif._malloc(4);
+            try {
+                libheif._heif_image_handle_get_nclx_color_profile(error, ptr, out);
+                if (libheif.HEAP32[error >> 2] !== 0) return null;
+                // heif_color_profile_nclx: uint8 version, then int32 color_primaries at offset 4
+                const nclx = libheif.HEAP32[out >> 2];
+                const primaries = libheif.HEAP32[(nclx + 4) >> 2];
+                libheif._heif_nclx_color_profile_free(nclx);
+                return getNclxProfile(primaries);
+            } finally {
+                libheif._free(out);
+            }
+        }
+        return null;
+    } finally {
+        libheif._free(error);
+    }
+}
+
+/**
+ * Decode one image of a HEIC/HEIF container to an RGBA bitmap with libheif
+ * Only top-level images are candidates: burst frames and alternates are, depth maps,
+ * alpha planes and thumbnails are auxiliary images and never picked. Without an
+ * explicit index the container's primary image is used. libheif applies the
+ * container's rotation/mirroring, so the bitmap is already upright. The pixels stay
+ * in the image's colour space (e.g. Display P3), its profile is returned alongside.
+ * @param {string} inputPath - Path to HEIC file
+ * @param {number|null} imageIndex - Top-level image to decode (null = primary)
+ * @returns {Promise<Object>} - { data, width, height, icc, index, count }
+ */
+async function decodeHeic(inputPath, imageIndex = null) {
+    const libheif = require('libheif-js/wasm-bundle');
+    await libheif.ready;
+
+    const buffer = await readFileStreamed(inputPath);
+    const decoder = new libheif.HeifDecoder();
+    const images = decoder.decode(buffer);
+
+    try {
+        if (!images.length) {
+            throw new Error('HEIF image not found');
+        }
+
+        let index = imageIndex;
+        if (index === null || index === undefined) {
+            index = Math.max(0, images.findIndex(image => libheif.heif_image_handle_is_primary_image(image.handle)));
+        } else if (index < 0 || index >= images.length) {
+            throw new Error(`HEIC image ${index} does not exist (file has ${images.length})`);
+        }
+
+        const image = images[index];
+        const icc = await readHeicColourProfile(libheif, image.handle);
+        const width = image.get_width();
+        const height = image.get_height();
+        const pixels = await new Promise((resolve, reject) => {
+            image.display({ data: new Uint8ClampedArray(width * height * 4), width, height }, (displayData) => {
+                if (!displayData) {
+                    reject(new Error('HEIF processing error'));
+                } else {
+                    resolve(displayData.data);
+                }
             });
+        });
+
+        return { data: Buffer.from(pixels.buffer), width, height, icc, index, count: images.length };
+    } finally {
+        images.forEach(image => image.free());
+        decoder.decoder.delete();
+    }
+}
+
+/**
+ * Prepare a HEIC/HEIF input for the normal Sharp pipeline
+ * Decodes with libheif; falls back to Sharp reading the file directly if that fails
+ * (the file may be mislabeled, or use a codec Sharp's libheif handles).
+ * @param {string} inputPath - Path to HEIC file
+ * @param {Object} settings - Compression settings (heicImage)
+ * @returns {Promise<Object>} - { source, heic: { image, images, decoder }, brandInfo }
+ */
+async function loadHeicSource(inputPath, settings) {
+    const brandInfo = await readHeifBrand(inputPath);
 
-            // Compress the JPEG with Sharp for optimal file size
-            await sharp(rawJpegBuffer)
-                .rotate() // Auto-rotate based on EXIF
-                .withMetadata()
-                .jpeg({
-                    mozjpeg: true,
-                    quality: quality
-                })
-                .toFile(outputPath);
-
-            return { success: true, usedFallback: false };
+    if (brandInfo.isLikelyHeic) {
+        try {
+            const decoded = await decodeHeic(inputPath, settings.heicImage ?? null);
+            const raw = { width: decoded.width, height: decoded.height, channels: 4 };
+            return {
+                // Tagged pixels are converted (or kept) like any other image with a profile, untagged ones count as sRGB
+                source: decoded.icc
+                    ? { input: await encodeTaggedPng(decoded.data, raw, { icc: decoded.icc }) }
+                    : { input: decoded.data, sharpOptions: { raw } },
+                heic: { image: decoded.index, images: decoded.count, decoder: 'libheif' },
+                brandInfo
+            };
         } catch (heicError) {
-            // heic-convert failed, try Sharp fallback
+            // An explicitly requested image that doesn't exist is a usage error, not a decode failure
+            if (/does not exist/.test(heicError.message)) throw heicError;
             console.log(`    ⚠️  HEIC decode failed, trying Sharp fallback...`);
         }
     }
 
-    // Fallback: Try Sharp directly (works if file is mislabeled or Sharp has HEIF support)
-    try {
-        await sharp(inputPath)
-            .rotate()
-            .withMetadata()
-            .jpeg({
+    return { source: { input: inputPath }, heic: { image: 0, images: 1, decoder: 'sharp' }, brandInfo };
+}
+
+/**
+ * Open a source with Sharp (a file path, or decoded raw pixels from HEIC)
+ * @param {Object} source - { input, sharpOptions }
+ * @returns {Object} - Sharp instance
+ */
+function loadImage(source) {
+    return sharp(source.input, source.sharpOptions);
+}
+
+/**
+ * Load any supported image as a Sharp input
+ * - HEIC/HEIF: Sharp's prebuilt libheif can't decode HEVC, so decode with libheif (WASM)
+ *   and feed the bitmap through the same format/resize/quality pipeline as every other image
+ * - Camera RAW: the embedded full-size JPEG preview (or the decoded image of an RGB DNG), EXIF included
+ * @param {string} inputPath - Path to image
+ * @param {Object} settings - { heicImage }
+ * @returns {Promise<Object>} - { source, heic, raw, brandInfo } (source is read with loadImage)
+ */
+async function loadSource(inputPath, settings = {}) {
+    const ext = path.extname(inputPath).toLowerCase();
+    if (ext === '.heic' || ext === '.heif') {
+        return { raw: null, ...await loadHeicSource(inputPath, settings) };
+    }
+    if (isRawImage(inputPath)) {
+        return { heic: null, brandInfo: null, ...await loadRawSource(inputPath) };
+    }
+    return { source: { input: inputPath }, heic: null, raw: null, brandInfo: null };
+}
+
+/**
+ * Get display dimensions after EXIF orientation (orientations 5-8 are rotated 90°)
+ * @param {Object} metadata - Sharp metadata
+ * @returns {Object} - { width, height }
+ */
+function getOrientedSize(metadata) {
+    const isSideways = (metadata.orientation || 1) >= 5;
+    return {
+        width: isSideways ? metadata.height : metadata.width,
+        height: isSideways ? metadata.width : metadata.height
+    };
+}
+
+/**
+ * Calculate Sharp resize options for max dimensions / megapixel limits
+ * Never enlarges: returns null when the image already fits.
+ * @param {number} width - Oriented source width
+ * @param {number} height - Oriented source height
+ * @param {Object} settings - { maxWidth, maxHeight, maxMegapixels, fit }
+ * @returns {Object|null} - Sharp resize options, or null if no resize is needed
+ */
+function calculateResize(width, height, settings) {
+    const { maxWidth, maxHeight, maxMegapixels } = settings;
+    if (!width || !height || (!maxWidth && !maxHeight && !maxMegapixels)) return null;
+
+    const fit = RESIZE_FITS.includes(settings.fit) ? settings.fit : 'inside';
+
+    // cover/contain produce exactly the box when both limits are set; otherwise the aspect ratio is kept
+    let boxWidth;
+    let boxHeight;
+    if (fit !== 'inside' && maxWidth && maxHeight) {
+        boxWidth = Math.min(maxWidth, width);
+        boxHeight = Math.min(maxHeight, height);
+    } else {
+        const scale = Math.min(1, maxWidth ? maxWidth / width : 1, maxHeight ? maxHeight / height : 1);
+        boxWidth = width * scale;
+        boxHeight = height * scale;
+    }
+
+    // Megapixel cap shrinks the box further, keeping its shape
+    if (maxMegapixels && boxWidth * boxHeight > maxMegapixels * 1000000) {
+        const scale = Math.sqrt((maxMegapixels * 1000000) / (boxWidth * boxHeight));
+        boxWidth *= scale;
+        boxHeight *= scale;
+    }
+
+    boxWidth = Math.max(1, Math.floor(boxWidth));
+    boxHeight = Math.max(1, Math.floor(boxHeight));
+    if (boxWidth >= width && boxHeight >= height) return null;
+
+    return {
+        width: boxWidth,
+        height: boxHeight,
+        fit,
+        withoutEnlargement: true,
+        // contain pads with transparency (white once flattened to JPEG)
+        background: { r: 255, g: 255, b: 255, alpha: 0 }
+    };
+}
+
+/**
+ * Decide how to store an animated image
+ * Video has no transparency, so auto mode keeps animations with alpha as images.
+ * @param {Object} metadata - Sharp metadata of the source (pages, loop, delay, hasAlpha)
+ * @param {number} originalSize - Source file size in bytes
+ * @param {string} mode - 'auto', 'image', or 'video'
+ * @returns {Object|null} - { frames, loop, duration, output: 'image'|'video' }, null for still images
+ */
+function planAnimation(metadata, originalSize, mode = 'auto') {
+    if (!metadata.pages || metadata.pages < 2) return null;
+
+    const asVideo = mode === 'video' || (mode === 'auto' && !metadata.hasAlpha &&
+        metadata.pages >= ANIMATION_VIDEO_MIN_FRAMES && originalSize >= ANIMATION_VIDEO_MIN_BYTES);
+
+    return {
+        frames: metadata.pages,
+        loop: metadata.loop ?? null, // 0 = forever
+        duration: metadata.delay ? metadata.delay.reduce((sum, d) => sum + d, 0) / 1000 : null,
+        output: asVideo ? 'video' : 'image'
+    };
+}
+
+/**
+ * Count the distinct colours of an image to tell flat-colour graphics from photos
+ * Nearest-neighbour downscaling keeps the original colours (no blending).
+ * @param {Object} source - { input, sharpOptions } (see loadImage)
+ * @returns {Promise<Object>} - { colours, graphic } (colours stops counting above GRAPHIC_MAX_COLOURS)
+ */
+async function analyzeColours(source) {
+    const { data } = await loadImage(source)
+        .resize(COLOUR_SAMPLE_SIZE, COLOUR_SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true, kernel: 'nearest' })
+        .ensureAlpha()
+        .raw({ depth: 'uchar' })
+        .toBuffer({ resolveWithObject: true });
+
+    const colours = new Set();
+    for (let i = 0; i < data.length && colours.size <= GRAPHIC_MAX_COLOURS; i += 4) {
+        colours.add(data.readUInt32LE(i));
+    }
+    return { colours: colours.size, graphic: colours.size <= GRAPHIC_MAX_COLOURS };
+}
+
+/**
+ * Pick the encoding for an output format from the image mode
+ * @param {string} targetFormat - Output format
+ * @param {Object} settings - imageMode ('auto', 'lossy', 'lossless', 'near-lossless'), palette
+ * @param {Object|null} content - Result of analyzeColours (needed in auto mode)
+ * @returns {string} - 'lossy', 'lossless', 'near-lossless', or 'palette'
+ */
+function resolveEncoding(targetFormat, settings, content = null) {
+    const mode = settings.imageMode || 'auto';
+    const isGraphic = mode === 'auto' && content && content.graphic;
+
+    if (targetFormat === 'png') {
+        // Palette quantization is PNG's near-lossless mode; a graphic with few colours fits a palette exactly
+        return settings.palette || mode === 'near-lossless' || isGraphic ? 'palette' : 'lossless';
+    }
+    if (!LOSSLESS_FORMATS.includes(targetFormat)) {
+        return DEFAULT_ENCODINGS[targetFormat] || 'lossy';
+    }
+    if (mode === 'auto') {
+        if (!isGraphic) return 'lossy';
+        return content.colours <= PALETTE_MAX_COLOURS ? 'lossless' : 'near-lossless';
+    }
+    return mode;
+}
+
+/**
+ * Swap the extension of an output path, without taking a path already used (name_1.mp4, ...)
+ * @param {string} filePath - Output path
+ * @param {string} ext - New extension without dot
+ * @param {Function} [reserve] - (path) → true when the path may be used (default: not on disk yet)
+ * @returns {string}
+ */
+function replaceExtension(filePath, ext, reserve = (p) => !fs.existsSync(p)) {
+    const base = path.join(path.dirname(filePath), path.basename(filePath, path.extname(filePath)));
+    let newPath = `${base}.${ext}`;
+    for (let counter = 1; !reserve(newPath); counter++) {
+        newPath = `${base}_${counter}.${ext}`;
+    }
+    return newPath;
+}
+
+/**
+ * Build the Sharp pipeline for one encode: auto-rotate, metadata policy, colour profile, optional resize, output format
+ * .rotate() without arguments auto-rotates based on EXIF orientation
+ * @param {Object} source - { input, sharpOptions, metadata, exif, icc } (see loadImage; metadata = policy,
+ *                          exif = buildExif result, icc = ICC mode)
+ * @param {string} targetFormat - Output format (file extension without dot)
+ * @param {Object} settings - Format settings (quality, effort, etc.)
+ * @param {Object|null} resize - Sharp resize options from calculateResize
+ * @returns {Object} - Sharp pipeline
+ */
+function buildPipeline(source, targetFormat, settings, resize = null) {
+    let pipeline = applyImageMetadata(loadImage(source).rotate(), source.metadata, source.exif);
+    pipeline = applyColourProfile(pipeline, source.icc, source.metadata);
+    if (resize) {
+        pipeline = pipeline.resize(resize);
+    }
+
+    // Apply format-specific compression based on OUTPUT format
+    switch (targetFormat) {
+        case 'jpg':
+        case 'jpeg':
+            pipeline = pipeline.jpeg({
+                mozjpeg: settings.mozjpeg !== false,
+                quality: settings.quality || 88
+            });
+            break;
+        case 'png':
+            // Sharp turns on palette mode whenever effort/colours/dither are set, so they only go with 'palette'
+            pipeline = pipeline.png({
+                compressionLevel: settings.compressionLevel || 9,
+                // pngquant-style quantization to an 8-bit palette
+                ...(settings.encoding === 'palette' ? {
+                    palette: true,
+                    effort: settings.effort || 10,
+                    colours: settings.colours || PALETTE_MAX_COLOURS,
+                    dither: settings.dither ?? 1.0
+                } : {})
+            });
+            break;
+        case 'webp':
+            if (settings.encoding === 'lossless') {
+                pipeline = pipeline.webp({ lossless: true });
+            } else if (settings.encoding === 'near-lossless') {
+                pipeline = pipeline.webp({ nearLossless: true, quality: WEBP_NEAR_LOSSLESS_LEVEL });
+            } else {
+                pipeline = pipeline.webp({
+                    quality: settings.quality || 88
+                });
+            }
+            break;
+        case 'avif':
+            if (settings.encoding === 'lossless') {
+                pipeline = pipeline.avif({ lossless: true });
+            } else if (settings.encoding === 'near-lossless') {
+                // AVIF has no near-lossless mode; high quality without chroma subsampling keeps edges and colours crisp
+                pipeline = pipeline.avif({ quality: AVIF_NEAR_LOSSLESS_QUALITY, chromaSubsampling: '4:4:4' });
+            } else {
+                pipeline = pipeline.avif({
+                    quality: settings.quality || 88
+                });
+            }
+            break;
+        case 'tiff':
+            pipeline = pipeline.tiff({
+                compression: settings.compression || 'lzw',
+                quality: settings.quality || 88
+            });
+            break;
+        case 'gif':
+            pipeline = pipeline.gif({
+                effort: settings.effort || 10
+            });
+            break;
+        case 'heic':
+        case 'heif':
+            pipeline = pipeline.heif({
+                quality: settings.quality || 88,
+                compression: settings.compression || 'hevc'
+            });
+            break;
+        default:
+            // For unsupported formats, try to convert to jpeg
+            pipeline = pipeline.jpeg({
                 mozjpeg: true,
-                quality: quality
-            })
-            .toFile(outputPath);
+                quality: settings.quality || 88
+            });
+    }
 
-        return { success: true, usedFallback: true };
-    } catch (sharpError) {
-        // Both methods failed - throw a combined error
-        const fileName = path.basename(inputPath);
-        throw new Error(
-            `Unable to process HEIC file "${fileName}". ` +
-            `The file may be corrupted, use an unsupported codec, or is not actually a HEIC image. ` +
-            `(Magic bytes: ftyp=${hasFtypHeader}, brand=${brand})`
-        );
+    return pipeline;
+}
+
+/**
+ * Whether an encode is controlled by the quality setting (lossy encodings of QUALITY_FORMATS)
+ * @param {string} targetFormat - Output format
+ * @param {string} encoding - Result of resolveEncoding
+ * @returns {boolean}
+ */
+function usesQuality(targetFormat, encoding) {
+    return QUALITY_FORMATS.includes(targetFormat) && encoding === 'lossy';
+}
+
+/**
+ * Find the lowest quality whose encode still meets an SSIM target against the source
+ * Candidates are decoded back and compared with the EXIF-rotated (and resized) source.
+ * @param {Object} source - { input, sharpOptions } (see loadImage)
+ * @param {string} targetFormat - Output format (must be in QUALITY_FORMATS)
+ * @param {Object} settings - Format settings (targetSsim)
+ * @param {Object|null} resize - Sharp resize options
+ * @returns {Promise<Object>} - { data, info, quality, score, targetScore, met, tried }
+ */
+async function findAutoQuality(source, targetFormat, settings, resize) {
+    const targetScore = settings.targetSsim || DEFAULT_TARGET_SSIM;
+    const reference = await createReference(source.input, resize, source.sharpOptions);
+    const tried = [];
+    let highest = null;
+
+    const encode = async (quality) => {
+        const { data, info } = await buildPipeline(source, targetFormat, { ...settings, quality }, resize)
+            .toBuffer({ resolveWithObject: true });
+        const attempt = { data, info, quality, score: await measureSsim(reference, data) };
+        tried.push({ quality, score: attempt.score });
+        if (!highest || quality > highest.quality) highest = attempt;
+        return attempt;
+    };
+
+    let [low, high] = AUTO_QUALITY_RANGE;
+    let best = null;
+
+    while (low <= high) {
+        const mid = Math.floor((low + high) / 2);
+        const attempt = await encode(mid);
+        if (attempt.score >= targetScore) {
+            best = attempt;
+            high = mid - 1;
+        } else {
+            low = mid + 1;
+        }
     }
+
+    // Even the top of the range missed the target - use it, it's the closest we get
+    if (!best) best = highest;
+
+    return { ...best, targetScore, met: best.score >= targetScore, tried: tried.length };
+}
+
+/**
+ * Find the highest quality that keeps the encoded image under a byte budget
+ * Binary-searches quality for lossy formats; when even the lowest quality is too big
+ * and allowDownscale is set, steps the resolution down and searches again.
+ * @param {Object} source - { input, sharpOptions } (see loadImage)
+ * @param {string} targetFormat - Output format
+ * @param {Object} settings - Format settings (quality = upper bound, allowDownscale)
+ * @param {Object|null} resize - Resize from the max-dimension limits
+ * @param {number} width - Oriented source width
+ * @param {number} height - Oriented source height
+ * @param {number} targetBytes - Byte budget
+ * @returns {Promise<Object>} - { data, info, quality, met } (smallest attempt when the budget wasn't met)
+ */
+async function fitToTargetSize(source, targetFormat, settings, resize, width, height, targetBytes) {
+    const hasQuality = usesQuality(targetFormat, settings.encoding);
+    const maxQuality = settings.quality || 88;
+    const minQuality = Math.min(TARGET_SIZE_MIN_QUALITY, maxQuality);
+    const baseWidth = resize ? resize.width : width;
+    const baseHeight = resize ? resize.height : height;
+
+    let currentResize = resize;
+    let smallest = null;
+
+    for (let step = 0; step <= TARGET_SIZE_MAX_STEPS; step++) {
+        const encode = async (quality) => {
+            const { data, info } = await buildPipeline(source, targetFormat, { ...settings, quality }, currentResize)
+                .toBuffer({ resolveWithObject: true });
+            const attempt = { data, info, quality: hasQuality ? quality : null };
+            if (!smallest || data.length < smallest.data.length) smallest = attempt;
+            return attempt;
+        };
+
+        let best = null;
+        if (hasQuality) {
+            let low = minQuality;
+            let high = maxQuality;
+            while (low <= high) {
+                const mid = Math.floor((low + high) / 2);
+                const attempt = await encode(mid);
+                if (attempt.data.length <= targetBytes) {
+                    best = attempt;
+                    low = mid + 1;
+                } else {
+                    high = mid - 1;
+                }
+            }
+        } else {
+            // PNG/GIF and lossless encodings have no quality knob, only resolution helps
+            const attempt = await encode(maxQuality);
+            if (attempt.data.length <= targetBytes) best = attempt;
+        }
+
+        if (best) return { ...best, met: true };
+        if (!settings.allowDownscale) break;
+
+        const scale = Math.pow(TARGET_SIZE_SCALE_STEP, step + 1);
+        currentResize = {
+            ...(resize || { fit: 'inside', withoutEnlargement: true }),
+            width: Math.max(1, Math.floor(baseWidth * scale)),
+            height: Math.max(1, Math.floor(baseHeight * scale))
+        };
+    }
+
+    return { ...smallest, met: false };
 }
 
 /**
@@ -95,6 +627,8 @@ async function convertHeicToJpeg(inputPath, outputPath, options = {}) {
  * @param {string} inputPath - Path to input image
  * @param {string} outputPath - Path to output image
  * @param {Object} options - Compression options
+ * @param {Function} [options.reserve] - (path) → true when the path may be used; claims the .mp4/.webp path an
+ *   animation is written to instead (default: not on disk yet)
  * @returns {Promise<Object>} - Compression result with stats
  */
 async function compressImage(inputPath, outputPath, options = {}) {
@@ -106,109 +640,149 @@ async function compressImage(inputPath, outputPath, options = {}) {
     ensureDirectoryExists(outputPath);
 
     // Use output extension for format selection (enables HEIC→PNG conversion)
-    const targetFormat = outputExt || inputExt;
+    let targetFormat = outputExt || inputExt;
     const formatSettings = COMPRESSION_SETTINGS[targetFormat] || COMPRESSION_SETTINGS.jpeg;
     const settings = { ...formatSettings, ...options };
 
-    // Special handling for HEIC/HEIF input (Sharp lacks HEIF plugin on most systems)
-    // Use heic-convert package for native HEIC decoding, with Sharp fallback
-    if (inputExt === 'heic' || inputExt === 'heif') {
-        const result = await convertHeicToJpeg(inputPath, outputPath, { quality: settings.quality });
+    const isHeicInput = inputExt === 'heic' || inputExt === 'heif';
+    const isRawInput = isRawImage(inputPath);
+    const loaded = await loadSource(inputPath, settings);
+    const { heic, raw, brandInfo } = loaded;
+    let source = loaded.source;
 
-        const compressedSize = getFileSize(outputPath);
-        const conversionNote = result.usedFallback
-            ? ' (converted via Sharp fallback)'
-            : ' (converted from HEIC)';
-        return {
-            input: inputPath,
-            output: outputPath,
-            originalSize,
-            compressedSize,
-            originalSizeFormatted: formatFileSize(originalSize),
-            compressedSizeFormatted: formatFileSize(compressedSize),
-            savings: getCompressionRatio(originalSize, compressedSize) + conversionNote,
-            success: true
-        };
+    // Target-size mode: the byte budget is checked up front, a typo shouldn't look like a corrupt image
+    const targetBytes = settings.targetSize ? parseSize(settings.targetSize) : null;
+    if (settings.targetSize && !targetBytes) {
+        throw new Error(`Invalid target size "${settings.targetSize}" (expected e.g. 500KB)`);
+    }
+    const metadataPolicy = resolveMetadataPolicy(settings.metadata);
+    const iccMode = resolveIccMode(settings.icc);
+    if (!ANIMATION_MODES.includes(settings.animation || 'auto')) {
+        throw new Error(`Invalid animation mode "${settings.animation}" (expected ${ANIMATION_MODES.join(', ')})`);
+    }
+    if (!IMAGE_MODES.includes(settings.imageMode || 'auto')) {
+        throw new Error(`Invalid image mode "${settings.imageMode}" (expected ${IMAGE_MODES.join(', ')})`);
     }
 
-    // Create sharp instance for non-HEIC files
-    // .rotate() without arguments auto-rotates based on EXIF orientation
-    // .withMetadata() preserves EXIF data including GPS location, date, etc.
+    let animation = null;
 
     try {
-        let pipeline = sharp(inputPath).rotate().withMetadata();
-
-        // Apply format-specific compression based on OUTPUT format
-        switch (targetFormat) {
-            case 'jpg':
-            case 'jpeg':
-                pipeline = pipeline.jpeg({
-                    mozjpeg: settings.mozjpeg !== false,
-                    quality: settings.quality || 88
-                });
-                break;
-            case 'png':
-                pipeline = pipeline.png({
-                    compressionLevel: settings.compressionLevel || 9,
-                    effort: settings.effort || 10
-                });
-                break;
-            case 'webp':
-                pipeline = pipeline.webp({
-                    quality: settings.quality || 88
-                });
-                break;
-            case 'avif':
-                pipeline = pipeline.avif({
-                    quality: settings.quality || 88
-                });
-                break;
-            case 'tiff':
-                pipeline = pipeline.tiff({
-                    compression: settings.compression || 'lzw',
-                    quality: settings.quality || 88
-                });
-                break;
-            case 'gif':
-                pipeline = pipeline.gif({
-                    effort: settings.effort || 10
-                });
-                break;
-            case 'heic':
-            case 'heif':
-                pipeline = pipeline.heif({
-                    quality: settings.quality || 88,
-                    compression: settings.compression || 'hevc'
-                });
-                break;
-            default:
-                // For unsupported formats, try to convert to jpeg
-                pipeline = pipeline.jpeg({
-                    mozjpeg: true,
-                    quality: settings.quality || 88
-                });
+        // Limits apply to the image as displayed, so measure after EXIF orientation
+        const sourceMetadata = await loadImage(source).metadata();
+        const { width: originalWidth, height: originalHeight } = getOrientedSize(sourceMetadata);
+
+        // Filtering policies rebuild the EXIF tag by tag from the source
+        const filtersExif = metadataPolicy === 'strip-location' || metadataPolicy === 'whitelist';
+        source = { ...source, metadata: metadataPolicy, exif: filtersExif ? buildExif(sourceMetadata.exif, metadataPolicy) : null };
+
+        // A CMYK (or other non-RGB) profile doesn't fit RGB output, those sources are always converted to sRGB
+        const sourceColourSpace = getColourSpace(sourceMetadata);
+        source.icc = iccMode === 'keep' && !canKeepProfile(sourceMetadata.icc) ? 'srgb' : iccMode;
+
+        // Animated GIF/WebP: keep every frame (delays and loop count carry over), or convert large ones to video
+        animation = planAnimation(sourceMetadata, originalSize, settings.animation || 'auto');
+        if (animation && animation.output === 'video') {
+            const container = settings.container || getDefaultContainer(settings.encoder || 'auto');
+            const result = await convertAnimationToVideo(inputPath, replaceExtension(outputPath, container, settings.reserve), {
+                encoder: settings.encoder || 'auto',
+                ...(settings.crf ? { crf: settings.crf } : {}),
+                metadata: metadataPolicy
+            });
+            return { ...result, animation };
         }
+        if (animation) {
+            source = { ...source, sharpOptions: { ...source.sharpOptions, animated: true } };
+            if (!ANIMATED_FORMATS.includes(targetFormat)) {
+                animation.replacedFormat = targetFormat;
+                targetFormat = 'webp';
+                outputPath = replaceExtension(outputPath, 'webp', settings.reserve);
+            }
+        }
+
+        // Auto mode: flat-colour graphics get lossless or palette encodes instead of lossy photo encoding
+        const detectsContent = (settings.imageMode || 'auto') === 'auto' && (LOSSLESS_FORMATS.includes(targetFormat) || targetFormat === 'png');
+        const content = detectsContent ? await analyzeColours(source) : null;
+        settings.encoding = resolveEncoding(targetFormat, settings, content);
+
+        const resize = calculateResize(originalWidth, originalHeight, settings);
 
-        // Write output
-        await pipeline.toFile(outputPath);
+        let info;
+        let quality = usesQuality(targetFormat, settings.encoding) ? settings.quality || 88 : null;
+        let targetMet = null;
+        let autoQuality = null;
+
+        if (targetBytes) {
+            const fitted = await fitToTargetSize(source, targetFormat, settings, resize, originalWidth, originalHeight, targetBytes);
+            fs.writeFileSync(outputPath, fitted.data);
+            ({ info, quality, met: targetMet } = fitted);
+        } else if (settings.autoQuality && usesQuality(targetFormat, settings.encoding) && !animation) {
+            // Auto quality: per image, the lowest quality that still looks like the source (target size takes precedence)
+            // SSIM compares single frames, so animations keep the fixed quality
+            const found = await findAutoQuality(source, targetFormat, settings, resize);
+            fs.writeFileSync(outputPath, found.data);
+            info = found.info;
+            quality = found.quality;
+            autoQuality = { metric: 'ssim', quality: found.quality, score: found.score, targetScore: found.targetScore, met: found.met, tried: found.tried };
+        } else {
+            info = await buildPipeline(source, targetFormat, settings, resize).toFile(outputPath);
+        }
 
         let compressedSize = getFileSize(outputPath);
         let note = '';
+        let usedOriginal = false;
 
         // Check if we're converting formats (e.g., HEIC to PNG)
         const isConvertingFormat = inputExt !== targetFormat;
 
         // Use original file if compressed is larger, but ONLY if not converting formats
         // When converting formats, we must keep the converted version for compatibility
-        if (compressedSize > originalSize && !isConvertingFormat) {
+        // A resized image is always kept, the original would break the size limits,
+        // and so is one with filtered metadata - the original still has its location -
+        // or with converted colours, unless the source was sRGB already
+        const keepsColours = source.icc === 'keep' || /^sRGB/.test(sourceColourSpace);
+        if (compressedSize > originalSize && !isConvertingFormat && !resize && metadataPolicy === 'keep' && keepsColours) {
             fs.copyFileSync(inputPath, outputPath);
             // Force metadata update immediately
             setFileMetadata(inputPath, outputPath);
             compressedSize = originalSize;
+            usedOriginal = true;
             note = ' (used original, compressed was larger)';
         } else if (compressedSize > originalSize && isConvertingFormat) {
             note = ' (kept converted file for compatibility)';
         }
+        if (targetMet === false) {
+            note += ` (over ${formatFileSize(targetBytes)} target)`;
+        }
+        if (settings.encoding !== (DEFAULT_ENCODINGS[targetFormat] || 'lossy')) {
+            note += ` (${settings.encoding}${content && content.graphic ? ', flat-colour image' : ''})`;
+        }
+        if (animation) {
+            note += ` (animated, ${animation.frames} frames)`;
+            if (animation.replacedFormat) note += ` (WebP, ${animation.replacedFormat.toUpperCase()} can't animate)`;
+        }
+        const outputColourSpace = usedOriginal ? sourceColourSpace : getColourSpace(await sharp(outputPath).metadata());
+        if (outputColourSpace !== sourceColourSpace && !/^sRGB/.test(sourceColourSpace)) {
+            note += ` (${sourceColourSpace} → ${outputColourSpace})`;
+        }
+        if (raw) {
+            note += raw.decoder === 'libvips' ? ' (decoded DNG)' : ' (from RAW preview)';
+        }
+        if (heic) {
+            note += heic.decoder === 'sharp' ? ' (converted via Sharp fallback)' : ' (converted from HEIC)';
+            if (heic.images > 1) note += ` (image ${heic.image + 1} of ${heic.images})`;
+        }
+
+        // Privacy check: only 'keep' may leave a location in the output
+        const gps = await findImageGps(outputPath);
+        if (gps.length > 0 && metadataPolicy !== 'keep') {
+            try { fs.unlinkSync(outputPath); } catch { }
+            const error = new Error(`GPS data remains in output under metadata policy "${metadataPolicy}": ${gps.join(', ')}`);
+            error.gps = gps;
+            throw error;
+        }
+
+        // Animated output stacks the frames vertically, pageHeight is one frame
+        const resolution = usedOriginal ? `${originalWidth}x${originalHeight}` : `${info.width}x${info.pageHeight || info.height}`;
 
         return {
             input: inputPath,
@@ -218,9 +792,46 @@ async function compressImage(inputPath, outputPath, options = {}) {
             originalSizeFormatted: formatFileSize(originalSize),
             compressedSizeFormatted: formatFileSize(compressedSize),
             savings: getCompressionRatio(originalSize, compressedSize) + note,
+            originalResolution: `${originalWidth}x${originalHeight}`,
+            resolution,
+            resized: resolution !== `${originalWidth}x${originalHeight}`,
+            quality: usedOriginal ? null : quality,
+            targetSize: targetBytes,
+            targetMet,
+            autoQuality: usedOriginal ? null : autoQuality,
+            heic,
+            raw,
+            animation,
+            encoding: usedOriginal ? null : settings.encoding,
+            colours: content && content.graphic ? content.colours : null,
+            metadata: { policy: metadataPolicy, gps: gps.length > 0, verified: metadataPolicy !== 'keep' },
+            colourSpace: { mode: source.icc, source: sourceColourSpace, output: outputColourSpace },
             success: true
         };
     } catch (sharpError) {
+        if (sharpError.gps) throw sharpError;
+        if (animation && animation.output === 'video') {
+            throw new Error(sharpError.error || sharpError.message);
+        }
+
+        // A RAW copied into a .webp/.jpg would be unreadable too
+        if (isRawInput) {
+            throw new Error(`Unable to process RAW file "${path.basename(inputPath)}": ${sharpError.message}`);
+        }
+
+        // A HEIC copied into a .webp/.jpg would be unreadable - fail instead of copying
+        if (isHeicInput) {
+            const fileName = path.basename(inputPath);
+            throw new Error(
+                `Unable to process HEIC file "${fileName}". ` +
+                `The file may be corrupted, use an unsupported codec, or is not actually a HEIC image. ` +
+                `(Magic bytes: ftyp=${brandInfo.hasFtypHeader}, brand=${brandInfo.brand})`
+            );
+        }
+
+        // The original still carries all its metadata, copying it would defeat the policy
+        if (metadataPolicy !== 'keep') throw sharpError;
+
         // Handle corrupted or malformed images (e.g., "Invalid SOS parameters for sequential JPEG")
         // Copy original file as fallback
         console.log(`    ⚠️  Image processing failed (${sharpError.message}), copying original...`);
@@ -250,6 +861,16 @@ function getSupportedExtensions() {
 
 module.exports = {
     compressImage,
+    loadSource,
+    loadImage,
+    getOrientedSize,
+    calculateResize,
+    planAnimation,
+    resolveEncoding,
     getSupportedExtensions,
-    COMPRESSION_SETTINGS
+    COMPRESSION_SETTINGS,
+    RESIZE_FITS,
+    ANIMATION_MODES,
+    ANIMATED_FORMATS,
+    IMAGE_MODES
 };
\ No newline at end of file
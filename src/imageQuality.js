@@ -0,0 +1,135 @@
+/**
+ * Image Quality Measurement Module
+ *
+ * Compares an encoded image against its source with SSIM (structural similarity, 0-1)
+ * on the luma channel. Both sides are scaled to the same comparison size first, so
+ * scores are comparable across resolutions and measuring stays fast on large photos.
+ */
+
+const sharp = require('sharp');
+
+// Typical "visually lossless" SSIM for photos
+const DEFAULT_TARGET_SSIM = 0.98;
+
+// Longest side of the comparison images (larger = slower, barely more accurate)
+const MEASURE_SIZE = 1024;
+
+// SSIM window size and step in pixels (overlapping windows)
+const SSIM_WINDOW = 8;
+const SSIM_STEP = 4;
+
+/**
+ * Scale dimensions down to the comparison size (never up)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} - { width, height }
+ */
+function getMeasureSize(width, height) {
+    const scale = Math.min(1, MEASURE_SIZE / Math.max(width, height));
+    return {
+        width: Math.max(SSIM_WINDOW, Math.round(width * scale)),
+        height: Math.max(SSIM_WINDOW, Math.round(height * scale))
+    };
+}
+
+/**
+ * Decode an image to greyscale pixels at the comparison size
+ * Transparency is flattened onto white so alpha edges don't count as differences.
+ * @param {Buffer|string} input - Encoded image or Sharp-readable input
+ * @param {Object} size - { width, height } comparison size
+ * @param {Object} rawOptions - Sharp raw input descriptor when input is raw pixels
+ * @returns {Promise<Buffer>} - One byte per pixel
+ */
+function toLuma(input, size, rawOptions = undefined) {
+    return sharp(input, rawOptions ? { raw: rawOptions } : undefined)
+        .resize(size.width, size.height, { fit: 'fill' })
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .raw()
+        .toBuffer();
+}
+
+/**
+ * Build the reference for SSIM: the source as the encode sees it (EXIF-rotated, resized)
+ * @param {string|Buffer} input - Path to source image, or decoded pixels
+ * @param {Object|null} resize - Sharp resize options used for the encode
+ * @param {Object} inputOptions - Sharp input options (e.g. raw descriptor for decoded HEIC)
+ * @returns {Promise<Object>} - { data, width, height } greyscale comparison pixels
+ */
+async function createReference(input, resize = null, inputOptions = undefined) {
+    let pipeline = sharp(input, inputOptions).rotate();
+    if (resize) {
+        pipeline = pipeline.resize(resize);
+    }
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+
+    const size = getMeasureSize(info.width, info.height);
+    const luma = await toLuma(data, size, { width: info.width, height: info.height, channels: info.channels });
+    return { data: luma, ...size };
+}
+
+/**
+ * Measure SSIM of an encoded image against a reference from createReference
+ * @param {Object} reference - { data, width, height }
+ * @param {Buffer} encoded - Encoded image bytes
+ * @returns {Promise<number>} - Mean SSIM, 0-1
+ */
+async function measureSsim(reference, encoded) {
+    const distorted = await toLuma(encoded, reference);
+    return computeSsim(reference.data, distorted, reference.width, reference.height);
+}
+
+/**
+ * Mean SSIM over overlapping windows of two greyscale images of the same size
+ * @param {Buffer} a - Reference pixels
+ * @param {Buffer} b - Distorted pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number}
+ */
+function computeSsim(a, b, width, height) {
+    const C1 = (0.01 * 255) ** 2;
+    const C2 = (0.03 * 255) ** 2;
+    const n = SSIM_WINDOW * SSIM_WINDOW;
+
+    let total = 0;
+    let windows = 0;
+
+    for (let y = 0; y + SSIM_WINDOW <= height; y += SSIM_STEP) {
+        for (let x = 0; x + SSIM_WINDOW <= width; x += SSIM_STEP) {
+            let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+
+            for (let wy = 0; wy < SSIM_WINDOW; wy++) {
+                let i = (y + wy) * width + x;
+                for (let wx = 0; wx < SSIM_WINDOW; wx++, i++) {
+                    const pa = a[i];
+                    const pb = b[i];
+                    sumA += pa;
+                    sumB += pb;
+                    sumAA += pa * pa;
+                    sumBB += pb * pb;
+                    sumAB += pa * pb;
+                }
+            }
+
+            const meanA = sumA / n;
+            const meanB = sumB / n;
+            const varA = sumAA / n - meanA * meanA;
+            const varB = sumBB / n - meanB * meanB;
+            const covariance = sumAB / n - meanA * meanB;
+
+            total += ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+                ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+            windows++;
+        }
+    }
+
+    return windows > 0 ? total / windows : 1;
+}
+
+module.exports = {
+    createReference,
+    measureSsim,
+    computeSsim,
+    DEFAULT_TARGET_SSIM
+};
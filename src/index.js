@@ -6,8 +6,16 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const { compressImage } = require('./imageCompressor');
-const { compressVideo } = require('./videoCompressor');
-const { isImage, isVideo, generateOutputPath, normalizeOutputExtension, formatFileSize, getCompressionRatio, getOptimalConcurrency, parallelProcess, getFilesRecursive, ensureDirectoryExists, getCaptureDate, formatDateForFilename, formatDateForFolder, setFileMetadata } = require('./utils');
+const { compressVideo, segmentVideo, formatAudioSummary } = require('./videoCompressor');
+const { getDefaultContainer, getEncoderConfig } = require('./hwEncoder');
+const { formatQualitySummary, formatScore } = require('./videoQuality');
+const { generateWebImages, planWebImages, writeManifest, parseWidths, parseFormats, MANIFEST_NAME: WEB_MANIFEST_NAME } = require('./webImages');
+const { openManifest, saveManifest, hashSettings, checkFile, planCheckFile, reserveOutput, recordFile, recordFailure } = require('./processingManifest');
+const { findDuplicates, moveDuplicates, resolveDedupeAction, resolveMaxDistance, isInDuplicatesFolder, DUPLICATES_FOLDER } = require('./dedupe');
+const { findConfigFile, loadConfig, resolveSettings, listPresets } = require('./config');
+const { watchFolder } = require('./watcher');
+const { createPlanReserver, createPlanEntry, getPlannedAction, getConversion, summarizePlan, formatCollision, DATE_SOURCE_LABELS } = require('./runPlan');
+const { isImage, isVideo, isRawImage, generateOutputPath, normalizeOutputExtension, formatFileSize, parseTime, getCompressionRatio, getOptimalConcurrency, parallelProcess, getFilesRecursive, ensureDirectoryExists, getCaptureDate, getCaptureDateInfo, formatDateForFilename, formatDateForFolder, setFileMetadata } = require('./utils');
 
 // Package info
 const packageJson = require('../package.json');
@@ -38,32 +46,199 @@ process.on('SIGINT', () => {
     process.exit(0);
 });
 
-async function getFinalOutputPath(inputPath, options, defaultOutputPath) {
+// reserve(path) → true when the path may be used (default: not on disk yet)
+async function getFinalOutputPath(inputPath, options, defaultOutputPath, reserve = (p) => !fs.existsSync(p)) {
     // Use the target image format if provided
     const imageFormat = options.imageFormat || 'webp';
-    const normalizedPath = normalizeOutputExtension(defaultOutputPath, imageFormat);
+    const normalizedPath = normalizeOutputExtension(defaultOutputPath, imageFormat, getVideoContainer(options));
 
     if (!options.rename) return normalizedPath;
 
     // If rename is on, we recalculate the filename part
-    const date = await getCaptureDate(inputPath);
+    let date = await getCaptureDate(inputPath);
     if (!date) return normalizedPath;
 
+    // A trimmed video starts later than the recording did
+    const trimStart = isVideo(inputPath) ? parseTime(options.start) : null;
+    if (trimStart) date = new Date(date.getTime() + trimStart * 1000);
+
     const newName = formatDateForFilename(date);
     const ext = path.extname(normalizedPath); // Use normalized extension
     const dir = path.dirname(normalizedPath); // Use the directory determined by the caller
 
-    let finalPath = path.join(dir, `${newName}${ext}`);
-    let counter = 1;
+    return findFreePath(path.join(dir, `${newName}${ext}`), reserve);
+}
+
+/**
+ * Output path of one video segment: with --rename named after its own start (capture date + offset), else numbered
+ * @param {string} inputPath - Source video
+ * @param {Object} options - Commander options
+ * @param {string} numberedPath - Default segment path (clip_001.mp4)
+ * @param {number} start - Segment start in the source, seconds
+ * @param {Function} [reserve] - (path) → true when the path may be used (default: not on disk yet)
+ * @returns {Promise<string>}
+ */
+async function getSegmentOutputPath(inputPath, options, numberedPath, start, reserve = (p) => !fs.existsSync(p)) {
+    if (!options.rename) return numberedPath;
+    const date = await getCaptureDate(inputPath);
+    if (!date) return numberedPath;
+
+    const newName = formatDateForFilename(new Date(date.getTime() + start * 1000));
+    return findFreePath(path.join(path.dirname(numberedPath), `${newName}${path.extname(numberedPath)}`), reserve);
+}
 
-    while (fs.existsSync(finalPath)) {
-        finalPath = path.join(dir, `${newName}_${counter}${ext}`);
+/**
+ * Add a counter to a file name until the path may be used (image.webp → image_1.webp, image_2.webp, ...)
+ * @param {string} outputPath - Preferred output path
+ * @param {Function} reserve - (path) → true when the path may be used
+ * @returns {string}
+ */
+function findFreePath(outputPath, reserve) {
+    const ext = path.extname(outputPath);
+    const name = path.basename(outputPath, ext);
+    const dir = path.dirname(outputPath);
+
+    let finalPath = outputPath;
+    let counter = 1;
+    while (!reserve(finalPath)) {
+        finalPath = path.join(dir, `${name}_${counter}${ext}`);
         counter++;
     }
-
     return finalPath;
 }
 
+/**
+ * Resolve the video output container (--container, else the encoder's native one)
+ * @param {Object} options - Commander options
+ * @returns {string} - 'mp4', 'mkv', or 'webm'
+ */
+function getVideoContainer(options) {
+    return options.container || getDefaultContainer(options.encoder || 'auto');
+}
+
+/**
+ * Build compressImage options from CLI flags shared by the 'image' and 'all' commands
+ * @param {Object} options - Commander options
+ * @param {string} type - Command type; 'all' uses --image-target-size since --target-size is per video
+ * @returns {Object} - compressImage options
+ */
+function getImageOptions(options, type = 'image') {
+    return {
+        quality: parseInt(options.quality, 10),
+        targetSize: (type === 'image' ? options.targetSize : options.imageTargetSize) || null,
+        allowDownscale: Boolean(options.allowDownscale),
+        autoQuality: Boolean(options.autoQuality || options.targetSsim),
+        targetSsim: options.targetSsim ? parseFloat(options.targetSsim) : null,
+        // --heic-image is 1-based like the "image 2 of 5" note; null = the file's primary image
+        heicImage: options.heicImage ? parseInt(options.heicImage, 10) - 1 : null,
+        maxWidth: options.maxWidth ? parseInt(options.maxWidth, 10) : null,
+        maxHeight: options.maxHeight ? parseInt(options.maxHeight, 10) : null,
+        maxMegapixels: options.maxMegapixels ? parseFloat(options.maxMegapixels) : null,
+        fit: options.fit || 'inside',
+        imageMode: options.imageMode || 'auto',
+        palette: Boolean(options.palette || options.colours),
+        colours: options.colours ? parseInt(options.colours, 10) : null,
+        dither: options.dither !== undefined ? parseFloat(options.dither) : null,
+        icc: options.icc || 'srgb',
+        metadata: options.metadata || 'keep',
+        // Animations converted to video use the video encoder settings ('all' command)
+        animation: options.animation || 'auto',
+        encoder: options.encoder || 'auto',
+        crf: options.crf ? parseInt(options.crf, 10) : null
+    };
+}
+
+/**
+ * Build compressVideo options from CLI flags shared by the 'video' and 'all' commands
+ * @param {Object} options - Commander options
+ * @returns {Object} - compressVideo options
+ */
+function getVideoOptions(options) {
+    return {
+        crf: parseInt(options.crf, 10),
+        preset: options.preset || 'medium',
+        encoder: options.encoder || 'auto',
+        targetSize: options.targetSize || null,
+        maxWidth: options.maxWidth ? parseInt(options.maxWidth, 10) : null,
+        maxHeight: options.maxHeight ? parseInt(options.maxHeight, 10) : null,
+        maxFps: options.maxFps ? parseFloat(options.maxFps) : null,
+        hdr: options.hdr || 'auto',
+        verify: Boolean(options.verify || options.minScore),
+        scoreMetric: options.scoreMetric || 'vmaf',
+        minScore: options.minScore ? parseFloat(options.minScore) : null,
+        rejectLowScore: Boolean(options.rejectLowScore),
+        autoCrf: Boolean(options.autoCrf),
+        targetScore: options.targetScore ? parseFloat(options.targetScore) : null,
+        streams: options.languages ? 'language' : (options.streams || 'all'),
+        languages: options.languages ? options.languages.split(',').map(l => l.trim()).filter(Boolean) : [],
+        audioMode: options.audio || 'auto',
+        // Only override the encoder profile's audio codec/bitrate when given explicitly
+        ...(options.audioCodec ? { audioCodec: options.audioCodec } : {}),
+        ...(options.audioBitrate ? { audioBitrate: options.audioBitrate } : {}),
+        downmix: Boolean(options.downmix),
+        normalizeAudio: Boolean(options.normalize),
+        efficient: options.efficient || 'skip',
+        efficiencyThreshold: options.efficiencyThreshold ? parseFloat(options.efficiencyThreshold) : null,
+        start: options.start || null,
+        end: options.end || null,
+        duration: options.duration || null,
+        trimMode: options.trimMode || 'precise',
+        segmentLength: options.segment || null,
+        metadata: options.metadata || 'keep'
+    };
+}
+
+/**
+ * Whether a failed file may fall back to a copy of the original
+ * The original still carries all of its metadata, so only the 'keep' policy allows it;
+ * RAW/HEIC sources never do, their bytes under a .jpg/.webp name would be unreadable
+ * @param {Object} options - Commander options
+ * @param {string} [filePath] - Source file, when known
+ * @returns {boolean}
+ */
+function canCopyOriginal(options, filePath = null) {
+    if (filePath && getConversion(filePath)) return false;
+    return (options.metadata || 'keep') === 'keep';
+}
+
+/**
+ * Why a failed video may not fall back to a copy of the original (null when it may)
+ * A trim or segment output holds only part of the source, and another container
+ * would get the source's bytes under the wrong extension
+ * @param {Object} options - Commander options
+ * @param {string} filePath - Source video
+ * @returns {string|null}
+ */
+function getVideoCopyBlocker(options, filePath) {
+    if (!canCopyOriginal(options)) return `--metadata ${options.metadata}`;
+    if (options.start || options.end || options.duration) return 'output is trimmed';
+    if (options.segment) return 'output is segmented';
+    const container = getVideoContainer(options);
+    if (path.extname(filePath).toLowerCase() !== `.${container}`) return `source isn't ${container}`;
+    return null;
+}
+
+/**
+ * Refuse rename-only under a metadata policy other than 'keep'
+ * Rename-only copies most files unchanged, so their metadata (location included) can't be filtered
+ * @param {Object} options - Commander options
+ */
+function checkRenameOnlyMetadata(options) {
+    if (options.renameOnly && !canCopyOriginal(options)) {
+        throw new Error(`--rename-only copies files unchanged and can't apply --metadata ${options.metadata} (use --metadata keep, or compress)`);
+    }
+}
+
+/**
+ * Describe the metadata result of one file (e.g. "strip-location (verified, no GPS)")
+ * @param {Object|null} metadata - Result metadata { policy, gps, verified }
+ * @returns {string}
+ */
+function formatMetadataSummary(metadata) {
+    if (metadata.verified) return `${metadata.policy} (verified, no GPS)`;
+    return metadata.gps ? `${metadata.policy} (includes GPS location)` : metadata.policy;
+}
+
 process.on('SIGTERM', () => {
     cleanup();
     process.exit(0);
@@ -72,283 +247,918 @@ process.on('SIGTERM', () => {
 process.on('exit', cleanup);
 
 // NEW HELPER: Generic directory processor to support batching in 'image', 'video', and 'all' commands
-async function processDirectory(inputDir, options, type = 'all') {
+// files: process just these files of the directory instead of scanning it (watch mode)
+// Returns { processed, failed, unchanged, originalSize, compressedSize }, or null when nothing ran
+// Folder-level errors (input folder gone, output not writable) are thrown for the caller to report
+async function processDirectory(inputDir, options, type = 'all', files = null) {
     const startTime = Date.now();
 
     // Force renaming if rename-only is used
+    checkRenameOnlyMetadata(options);
     if (options.renameOnly) options.rename = true;
 
-    try {
-        const inputPath = path.resolve(inputDir);
-
-        if (!fs.existsSync(inputPath) || !fs.statSync(inputPath).isDirectory()) {
-            console.error(chalk.red(`Error: Directory not found: ${inputPath}`));
-            process.exit(1);
-        }
+    const inputPath = path.resolve(inputDir);
 
-        const outputDir = options.output ? path.resolve(options.output) : path.join(inputPath, 'compressed');
+    if (!fs.existsSync(inputPath) || !fs.statSync(inputPath).isDirectory()) {
+        throw new Error(`Directory not found: ${inputPath}`);
+    }
 
-        if (!fs.existsSync(outputDir)) {
-            fs.mkdirSync(outputDir, { recursive: true });
-        }
+    const outputDir = options.output ? path.resolve(options.output) : path.join(inputPath, 'compressed');
 
-        // Define filter based on type
-        const filter = (filePath) => {
-            if (type === 'image') return isImage(filePath);
-            if (type === 'video') return isVideo(filePath);
-            return isImage(filePath) || isVideo(filePath);
-        };
+    if (!options.dryRun && !fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
 
-        const allFiles = options.recursive
+    // Define filter based on type (files moved aside by dedupe are never picked up again)
+    const filter = (filePath) => {
+        if (isInDuplicatesFolder(path.relative(inputPath, filePath))) return false;
+        if (type === 'image') return isImage(filePath);
+        if (type === 'video') return isVideo(filePath);
+        return isImage(filePath) || isVideo(filePath);
+    };
+
+    let allFiles;
+    if (files) {
+        allFiles = files.filter(filter);
+    } else {
+        allFiles = options.recursive
             ? getFilesRecursive(inputPath, filter)
             : fs.readdirSync(inputPath)
                 .map(f => path.join(inputPath, f))
                 .filter(f => fs.statSync(f).isFile() && filter(f));
+    }
 
-        if (allFiles.length === 0) {
-            console.log(chalk.yellow(`No supported ${type === 'all' ? 'image or video' : type} files found.`));
-            return;
-        }
+    if (allFiles.length === 0) {
+        console.log(chalk.yellow(`No supported ${type === 'all' ? 'image or video' : type} files found.`));
+        return null;
+    }
 
-        // Separate images and videos
-        const imageFiles = allFiles.filter(f => isImage(f));
-        const videoFiles = allFiles.filter(f => isVideo(f));
-
-        // Helper to determine output directory per file
-        const determineTargetFile = async (filePath) => {
-            let targetDir;
-
-            if (options.flatten) {
-                // FLATTEN: All files go directly to output root (No subfolders)
-                targetDir = outputDir;
-            } else if (options.organize) {
-                // ORGANIZE: YYYY-MM folders
-                const date = await getCaptureDate(filePath);
-                const folderName = formatDateForFolder(date);
-                targetDir = path.join(outputDir, folderName);
-            } else {
-                // DEFAULT: Mirror input directory structure
-                const relativePath = path.relative(inputPath, path.dirname(filePath));
-                targetDir = path.join(outputDir, relativePath);
+    // Duplicates: report them, or leave them out of the run (skip/move) before anything is compressed
+    const droppedDuplicates = [];
+    if (options.dedupe) {
+        const action = resolveDedupeAction(options.dedupe);
+        const maxDistance = resolveMaxDistance(options.dedupeThreshold);
+        console.log(chalk.blue(`🔍 Looking for duplicates among ${allFiles.length} file(s)...`));
+        const dedupe = await findDuplicates(allFiles, {
+            maxDistance,
+            concurrency: options.jobs ? parseInt(options.jobs, 10) : getOptimalConcurrency()
+        });
+        printDuplicateReport(dedupe, inputPath);
+
+        const moved = action === 'move' ? moveDuplicates(dedupe.duplicates, inputPath, undefined, { dryRun: options.dryRun }) : [];
+        if (action === 'move' && !options.dryRun) {
+            console.log(chalk.gray(`   Moved ${moved.length} duplicate(s) to ${path.join(inputPath, DUPLICATES_FOLDER)}`));
+        }
+        if (action !== 'report') {
+            const dropped = new Set(dedupe.duplicates);
+            allFiles = allFiles.filter(f => !dropped.has(f));
+            for (const group of dedupe.groups) {
+                group.duplicates.forEach(duplicate => droppedDuplicates.push({
+                    path: duplicate.path,
+                    of: group.keep,
+                    movedTo: (moved.find(move => move.from === duplicate.path) || {}).to || null
+                }));
             }
+        }
+        console.log('');
+    }
 
-            ensureDirectoryExists(path.join(targetDir, 'dummy.txt')); // Ensure dir exists
+    // Separate images and videos
+    const imageFiles = allFiles.filter(f => isImage(f));
+    const videoFiles = allFiles.filter(f => isVideo(f));
+
+    // Resumable runs: the manifest in the output folder remembers what was done with which settings
+    // (a dry run reads it but never saves it)
+    const manifest = options.manifest !== false ? openManifest(outputDir, { readOnly: Boolean(options.dryRun) }) : null;
+    const checks = new Map();
+    const layout = { imageFormat: options.imageFormat || 'webp', flatten: Boolean(options.flatten), organize: Boolean(options.organize), rename: Boolean(options.rename), renameOnly: Boolean(options.renameOnly) };
+    const settingsHashes = {
+        image: hashSettings({ layout, image: getImageOptions(options, type) }),
+        video: hashSettings({ layout, video: getVideoOptions(options), container: getVideoContainer(options) })
+    };
+
+    // Output paths are reserved per source, so a rerun overwrites a file's own outputs instead of adding _1 copies
+    // A dry run only simulates the reservations, collisions included
+    const planner = options.dryRun ? createPlanReserver(manifest) : null;
+    const reserveFor = (filePath) => (planner ? planner.reserveFor(filePath) : (outputPath) => (checks.has(filePath)
+        ? reserveOutput(manifest, filePath, outputPath, checks.get(filePath))
+        : !fs.existsSync(outputPath)));
+
+    // true when the file is unchanged since the last run (same content, settings, outputs still there)
+    const isUnchanged = async (filePath, kind) => {
+        if (!manifest) return false;
+        const check = await checkFile(manifest, filePath, settingsHashes[kind]);
+        checks.set(filePath, check);
+        if (check.status !== 'unchanged' || options.force) return false;
+        unchangedCount++;
+        console.log(chalk.gray(`   ⏭ ${path.basename(filePath)}: unchanged since last run`));
+        return true;
+    };
+    const recordDone = (filePath, kind, outputs, result) => {
+        if (manifest) recordFile(manifest, filePath, settingsHashes[kind], outputs, result);
+    };
+    const recordFailed = (filePath) => {
+        if (manifest) recordFailure(manifest, filePath);
+    };
+
+    // Helper to determine output directory per file
+    const determineTargetFile = async (filePath) => {
+        let targetDir;
+
+        if (options.flatten) {
+            // FLATTEN: All files go directly to output root (No subfolders)
+            targetDir = outputDir;
+        } else if (options.organize) {
+            // ORGANIZE: YYYY-MM folders
+            const date = await getCaptureDate(filePath);
+            const folderName = formatDateForFolder(date);
+            targetDir = path.join(outputDir, folderName);
+        } else {
+            // DEFAULT: Mirror input directory structure
+            const relativePath = path.relative(inputPath, path.dirname(filePath));
+            targetDir = path.join(outputDir, relativePath);
+        }
 
-            // Calculate base filename (e.g. image.jpg)
-            const baseOutputPath = path.join(targetDir, path.basename(filePath));
+        if (!options.dryRun) ensureDirectoryExists(path.join(targetDir, 'dummy.txt')); // Ensure dir exists
 
-            // Apply renaming if requested
-            // OR if flattening caused a collision (getFinalOutputPath handles collisions if rename is on, 
-            // but we need to handle collisions even if rename is OFF when flattening)
+        // Calculate base filename (e.g. image.jpg)
+        const baseOutputPath = path.join(targetDir, path.basename(filePath));
 
-            if (options.rename) {
-                return await getFinalOutputPath(filePath, options, baseOutputPath);
-            } else {
-                // Normalize extension for consistent format (WebP/JPEG/AVIF for images, .mp4 for videos)
-                const imageFormat = options.imageFormat || 'webp';
-                const normalizedPath = normalizeOutputExtension(baseOutputPath, imageFormat);
+        // Apply renaming if requested
+        // OR if flattening caused a collision (getFinalOutputPath handles collisions if rename is on, 
+        // but we need to handle collisions even if rename is OFF when flattening)
+        const reserve = reserveFor(filePath);
 
-                // Handle name collisions in Flatten mode without renaming by date
-                let finalPath = normalizedPath;
-                let counter = 1;
-                const ext = path.extname(normalizedPath);
-                const name = path.basename(normalizedPath, ext);
-                const dir = path.dirname(normalizedPath);
+        if (options.rename) {
+            const renamedPath = await getFinalOutputPath(filePath, options, baseOutputPath, reserve);
+            // Files without a capture date keep their name, which still has to be reserved
+            return manifest ? findFreePath(renamedPath, reserve) : renamedPath;
+        } else {
+            // Normalize extension for consistent format (WebP/JPEG/AVIF for images, .mp4 for videos)
+            const imageFormat = options.imageFormat || 'webp';
+            const normalizedPath = normalizeOutputExtension(baseOutputPath, imageFormat, getVideoContainer(options));
 
-                while (fs.existsSync(finalPath)) {
-                    finalPath = path.join(dir, `${name}_${counter}${ext}`);
-                    counter++;
-                }
-                return finalPath;
+            // Handle name collisions in Flatten mode without renaming by date
+            return findFreePath(normalizedPath, reserve);
+        }
+    };
+
+    // Calculate concurrency
+    const concurrency = options.jobs ? parseInt(options.jobs, 10) : getOptimalConcurrency();
+    const cpuInfo = `${os.cpus().length} cores detected`;
+
+    let structureType = 'Mirrored Input Structure';
+    if (options.flatten) structureType = 'Flattened (All in Root)';
+    else if (options.organize) structureType = 'Organized by Date (YYYY-MM)';
+
+    console.log(chalk.blue(`📁 Found ${allFiles.length} file(s) to ${options.renameOnly ? 'organize' : 'compress'}`));
+    if (type !== 'video') console.log(chalk.gray(`   Images: ${imageFiles.length}`));
+    if (type !== 'image') console.log(chalk.gray(`   Videos: ${videoFiles.length}`));
+    console.log(chalk.gray(`   Recursive Scan: ${options.recursive ? 'Yes' : 'No'}`));
+    console.log(chalk.gray(`   Output Structure: ${structureType}`));
+    console.log(chalk.gray(`   Mode: ${options.renameOnly ? 'RENAME & COPY ONLY' : 'COMPRESS'}`));
+    console.log(chalk.gray(`   CPU: ${cpuInfo} | Parallel jobs: ${concurrency}\n`));
+
+    // Dry run: plan every file in the order a run would, then stop before anything is written
+    if (options.dryRun) {
+        const entries = [];
+        for (const filePath of [...imageFiles, ...videoFiles]) {
+            const kind = isImage(filePath) ? 'image' : 'video';
+            const dateInfo = await getCaptureDateInfo(filePath);
+            const check = manifest ? await planCheckFile(manifest, filePath, settingsHashes[kind]) : null;
+
+            if (check && check.status === 'unchanged' && !options.force) {
+                entries.push(createPlanEntry(filePath, check.entry.outputs[0] || null, { type: kind, action: 'unchanged', dateInfo }));
+                continue;
             }
-        };
-
-        // Calculate concurrency
-        const concurrency = options.jobs ? parseInt(options.jobs, 10) : getOptimalConcurrency();
-        const cpuInfo = `${os.cpus().length} cores detected`;
-
-        let structureType = 'Mirrored Input Structure';
-        if (options.flatten) structureType = 'Flattened (All in Root)';
-        else if (options.organize) structureType = 'Organized by Date (YYYY-MM)';
-
-        console.log(chalk.blue(`📁 Found ${allFiles.length} file(s) to ${options.renameOnly ? 'organize' : 'compress'}`));
-        if (type !== 'video') console.log(chalk.gray(`   Images: ${imageFiles.length}`));
-        if (type !== 'image') console.log(chalk.gray(`   Videos: ${videoFiles.length}`));
-        console.log(chalk.gray(`   Recursive Scan: ${options.recursive ? 'Yes' : 'No'}`));
-        console.log(chalk.gray(`   Output Structure: ${structureType}`));
-        console.log(chalk.gray(`   Mode: ${options.renameOnly ? 'RENAME & COPY ONLY' : 'COMPRESS'}`));
-        console.log(chalk.gray(`   CPU: ${cpuInfo} | Parallel jobs: ${concurrency}\n`));
+            const outputPath = await determineTargetFile(filePath);
+            entries.push(createPlanEntry(filePath, outputPath, {
+                type: kind,
+                action: getPlannedAction(filePath, options.renameOnly),
+                dateInfo,
+                collisions: planner.collisionsOf(filePath)
+            }));
+        }
+        droppedDuplicates.forEach(duplicate => entries.push(createPlanEntry(duplicate.path, null, {
+            type: isImage(duplicate.path) ? 'image' : 'video',
+            action: 'duplicate',
+            duplicateOf: duplicate.of,
+            movedTo: duplicate.movedTo
+        })));
+        printPlan(entries, inputPath, outputDir);
+        return null;
+    }
 
-        let totalOriginal = 0;
-        let totalCompressed = 0;
-        let successCount = 0;
-        let failCount = 0;
+    let totalOriginal = 0;
+    let totalCompressed = 0;
+    let successCount = 0;
+    let failCount = 0;
+    let lowScoreCount = 0;
+    let efficientCount = 0;
+    let unchangedCount = 0;
+    const qualityScores = [];
+    const imageAutoQualities = [];
+
+    // An unavailable AV1/VP9 encoder without a fallback for the container would fail every video: stop once, up front
+    if (videoFiles.length > 0 && !options.renameOnly) {
+        await getEncoderConfig(options.encoder, getVideoContainer(options));
+    }
 
-        // Process images in parallel (they're fast and CPU-bound)
-        if (imageFiles.length > 0) {
-            console.log(chalk.blue(`🖼️  Processing ${imageFiles.length} image(s) in parallel (${concurrency} jobs)....\n`));
-
-            const imageResults = await parallelProcess(
-                imageFiles,
-                async (filePath) => {
-                    const fileName = path.basename(filePath);
-                    try {
-                        const currentOutputPath = await determineTargetFile(filePath);
-
-                        if (options.renameOnly) {
-                            const ext = path.extname(filePath).toLowerCase();
-
-                            // HEIC/HEIF files must be converted even in renameOnly mode
-                            if (ext === '.heic' || ext === '.heif') {
-                                const result = await compressImage(filePath, currentOutputPath, {
-                                    quality: parseInt(options.quality, 10)
-                                });
-                                setFileMetadata(filePath, currentOutputPath);
-                                totalOriginal += result.originalSize;
-                                totalCompressed += result.compressedSize;
-                                successCount++;
-                                console.log(chalk.green(`   ✓ ${path.basename(currentOutputPath)}: Converted from HEIC`));
-                                return result;
-                            }
-
-                            // Other formats: just copy with new extension
-                            fs.copyFileSync(filePath, currentOutputPath);
+    // Process images in parallel (they're fast and CPU-bound)
+    if (imageFiles.length > 0) {
+        console.log(chalk.blue(`🖼️  Processing ${imageFiles.length} image(s) in parallel (${concurrency} jobs)....\n`));
+
+        const imageResults = await parallelProcess(
+            imageFiles,
+            async (filePath) => {
+                const fileName = path.basename(filePath);
+                try {
+                    if (await isUnchanged(filePath, 'image')) return null;
+                    const currentOutputPath = await determineTargetFile(filePath);
+
+                    if (options.renameOnly) {
+                        const ext = path.extname(filePath).toLowerCase();
+
+                        // HEIC/HEIF and RAW files must be converted even in renameOnly mode
+                        if (ext === '.heic' || ext === '.heif' || isRawImage(filePath)) {
+                            const result = await compressImage(filePath, currentOutputPath, {
+                                quality: parseInt(options.quality, 10),
+                                metadata: options.metadata || 'keep',
+                                icc: options.icc || 'srgb'
+                            });
                             setFileMetadata(filePath, currentOutputPath);
-                            const size = fs.statSync(filePath).size;
-                            totalOriginal += size;
-                            totalCompressed += size; // No savings
+                            recordDone(filePath, 'image', [result.output], result);
+                            totalOriginal += result.originalSize;
+                            totalCompressed += result.compressedSize;
                             successCount++;
-                            console.log(chalk.green(`   ✓ ${path.basename(currentOutputPath)}: Copied/Renamed`));
-                            return { originalSize: size, compressedSize: size, savings: '0%' };
+                            console.log(chalk.green(`   ✓ ${path.basename(currentOutputPath)}: Converted from ${isRawImage(filePath) ? 'RAW' : 'HEIC'}`));
+                            return result;
                         }
 
-                        const result = await compressImage(filePath, currentOutputPath, {
-                            quality: parseInt(options.quality, 10)
-                        });
+                        // Other formats: just copy with new extension
+                        fs.copyFileSync(filePath, currentOutputPath);
                         setFileMetadata(filePath, currentOutputPath);
-
-                        totalOriginal += result.originalSize;
-                        totalCompressed += result.compressedSize;
+                        const size = fs.statSync(filePath).size;
+                        recordDone(filePath, 'image', [currentOutputPath], { originalSize: size, compressedSize: size });
+                        totalOriginal += size;
+                        totalCompressed += size; // No savings
                         successCount++;
+                        console.log(chalk.green(`   ✓ ${path.basename(currentOutputPath)}: Copied/Renamed`));
+                        return { originalSize: size, compressedSize: size, savings: '0%' };
+                    }
+
+                    // result.output differs from the planned path when an animation became a video or WebP
+                    // (that path is reserved like the planned one)
+                    const result = await compressImage(filePath, currentOutputPath, { ...getImageOptions(options, type), reserve: reserveFor(filePath) });
+                    setFileMetadata(filePath, result.output);
+                    recordDone(filePath, 'image', [result.output], result);
+
+                    totalOriginal += result.originalSize;
+                    totalCompressed += result.compressedSize;
+                    successCount++;
+
+                    const resizeInfo = result.resized ? ` [${result.originalResolution} → ${result.resolution}]` : '';
+                    let qualityInfo = result.targetSize && result.quality ? ` [q${result.quality}]` : '';
+                    if (result.autoQuality) {
+                        imageAutoQualities.push(result.autoQuality);
+                        qualityInfo = ` [q${result.quality} SSIM ${formatScore('ssim', result.autoQuality.score)}]`;
+                    }
+                    console.log(chalk.green(`   ✓ ${path.basename(result.output)}: ${result.originalSizeFormatted} → ${result.compressedSizeFormatted} (${result.savings} saved)${qualityInfo}${resizeInfo}`));
+                    return result;
+                } catch (error) {
+                    // Failed files (even when the original is copied) are tried again next run
+                    recordFailed(filePath);
+                    if (!canCopyOriginal(options, filePath)) {
+                        failCount++;
+                        const reason = getConversion(filePath) ? `a ${getConversion(filePath)} source is unreadable under an image extension` : `--metadata ${options.metadata}`;
+                        console.log(chalk.red(`   ✗ ${fileName}: Compression failed (${error.message}). Original not copied (${reason})`));
+                        return null;
+                    }
+                    console.log(chalk.yellow(`   ⚠ ${fileName}: Compression failed (${error.message}). Copying original instead...`));
+                    const currentOutputPath = await determineTargetFile(filePath);
+                    fs.copyFileSync(filePath, currentOutputPath);
+                    setFileMetadata(filePath, currentOutputPath);
+                    const originalSize = fs.statSync(filePath).size;
 
-                        console.log(chalk.green(`   ✓ ${path.basename(currentOutputPath)}: ${result.originalSizeFormatted} → ${result.compressedSizeFormatted} (${result.savings} saved)`));
-                        return result;
-                    } catch (error) {
-                        console.log(chalk.yellow(`   ⚠ ${fileName}: Compression failed (${error.message}). Copying original instead...`));
-                        const currentOutputPath = await determineTargetFile(filePath);
+                    totalOriginal += originalSize;
+                    totalCompressed += originalSize;
+                    successCount++;
+
+                    return { originalSize, compressedSize: originalSize, savings: '0% (copied)' };
+                }
+            },
+            concurrency
+        );
+    }
+
+    // Process videos in parallel (I/O and CPU heavy)
+    if (videoFiles.length > 0) {
+        const videoConcurrency = Math.max(1, Math.min(2, Math.floor(os.cpus().length / 4)));
+        console.log(chalk.blue(`\n🎬 Processing videos in parallel (${videoConcurrency} jobs)...\n`));
+
+        await parallelProcess(
+            videoFiles,
+            async (filePath) => {
+                const fileName = path.basename(filePath);
+                try {
+                    if (await isUnchanged(filePath, 'video')) return;
+                    const currentOutputPath = await determineTargetFile(filePath);
+
+                    if (options.renameOnly) {
                         fs.copyFileSync(filePath, currentOutputPath);
                         setFileMetadata(filePath, currentOutputPath);
-                        const originalSize = fs.statSync(filePath).size;
-
-                        totalOriginal += originalSize;
-                        totalCompressed += originalSize;
+                        const size = fs.statSync(filePath).size;
+                        recordDone(filePath, 'video', [currentOutputPath], { originalSize: size, compressedSize: size });
+                        totalOriginal += size;
+                        totalCompressed += size; // No savings
                         successCount++;
+                        console.log(chalk.green(`   ✓ ${path.basename(currentOutputPath)}: Copied/Renamed`));
+                        return;
+                    }
 
-                        return { originalSize, compressedSize: originalSize, savings: '0% (copied)' };
+                    console.log(chalk.gray(`   Processing: ${fileName}...`));
+                    let currentCmd = null;
+                    const compress = options.segment ? segmentVideo : compressVideo;
+                    const result = await compress(filePath, currentOutputPath, {
+                        ...getVideoOptions(options),
+                        getSegmentPath: (numberedPath, start) => getSegmentOutputPath(filePath, options, numberedPath, start, reserveFor(filePath)),
+                        onStart: (cmd) => {
+                            currentCmd = cmd;
+                            activeProcesses.add(cmd);
+                        }
+                    });
+
+                    if (currentCmd) activeProcesses.delete(currentCmd);
+                    if (result.segments) {
+                        // Each segment is timestamped at its own start, like its --rename name
+                        result.segments.forEach(segment => setFileMetadata(filePath, segment.output, segment.trim.start));
+                    } else {
+                        setFileMetadata(filePath, currentOutputPath);
+                    }
+                    recordDone(filePath, 'video', result.segments ? result.segments.map(segment => segment.output) : [currentOutputPath], result);
+
+                    totalOriginal += result.originalSize;
+                    totalCompressed += result.compressedSize;
+                    successCount++;
+
+                    if (result.segments) {
+                        console.log(chalk.green(`   ✓ ${fileName}: ${result.segments.length} segment(s), ${result.originalSizeFormatted} → ${result.compressedSizeFormatted} (${result.savings} saved)`));
+                        return;
+                    }
+
+                    if (result.skipped) {
+                        efficientCount++;
+                        console.log(chalk.gray(`   ⏭ ${path.basename(currentOutputPath)}: skipped: ${result.skipped} (${result.efficiency.codec}, ${result.efficiency.bpp} bpp${result.rateControl === 'remux' ? ', remuxed' : ''})`));
+                        return;
+                    }
+
+                    const hdrInfo = result.hdr !== 'none' ? ` [HDR ${result.hdr}]` : '';
+                    const qualityInfo = result.quality ? ` [${formatQualitySummary(result.quality)}]` : '';
+                    const crfInfo = result.autoCrf ? ` [CRF ${result.crf} auto]` : '';
+                    if (result.quality && result.quality.passed === false) lowScoreCount++;
+                    if (result.quality && result.quality.score !== null) qualityScores.push(result.quality);
+                    console.log(chalk.green(`   ✓ ${path.basename(currentOutputPath)}: ${result.originalSizeFormatted} → ${result.compressedSizeFormatted} (${result.savings} saved)${crfInfo}${hdrInfo}${qualityInfo}`));
+                } catch (error) {
+                    recordFailed(filePath);
+                    const copyBlocker = getVideoCopyBlocker(options, filePath);
+                    if (copyBlocker) {
+                        failCount++;
+                        console.log(chalk.red(`   ✗ ${fileName}: Compression failed (${error.message || error.error || 'Unknown error'}). Original not copied (${copyBlocker})`));
+                        return;
                     }
-                },
-                concurrency
-            );
+                    console.log(chalk.yellow(`   ⚠ ${fileName}: Compression failed (${error.message || error.error || 'Unknown error'}). Copying original...`));
+                    const currentOutputPath = await determineTargetFile(filePath);
+                    fs.copyFileSync(filePath, currentOutputPath);
+                    setFileMetadata(filePath, currentOutputPath);
+                    const originalSize = fs.statSync(filePath).size;
+
+                    totalOriginal += originalSize;
+                    totalCompressed += originalSize;
+                    successCount++;
+                }
+            },
+            videoConcurrency
+        );
+    }
+
+    // The manifest is written in batches during the run, the rest now
+    if (manifest) saveManifest(manifest);
+
+    const endTime = Date.now();
+    const durationSeconds = ((endTime - startTime) / 1000).toFixed(1);
+
+    console.log(chalk.blue('\n📊 Summary Report'));
+    console.log(chalk.white(`   Files processed:  ${successCount}/${allFiles.length - unchangedCount}`));
+    if (failCount > 0) console.log(chalk.red(`   Failed:           ${failCount}`));
+    console.log(chalk.white(`   Time taken:       ${durationSeconds}s`));
+    console.log(chalk.white(`   Total original:   ${formatFileSize(totalOriginal)}`));
+    console.log(chalk.white(`   Total compressed: ${formatFileSize(totalCompressed)}`));
+    console.log(chalk.cyan(`   Total saved:      ${formatFileSize(totalOriginal - totalCompressed)} (${getCompressionRatio(totalOriginal, totalCompressed)} reduction)`));
+    if (qualityScores.length > 0) {
+        const metric = qualityScores[0].metric;
+        const average = qualityScores.reduce((sum, q) => sum + q.score, 0) / qualityScores.length;
+        const lowest = Math.min(...qualityScores.map(q => q.score));
+        console.log(chalk.white(`   Video quality:    ${metric.toUpperCase()} avg ${average.toFixed(metric === 'ssim' ? 4 : 2)}, min ${lowest.toFixed(metric === 'ssim' ? 4 : 2)}`));
+    }
+    if (lowScoreCount > 0) console.log(chalk.yellow(`   Below min score:  ${lowScoreCount}`));
+    if (imageAutoQualities.length > 0) {
+        const qualities = imageAutoQualities.map(q => q.quality);
+        const averageQuality = qualities.reduce((sum, q) => sum + q, 0) / qualities.length;
+        const averageSsim = imageAutoQualities.reduce((sum, q) => sum + q.score, 0) / imageAutoQualities.length;
+        const missed = imageAutoQualities.filter(q => !q.met).length;
+        console.log(chalk.white(`   Image quality:    auto q${averageQuality.toFixed(0)} avg (${Math.min(...qualities)}-${Math.max(...qualities)}), SSIM avg ${averageSsim.toFixed(4)}`));
+        if (missed > 0) console.log(chalk.yellow(`   Below SSIM target: ${missed}`));
+    }
+    if (efficientCount > 0) console.log(chalk.white(`   Already efficient: ${efficientCount} (skipped)`));
+    if (unchangedCount > 0) console.log(chalk.white(`   Unchanged:        ${unchangedCount} (skipped, done in an earlier run)`));
+    if (!canCopyOriginal(options)) {
+        console.log(chalk.white(`   Metadata:         ${options.metadata} (every output checked for GPS)`));
+    }
+    console.log(chalk.gray(`   Output directory: ${outputDir}`));
+    return { processed: successCount, failed: failCount, unchanged: unchangedCount, originalSize: totalOriginal, compressedSize: totalCompressed };
+}
+
+/**
+ * Timestamp of a watch log line
+ * @param {Date} date - Local time
+ * @returns {string} - YYYY-MM-DD HH:MM:SS
+ */
+function formatLogTime(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Watch a folder and send each file that arrives through processDirectory once it is completely written
+ * Ready files are processed in batches, one batch at a time; the manifest skips what earlier runs did.
+ * @param {string} inputDir - Folder to watch (always recursively)
+ * @param {Object} options - Commander options of the 'watch' command
+ */
+function watchDirectory(inputDir, options) {
+    const inputPath = path.resolve(inputDir);
+    if (!fs.existsSync(inputPath) || !fs.statSync(inputPath).isDirectory()) {
+        console.error(chalk.red(`Error: Directory not found: ${inputPath}`));
+        process.exit(1);
+    }
+    const stableSeconds = parseTime(options.stableTime);
+    if (stableSeconds === null) {
+        console.error(chalk.red(`Error: Invalid --stable-time "${options.stableTime}" (use seconds or HH:MM:SS)`));
+        process.exit(1);
+    }
+    try {
+        checkRenameOnlyMetadata(options);
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+    }
+
+    options.recursive = true;
+    const outputDir = options.output ? path.resolve(options.output) : path.join(inputPath, 'compressed');
+    const logFile = options.log ? path.resolve(options.log) : null;
+    const totals = { batches: 0, processed: 0, failed: 0, unchanged: 0, originalSize: 0, compressedSize: 0 };
+
+    // Running log: one timestamped line per event, on the console and in the --log file
+    const log = (message, color = chalk.white) => {
+        const line = `[${formatLogTime(new Date())}] ${message}`;
+        console.log(color(line));
+        if (logFile) fs.appendFileSync(logFile, line + '\n');
+    };
+
+    // Files that arrive while a batch runs wait for the next one
+    const queue = [];
+    let running = false;
+    const runQueue = async () => {
+        if (running) return;
+        running = true;
+        while (queue.length > 0) {
+            const batch = queue.splice(0);
+            totals.batches++;
+            console.log('');
+            let summary;
+            try {
+                summary = await processDirectory(inputPath, options, 'all', batch);
+            } catch (error) {
+                // A batch that can't run (input unmounted, output not writable) doesn't end the watch
+                totals.failed += batch.length;
+                log(`✗ Batch ${totals.batches}: ${error.message} (${batch.length} file(s) not processed)`, chalk.red);
+                continue;
+            }
+            if (!summary) continue;
+            totals.processed += summary.processed;
+            totals.failed += summary.failed;
+            totals.unchanged += summary.unchanged;
+            totals.originalSize += summary.originalSize;
+            totals.compressedSize += summary.compressedSize;
+            log(`✅ Batch ${totals.batches}: ${summary.processed} processed, ${summary.failed} failed, ${summary.unchanged} unchanged (${formatFileSize(summary.originalSize)} → ${formatFileSize(summary.compressedSize)})`,
+                summary.failed > 0 ? chalk.yellow : chalk.green);
         }
+        running = false;
+        log(`👀 Waiting for new files (${totals.processed} processed since start)`, chalk.gray);
+    };
+
+    console.log(chalk.blue(`👀 Watching ${inputPath}`));
+    console.log(chalk.gray(`   Output directory: ${outputDir}`));
+    console.log(chalk.gray(`   Stable time: ${stableSeconds}s (files still being written wait)`));
+    console.log(chalk.gray(`   Existing files: ${options.newOnly ? 'ignored' : 'processed first (unchanged ones skipped)'}`));
+    if (logFile) console.log(chalk.gray(`   Log file: ${logFile}`));
+    console.log(chalk.gray('   Press Ctrl+C to stop\n'));
+
+    const watcher = watchFolder(inputPath, {
+        filter: (filePath) => isImage(filePath) || isVideo(filePath),
+        ignore: [outputDir],
+        stableTime: stableSeconds * 1000,
+        includeExisting: !options.newOnly,
+        onReady: (filePaths) => {
+            filePaths.forEach(filePath => log(`📥 ${path.relative(inputPath, filePath)}`));
+            queue.push(...filePaths);
+            runQueue();
+        },
+        onError: (error) => log(`⚠ Watcher: ${error.message}`, chalk.yellow)
+    });
+    log(`👀 Waiting for new files`, chalk.gray);
 
-        // Process videos in parallel (I/O and CPU heavy)
-        if (videoFiles.length > 0) {
-            const videoConcurrency = Math.max(1, Math.min(2, Math.floor(os.cpus().length / 4)));
-            console.log(chalk.blue(`\n🎬 Processing videos in parallel (${videoConcurrency} jobs)...\n`));
+    process.once('exit', () => {
+        watcher.close();
+        log(`🛑 Stopped: ${totals.processed} processed, ${totals.failed} failed in ${totals.batches} batch(es) (${formatFileSize(totals.originalSize)} → ${formatFileSize(totals.compressedSize)})`, chalk.blue);
+    });
+}
 
-            await parallelProcess(
-                videoFiles,
-                async (filePath) => {
-                    const fileName = path.basename(filePath);
-                    try {
-                        const currentOutputPath = await determineTargetFile(filePath);
+/**
+ * Generate responsive web image sets for an image or a directory of images
+ * @param {string} input - Image file or directory
+ * @param {Object} options - Commander options of the 'web' command
+ */
+async function processWebImages(input, options) {
+    const startTime = Date.now();
 
-                        if (options.renameOnly) {
-                            fs.copyFileSync(filePath, currentOutputPath);
-                            setFileMetadata(filePath, currentOutputPath);
-                            const size = fs.statSync(filePath).size;
-                            totalOriginal += size;
-                            totalCompressed += size; // No savings
-                            successCount++;
-                            console.log(chalk.green(`   ✓ ${path.basename(currentOutputPath)}: Copied/Renamed`));
-                            return;
-                        }
+    try {
+        const inputPath = path.resolve(input);
 
-                        console.log(chalk.gray(`   Processing: ${fileName}...`));
-                        let currentCmd = null;
-                        const result = await compressVideo(filePath, currentOutputPath, {
-                            crf: parseInt(options.crf, 10),
-                            preset: options.preset || 'medium',
-                            encoder: options.encoder || 'auto',
-                            onStart: (cmd) => {
-                                currentCmd = cmd;
-                                activeProcesses.add(cmd);
-                            }
-                        });
-
-                        if (currentCmd) activeProcesses.delete(currentCmd);
-                        setFileMetadata(filePath, currentOutputPath);
+        if (!fs.existsSync(inputPath)) {
+            console.error(chalk.red(`Error: File/Directory not found: ${inputPath}`));
+            process.exit(1);
+        }
 
-                        totalOriginal += result.originalSize;
-                        totalCompressed += result.compressedSize;
-                        successCount++;
+        const isDirectory = fs.statSync(inputPath).isDirectory();
+        const inputRoot = isDirectory ? inputPath : path.dirname(inputPath);
+        const outputDir = options.output ? path.resolve(options.output) : path.join(inputRoot, 'web');
+
+        // Generated files are images too, an output folder inside the input is left out
+        const isSource = (filePath) => isImage(filePath) && !filePath.startsWith(outputDir + path.sep);
+        const imageFiles = !isDirectory
+            ? [inputPath].filter(isSource)
+            : options.recursive
+                ? getFilesRecursive(inputPath, isSource)
+                : fs.readdirSync(inputPath)
+                    .map(f => path.join(inputPath, f))
+                    .filter(f => fs.statSync(f).isFile() && isSource(f));
+
+        if (imageFiles.length === 0) {
+            console.error(chalk.red(isDirectory ? 'No supported image files found.' : 'Error: Input file is not a supported image format'));
+            process.exit(1);
+        }
 
-                        console.log(chalk.green(`   ✓ ${path.basename(currentOutputPath)}: ${result.originalSizeFormatted} → ${result.compressedSizeFormatted} (${result.savings} saved)`));
-                    } catch (error) {
-                        console.log(chalk.yellow(`   ⚠ ${fileName}: Compression failed (${error.message || error.error || 'Unknown error'}). Copying original...`));
-                        const currentOutputPath = await determineTargetFile(filePath);
-                        fs.copyFileSync(filePath, currentOutputPath);
-                        setFileMetadata(filePath, currentOutputPath);
-                        const originalSize = fs.statSync(filePath).size;
+        // Validate once up front rather than failing on every image
+        const widths = parseWidths(options.widths);
+        const formats = parseFormats(options.formats);
+        const concurrency = options.jobs ? parseInt(options.jobs, 10) : getOptimalConcurrency();
+        const webOptions = {
+            ...getImageOptions({ ...options, metadata: options.metadata || 'strip' }),
+            widths,
+            formats,
+            sizes: options.sizes,
+            baseUrl: options.baseUrl || '',
+            manifestDir: outputDir
+        };
 
-                        totalOriginal += originalSize;
-                        totalCompressed += originalSize;
-                        successCount++;
+        console.log(chalk.blue(`🌐 Generating web images for ${imageFiles.length} image(s)`));
+        console.log(chalk.gray(`   Widths:  ${widths.join(', ')} (never upscaled)`));
+        console.log(chalk.gray(`   Formats: ${formats.join(', ')}`));
+        console.log(chalk.gray(`   Parallel jobs: ${concurrency}\n`));
+
+        // Dry run: the files each image would get, and names that two sources would both write
+        if (options.dryRun) {
+            console.log(chalk.blue('📝 Plan (dry run, nothing is written)\n'));
+            const planned = new Map(); // Output path → source
+            let collisionCount = 0;
+            let existingCount = 0;
+            for (const filePath of imageFiles) {
+                const relativePath = path.relative(inputRoot, filePath);
+                try {
+                    const plan = await planWebImages(filePath, path.join(outputDir, path.dirname(relativePath)), webOptions);
+                    console.log(chalk.white(`   → ${relativePath}`) + chalk.gray(` [${plan.width}x${plan.height}]: ${plan.outputs.length} file(s)`));
+                    console.log(chalk.gray(`     ${plan.outputs.map(output => path.relative(outputDir, output.path)).join(', ')}`));
+                    for (const output of plan.outputs) {
+                        if (planned.has(output.path)) {
+                            collisionCount++;
+                            console.log(chalk.yellow(`     ⚠ collision: ${path.basename(output.path)} is also written for ${path.relative(inputRoot, planned.get(output.path))}`));
+                        } else if (fs.existsSync(output.path)) {
+                            existingCount++;
+                        }
+                        planned.set(output.path, filePath);
                     }
-                },
-                videoConcurrency
-            );
+                } catch (error) {
+                    console.log(chalk.red(`   ✗ ${relativePath}: ${error.message}`));
+                }
+            }
+            console.log(chalk.blue('\n📊 Plan Summary'));
+            console.log(chalk.white(`   Files to write:   ${planned.size} (+ ${WEB_MANIFEST_NAME})`));
+            if (existingCount > 0) console.log(chalk.white(`   Overwritten:      ${existingCount} (already in the output folder)`));
+            console.log((collisionCount > 0 ? chalk.yellow : chalk.white)(`   Name collisions:  ${collisionCount}`));
+            console.log(chalk.gray(`   Output directory: ${outputDir}`));
+            return;
         }
 
-        const endTime = Date.now();
-        const durationSeconds = ((endTime - startTime) / 1000).toFixed(1);
+        const entries = {};
+        let totalOriginal = 0;
+        let totalGenerated = 0;
+        let fileCount = 0;
+        let failCount = 0;
+
+        await parallelProcess(
+            imageFiles,
+            async (filePath) => {
+                const relativePath = path.relative(inputRoot, filePath);
+                try {
+                    // Each image's files mirror the input structure
+                    const targetDir = path.join(outputDir, path.dirname(relativePath));
+                    const entry = await generateWebImages(filePath, targetDir, webOptions);
+                    const generated = entry.images.reduce((sum, image) => sum + image.size, 0);
+
+                    entries[relativePath.split(path.sep).join('/')] = { ...entry, source: relativePath.split(path.sep).join('/') };
+                    totalOriginal += fs.statSync(filePath).size;
+                    totalGenerated += generated;
+                    fileCount += entry.images.length;
+                    console.log(chalk.green(`   ✓ ${relativePath}: ${entry.images.length} file(s), ${formatFileSize(generated)} [${entry.width}x${entry.height}]`));
+                } catch (error) {
+                    failCount++;
+                    console.log(chalk.red(`   ✗ ${relativePath}: ${error.message}`));
+                }
+            },
+            concurrency
+        );
 
+        // Sorted so reruns give the same manifest whatever order the jobs finished in
+        const sorted = Object.keys(entries).sort().map(key => entries[key]);
+        const manifestPath = writeManifest(outputDir, sorted, webOptions);
+
+        const durationSeconds = ((Date.now() - startTime) / 1000).toFixed(1);
         console.log(chalk.blue('\n📊 Summary Report'));
-        console.log(chalk.white(`   Files processed:  ${successCount}/${allFiles.length}`));
+        console.log(chalk.white(`   Images processed: ${sorted.length}/${imageFiles.length}`));
         if (failCount > 0) console.log(chalk.red(`   Failed:           ${failCount}`));
+        console.log(chalk.white(`   Files written:    ${fileCount}`));
         console.log(chalk.white(`   Time taken:       ${durationSeconds}s`));
         console.log(chalk.white(`   Total original:   ${formatFileSize(totalOriginal)}`));
-        console.log(chalk.white(`   Total compressed: ${formatFileSize(totalCompressed)}`));
-        console.log(chalk.cyan(`   Total saved:      ${formatFileSize(totalOriginal - totalCompressed)} (${getCompressionRatio(totalOriginal, totalCompressed)} reduction)`));
+        console.log(chalk.white(`   Total generated:  ${formatFileSize(totalGenerated)} (all widths and formats)`));
+        console.log(chalk.gray(`   Manifest:         ${manifestPath}`));
         console.log(chalk.gray(`   Output directory: ${outputDir}`));
+        if (failCount > 0) process.exitCode = 1;
     } catch (error) {
         console.error(chalk.red(`Error: ${error.message}`));
         process.exit(1);
     }
 }
 
+/**
+ * Print the duplicate groups found by findDuplicates
+ * @param {Object} dedupe - findDuplicates result
+ * @param {string} inputDir - Scanned folder (paths are shown relative to it)
+ */
+function printDuplicateReport(dedupe, inputDir) {
+    const relative = (filePath) => path.relative(inputDir, filePath);
+
+    for (const group of dedupe.groups) {
+        console.log(chalk.green(`   ✓ ${relative(group.keep)}`) + chalk.gray(` (best copy, ${group.kind})`));
+        for (const duplicate of group.duplicates) {
+            const match = duplicate.match === 'exact' ? 'exact copy' : `near duplicate, distance ${duplicate.distance}`;
+            console.log(chalk.yellow(`     ≡ ${relative(duplicate.path)}`) + chalk.gray(` (${match}, ${formatFileSize(duplicate.size)})`));
+        }
+    }
+    for (const failure of dedupe.failed) {
+        console.log(chalk.red(`   ✗ ${relative(failure.path)}: not compared (${failure.error})`));
+    }
+
+    if (dedupe.groups.length === 0) {
+        console.log(chalk.gray('   No duplicates found'));
+        return;
+    }
+    console.log(chalk.cyan(`   ${dedupe.groups.length} group(s), ${dedupe.duplicates.length} duplicate(s), ${formatFileSize(dedupe.reclaimable)} reclaimable`));
+}
+
+/**
+ * Print a dry-run plan (createPlanEntry entries)
+ * @param {Object[]} entries - Plan entries
+ * @param {string} inputDir - Input folder (sources are shown relative to it)
+ * @param {string} outputDir - Output folder (outputs are shown relative to it)
+ */
+function printPlan(entries, inputDir, outputDir) {
+    console.log(chalk.blue('📝 Plan (dry run, nothing is written)\n'));
+
+    for (const entry of entries) {
+        const source = path.relative(inputDir, entry.source);
+        if (entry.action === 'duplicate') {
+            const target = entry.movedTo ? `move to ${path.relative(inputDir, entry.movedTo)}` : 'skip';
+            console.log(chalk.yellow(`   ≡ ${source}`) + chalk.gray(` duplicate of ${path.relative(inputDir, entry.duplicateOf)}, would ${target}`));
+            continue;
+        }
+
+        const output = entry.output ? path.relative(outputDir, entry.output) : '?';
+        const date = entry.captureDate ? `${entry.captureDate}, ${DATE_SOURCE_LABELS[entry.dateSource]}` : 'no capture date';
+        if (entry.action === 'unchanged') {
+            console.log(chalk.gray(`   ⏭ ${source} → ${output} (unchanged since last run)`));
+            continue;
+        }
+
+        const conversion = entry.conversion ? chalk.magenta(` [${entry.conversion} → ${path.extname(entry.output).slice(1)}]`) : '';
+        console.log(chalk.white(`   → ${source} → ${chalk.green(output)}`) + chalk.gray(` ${entry.action}`) + conversion + chalk.gray(` [${date}]`));
+        entry.collisions.forEach(collision => console.log(chalk.yellow(`     ⚠ collision: ${formatCollision(collision)}`)));
+    }
+
+    const summary = summarizePlan(entries);
+    const actions = Object.entries(summary.actions).map(([action, count]) => `${count} ${action}`).join(', ');
+    console.log(chalk.blue('\n📊 Plan Summary'));
+    console.log(chalk.white(`   Files:            ${summary.total} (${actions})`));
+    console.log(chalk.white(`   Renamed:          ${summary.renamed}`));
+    console.log(chalk.white(`   HEIC/RAW:         ${summary.conversions} converted`));
+    console.log((summary.collisions > 0 ? chalk.yellow : chalk.white)(`   Name collisions:  ${summary.collisions}`));
+    console.log(chalk.gray(`   Output directory: ${outputDir}`));
+}
+
+/**
+ * Dry run of the image/video commands on a single file
+ * @param {string} inputPath - Source file
+ * @param {Object} options - Commander options
+ * @param {string} type - 'image' or 'video'
+ */
+async function planSingleFile(inputPath, options, type) {
+    const planner = createPlanReserver();
+    const outputPath = await getFinalOutputPath(inputPath, options, generateOutputPath(inputPath, options.output), planner.reserveFor(inputPath));
+    // A single file is copied as it is in rename-only mode, HEIC included
+    const entry = createPlanEntry(inputPath, outputPath, {
+        type,
+        action: options.renameOnly ? 'copy' : 'compress',
+        dateInfo: await getCaptureDateInfo(inputPath),
+        collisions: planner.collisionsOf(inputPath)
+    });
+    printPlan([entry], path.dirname(inputPath), path.dirname(outputPath));
+}
+
+/**
+ * Folder the config file lookup starts in: the input folder, or the folder of an input file
+ * @param {string|undefined} input - The command's input argument
+ * @returns {string} - Falls back to the working directory when there is no (existing) input
+ */
+function getConfigSearchDir(input) {
+    if (!input || !fs.existsSync(input)) return process.cwd();
+    const inputPath = path.resolve(input);
+    return fs.statSync(inputPath).isDirectory() ? inputPath : path.dirname(inputPath);
+}
+
+/**
+ * Merge the config file and the chosen preset into a command's options
+ * Order: CLI flags over the preset over the file's defaults over the command's own defaults.
+ * @param {Object} command - Commander command about to run
+ */
+function applyConfig(command) {
+    const options = command.opts();
+    // Looked up from the input's folder (like the GUI does), so runs from another directory find it too
+    const configPath = options.config ? path.resolve(options.config) : findConfigFile(getConfigSearchDir(command.args[0]));
+    if (options.config && !fs.existsSync(configPath)) {
+        throw new Error(`Config file not found: ${configPath}`);
+    }
+    const config = loadConfig(configPath);
+    const settings = resolveSettings(config, options.presetName);
+
+    // The file names target sizes by kind; --target-size is per image in 'image', per video in the other commands
+    const targetSizeKey = command.name() === 'image' ? 'imageTargetSize' : 'videoTargetSize';
+    if (settings[targetSizeKey] !== undefined) settings.targetSize = settings[targetSizeKey];
+
+    // Only options this command has; the file may hold settings for other commands too
+    const known = new Set(command.options.map(option => option.attributeName()));
+    for (const [key, value] of Object.entries(settings)) {
+        if (!known.has(key) || command.getOptionValueSource(key) === 'cli') continue;
+        command.setOptionValueWithSource(key, value, 'config');
+    }
+
+    if (config.path) console.log(chalk.gray(`⚙️  Config: ${config.path}`));
+    if (options.presetName) console.log(chalk.gray(`⚙️  Preset: ${options.presetName}`));
+    if (config.path || options.presetName) console.log('');
+}
+
+/**
+ * Add the compression and output options shared by the 'all' and 'watch' commands
+ * @param {Object} command - Commander command
+ * @returns {Object} - The same command, for chaining
+ */
+function addBatchOptions(command) {
+    return command
+        .option('-o, --output <dir>', 'Output directory')
+        .option('-q, --quality <number>', 'Image quality (1-100, default: 88)', '88')
+        .option('--image-format <format>', 'Target image format: jpeg, webp, avif (default: webp)', 'webp')
+        .option('-c, --crf <number>', 'Video CRF (0-51, default: 22)', '22')
+        .option('-e, --encoder <encoder>', 'Video encoder: auto, nvenc, amf, qsv, x264, x265, svtav1, aom, vp9 (default: auto)', 'auto')
+        .option('--container <format>', 'Video container: mp4, mkv, webm (default: encoder\'s native container)')
+        .option('--target-size <size>', 'Target output size per video, e.g. 25MB (overrides CRF)')
+        .option('--max-width <px>', 'Maximum image and video width (never upscales)')
+        .option('--max-height <px>', 'Maximum image and video height (never upscales)')
+        .option('--max-megapixels <mp>', 'Maximum image size in megapixels (e.g. 12)')
+        .option('--fit <mode>', 'Image resize fit: inside, cover, contain', 'inside')
+        .option('--image-target-size <size>', 'Highest image quality under this size per image, e.g. 500KB')
+        .option('--allow-downscale', 'With --image-target-size, reduce resolution when quality alone is not enough', false)
+        .option('--auto-quality', 'Pick the lowest image quality per file that meets --target-ssim', false)
+        .option('--target-ssim <score>', 'SSIM for --auto-quality (0-1, default: 0.98)')
+        .option('--heic-image <n>', 'Image to extract from multi-image HEIC files (bursts), 1-based (default: primary image)')
+        .option('--image-mode <mode>', 'Image encoding: auto (lossless/palette for flat-colour graphics), lossy, lossless, near-lossless', 'auto')
+        .option('--palette', 'Quantize PNG output to an 8-bit palette (pngquant-style)', false)
+        .option('--colours <n>', 'Palette size for --palette (2-256, default: 256)')
+        .option('--dither <level>', 'Palette dithering (0-1, default: 1)')
+        .option('--icc <mode>', 'Colour profile: srgb (convert and embed sRGB), keep (keep the source profile, e.g. Display P3)', 'srgb')
+        .option('--metadata <policy>', 'Metadata to keep: keep, strip, strip-location (drop GPS), whitelist (date, camera, orientation, copyright)', 'keep')
+        .option('--animation <mode>', 'Animated GIF/WebP: auto (large ones become video), image (animated WebP/GIF), video (looping MP4)', 'auto')
+        .option('--max-fps <fps>', 'Maximum video frame rate')
+        .option('--hdr <mode>', 'HDR handling: auto (keep 10-bit HDR if encoder can), preserve, tonemap (to SDR)', 'auto')
+        .option('--verify', 'Measure VMAF/SSIM/PSNR of videos against the source', false)
+        .option('--min-score <score>', 'Flag videos scoring below this, implies --verify')
+        .option('--score-metric <metric>', 'Metric for --min-score: vmaf, ssim, psnr', 'vmaf')
+        .option('--reject-low-score', 'Keep the original instead of a video below --min-score', false)
+        .option('--auto-crf', 'Pick CRF per video from sample encodes to meet --target-score', false)
+        .option('--target-score <score>', 'Score for --auto-crf (default: VMAF 93)')
+        .option('--streams <policy>', 'Video streams to keep: all, first (one per type)', 'all')
+        .option('--languages <codes>', 'Keep only audio/subtitle tracks in these languages, e.g. eng,jpn')
+        .option('--audio <mode>', 'Video audio: auto, copy, encode', 'auto')
+        .option('--audio-codec <codec>', 'Codec for re-encoded audio: aac, opus, mp3')
+        .option('--audio-bitrate <rate>', 'Bitrate for re-encoded audio (default: 128k)')
+        .option('--downmix', 'Downmix surround audio to stereo', false)
+        .option('--normalize', 'Normalize loudness to EBU R128 (-23 LUFS)', false)
+        .option('--efficient <action>', 'Videos already efficiently encoded (low-bitrate HEVC/AV1/VP9): skip, remux, encode', 'skip')
+        .option('--efficiency-threshold <bpp>', 'Bits per pixel per frame counted as efficient (default: per codec, e.g. 0.06 HEVC)')
+        .option('-j, --jobs <number>', `Parallel jobs for images (default: auto)`)
+        .option('--flatten', 'Put all files directly in output folder (no subfolders)', false)
+        .option('--organize', 'Organize output into folders by date (YYYY-MM)', false)
+        .option('-p, --preset <preset>', 'Encoding preset for x264/x265 (ultrafast, fast, medium, slow, veryslow)', 'medium')
+        .option('--rename', 'Rename files based on capture date (yyyymmdd-hhmmss)', false)
+        .option('--rename-only', 'Rename and copy files without compressing', false)
+        .option('--force', 'Reprocess files that are unchanged since the last run', false)
+        .option('--no-manifest', 'Don\'t keep a processing manifest in the output folder (no resuming or skipping)');
+}
+
 // Configure CLI
 program
     .name('compress')
     .description('CLI tool to compress images and videos')
     .version(packageJson.version);
 
+// Config file defaults and --preset-name fill in every option not given on the command line
+program.hook('preAction', (_program, command) => {
+    if (command.name() === 'presets') return;
+    try {
+        applyConfig(command);
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+    }
+});
+
 // Image compression command
 program
     .command('image <input>')
-    .description('Compress an image file OR directory of images (supports: jpg, png, webp, avif, tiff, gif, heic)')
+    .description('Compress an image file OR directory of images (supports: jpg, png, webp, avif, tiff, gif, heic, camera RAW/DNG)')
     .option('-o, --output <path>', 'Output file path or directory')
     .option('-q, --quality <number>', 'Quality level (1-100, default: 88)', '88')
     .option('--image-format <format>', 'Target image format: jpeg, webp, avif (default: webp)', 'webp')
+    .option('--max-width <px>', 'Downscale images wider than this (after EXIF rotation, never upscales)')
+    .option('--max-height <px>', 'Downscale images taller than this (after EXIF rotation, never upscales)')
+    .option('--max-megapixels <mp>', 'Downscale images above this many megapixels (e.g. 12)')
+    .option('--fit <mode>', 'Resize fit when both limits are set: inside (keep aspect), cover (crop), contain (pad)', 'inside')
+    .option('--target-size <size>', 'Highest quality that keeps each image under this size, e.g. 500KB')
+    .option('--allow-downscale', 'With --target-size, reduce resolution when quality alone is not enough', false)
+    .option('--auto-quality', 'Pick the lowest quality per image that meets --target-ssim', false)
+    .option('--target-ssim <score>', 'SSIM for --auto-quality (0-1, default: 0.98)')
+    .option('--heic-image <n>', 'Image to extract from multi-image HEIC files (bursts), 1-based (default: primary image)')
+    .option('--image-mode <mode>', 'Image encoding: auto (lossless/palette for flat-colour graphics), lossy, lossless, near-lossless', 'auto')
+    .option('--palette', 'Quantize PNG output to an 8-bit palette (pngquant-style)', false)
+    .option('--colours <n>', 'Palette size for --palette (2-256, default: 256)')
+    .option('--dither <level>', 'Palette dithering (0-1, default: 1)')
+    .option('--icc <mode>', 'Colour profile: srgb (convert and embed sRGB), keep (keep the source profile, e.g. Display P3)', 'srgb')
+    .option('--animation <mode>', 'Animated GIF/WebP: auto (large ones become video), image (animated WebP/GIF), video (looping MP4)', 'auto')
+    .option('--metadata <policy>', 'Metadata to keep: keep, strip, strip-location (drop GPS), whitelist (date, camera, orientation, copyright)', 'keep')
     .option('--rename', 'Rename file based on capture date (yyyymmdd-hhmmss)', false)
     .option('--rename-only', 'Rename and copy files without compressing', false) // ADDED
+    .option('--force', 'Reprocess files that are unchanged since the last run (if input is directory)', false)
+    .option('--no-manifest', 'Don\'t keep a processing manifest in the output folder (no resuming or skipping)')
+    .option('--dedupe <action>', 'Find duplicates first: report, skip (compress only the best copy), move (into <input>/_duplicates)')
+    .option('--dedupe-threshold <bits>', 'Near-duplicate distance out of 64 bits (0 = identical, default: 8)')
     .option('-r, --recursive', 'Search directories recursively (if input is directory)', false)
     .option('--flatten', 'Put all files directly in output folder (no subfolders)', false)
     .option('--organize', 'Organize output into folders by date (YYYY-MM)', false)
     .option('-j, --jobs <number>', 'Parallel jobs (if input is directory)')
+    .option('--dry-run', 'Show the plan (output paths, renames, capture dates, HEIC/RAW conversions, collisions) without writing anything', false)
+    .option('--preset-name <name>', 'Apply a named preset (built in: archive, web, whatsapp; more in .mediasquashrc)')
+    .option('--config <file>', 'Config file (default: .mediasquashrc or mediasquash.config.json in the input folder or a parent folder)')
     .action(async (input, options) => {
         try {
             const inputPath = path.resolve(input);
+            checkRenameOnlyMetadata(options);
 
             if (!fs.existsSync(inputPath)) {
                 console.error(chalk.red(`Error: File/Directory not found: ${inputPath}`));
@@ -366,6 +1176,11 @@ program
                 process.exit(1);
             }
 
+            if (options.dryRun) {
+                await planSingleFile(inputPath, options, 'image');
+                return;
+            }
+
             try {
                 let currentOutputPath = await getFinalOutputPath(inputPath, options, generateOutputPath(inputPath, options.output));
 
@@ -380,14 +1195,42 @@ program
                 console.log(chalk.gray(`   Input:  ${inputPath}`));
                 console.log(chalk.gray(`   Output: ${currentOutputPath}`));
 
-                const result = await compressImage(inputPath, currentOutputPath, { quality: parseInt(options.quality, 10) });
-                setFileMetadata(inputPath, currentOutputPath);
+                const result = await compressImage(inputPath, currentOutputPath, getImageOptions(options));
+                setFileMetadata(inputPath, result.output);
 
                 console.log(chalk.green('\n✅ Compression complete!'));
                 console.log(chalk.white(`   Original:   ${result.originalSizeFormatted}`));
                 console.log(chalk.white(`   Compressed: ${result.compressedSizeFormatted}`));
                 console.log(chalk.cyan(`   Saved:      ${result.savings}`));
+                if (result.targetSize) {
+                    const status = result.targetMet ? 'met' : 'not reached';
+                    console.log(chalk.gray(`   Target:     ${formatFileSize(result.targetSize)} (${status}${result.quality ? `, quality ${result.quality}` : ''})`));
+                }
+                if (result.autoQuality) {
+                    const { quality, score, targetScore, met, tried } = result.autoQuality;
+                    console.log(chalk.gray(`   Quality:    ${quality} auto (SSIM ${formatScore('ssim', score)}, target ${targetScore}${met ? '' : ' not reached'}, ${tried} tries)`));
+                }
+                if (result.resized) {
+                    console.log(chalk.gray(`   Resized:    ${result.originalResolution} → ${result.resolution}`));
+                }
+                if (result.encoding && result.encoding !== 'lossy') {
+                    console.log(chalk.gray(`   Encoding:   ${result.encoding}${result.colours ? ` (flat-colour, ${result.colours} colours)` : ''}`));
+                }
+                if (result.animation) {
+                    const { frames, duration, loop } = result.animation;
+                    console.log(chalk.gray(`   Animation:  ${frames} frames${duration ? `, ${duration}s` : ''}, ${loop === 0 ? 'loops forever' : `plays ${loop ?? 1}x`}`));
+                }
+                if (result.output !== currentOutputPath) {
+                    console.log(chalk.gray(`   Saved as:   ${result.output}`));
+                }
+                if (result.colourSpace && result.colourSpace.source !== result.colourSpace.output) {
+                    console.log(chalk.gray(`   Colour:     ${result.colourSpace.source} → ${result.colourSpace.output}`));
+                }
+                if (result.metadata) {
+                    console.log(chalk.gray(`   Metadata:   ${formatMetadataSummary(result.metadata)}`));
+                }
             } catch (error) {
+                if (!canCopyOriginal(options, inputPath)) throw error;
                 console.log(chalk.yellow(`\n⚠ Compression failed (${error.message}). Copying original instead...`));
                 const finalOutputPath = await getFinalOutputPath(inputPath, options, generateOutputPath(inputPath, options.output));
 
@@ -408,15 +1251,50 @@ program
     .option('-o, --output <path>', 'Output file path or directory')
     .option('-c, --crf <number>', 'CRF value (0-51, lower = better quality, default: 22)', '22')
     .option('-p, --preset <preset>', 'Encoding preset for CPU (ultrafast, fast, medium, slow, veryslow)', 'medium')
-    .option('-e, --encoder <encoder>', 'Video encoder: auto, nvenc, qsv, x264, x265 (default: auto)', 'auto')
+    .option('-e, --encoder <encoder>', 'Video encoder: auto, nvenc, amf, qsv, x264, x265, svtav1, aom, vp9 (default: auto)', 'auto')
+    .option('--container <format>', 'Video container: mp4, mkv, webm (default: encoder\'s native container)')
+    .option('--target-size <size>', 'Target output size per video, e.g. 25MB (overrides CRF, two-pass on x264/x265)')
+    .option('--max-width <px>', 'Downscale videos wider than this (keeps aspect ratio, never upscales)')
+    .option('--max-height <px>', 'Downscale videos taller than this (keeps aspect ratio, never upscales)')
+    .option('--max-fps <fps>', 'Reduce frame rate of videos above this value (e.g. 30)')
+    .option('--hdr <mode>', 'HDR handling: auto (keep 10-bit HDR if encoder can), preserve, tonemap (to SDR)', 'auto')
+    .option('--verify', 'Measure VMAF/SSIM/PSNR against the source after encoding', false)
+    .option('--min-score <score>', 'Flag videos scoring below this (e.g. 93 VMAF, 0.98 SSIM, 40 PSNR), implies --verify')
+    .option('--score-metric <metric>', 'Metric for --min-score: vmaf, ssim, psnr', 'vmaf')
+    .option('--reject-low-score', 'Keep the original instead of a video below --min-score', false)
+    .option('--auto-crf', 'Pick the highest CRF per video that meets --target-score (sample encodes)', false)
+    .option('--target-score <score>', 'Score for --auto-crf in --score-metric units (default: VMAF 93)')
+    .option('--streams <policy>', 'Streams to keep: all (audio tracks, subtitles, chapters), first (one per type)', 'all')
+    .option('--languages <codes>', 'Keep only audio/subtitle tracks in these languages, e.g. eng,jpn')
+    .option('--audio <mode>', 'Audio: auto (copy efficient tracks, re-encode the rest), copy, encode', 'auto')
+    .option('--audio-codec <codec>', 'Codec for re-encoded audio: aac, opus, mp3 (default: aac, opus for AV1/VP9)')
+    .option('--audio-bitrate <rate>', 'Bitrate for re-encoded audio (default: 128k)')
+    .option('--downmix', 'Downmix surround audio to stereo', false)
+    .option('--normalize', 'Normalize loudness to EBU R128 (-23 LUFS)', false)
+    .option('--efficient <action>', 'Videos already efficiently encoded (low-bitrate HEVC/AV1/VP9): skip, remux, encode', 'skip')
+    .option('--efficiency-threshold <bpp>', 'Bits per pixel per frame counted as efficient (default: per codec, e.g. 0.06 HEVC)')
+    .option('--start <time>', 'Trim: start at this time (seconds or [hh:]mm:ss)')
+    .option('--end <time>', 'Trim: stop at this time')
+    .option('--duration <time>', 'Trim: keep this much from the start')
+    .option('--trim-mode <mode>', 'Trim mode: precise (re-encode, frame-accurate), fast (stream copy, cuts on keyframes)', 'precise')
+    .option('--segment <length>', 'Split into chunks of this length (seconds or [hh:]mm:ss), named name_001, name_002...')
+    .option('--metadata <policy>', 'Metadata to keep: keep, strip, strip-location (drop GPS), whitelist (date, camera, orientation, copyright)', 'keep')
     .option('--rename', 'Rename file based on capture date (yyyymmdd-hhmmss)', false)
     .option('--rename-only', 'Rename and copy files without compressing', false)
+    .option('--force', 'Reprocess files that are unchanged since the last run (if input is directory)', false)
+    .option('--no-manifest', 'Don\'t keep a processing manifest in the output folder (no resuming or skipping)')
+    .option('--dedupe <action>', 'Find duplicates first: report, skip (compress only the best copy), move (into <input>/_duplicates)')
+    .option('--dedupe-threshold <bits>', 'Near-duplicate distance out of 64 bits (0 = identical, default: 8)')
     .option('-r, --recursive', 'Search directories recursively (if input is directory)', false)
     .option('--flatten', 'Put all files directly in output folder (no subfolders)', false)
     .option('--organize', 'Organize output into folders by date (YYYY-MM)', false)
+    .option('--dry-run', 'Show the plan (output paths, renames, capture dates, HEIC/RAW conversions, collisions) without writing anything', false)
+    .option('--preset-name <name>', 'Apply a named preset (built in: archive, web, whatsapp; more in .mediasquashrc)')
+    .option('--config <file>', 'Config file (default: .mediasquashrc or mediasquash.config.json in the input folder or a parent folder)')
     .action(async (input, options) => {
         try {
             const inputPath = path.resolve(input);
+            checkRenameOnlyMetadata(options);
 
             if (!fs.existsSync(inputPath)) {
                 console.error(chalk.red(`Error: File/Directory not found: ${inputPath}`));
@@ -434,6 +1312,11 @@ program
                 process.exit(1);
             }
 
+            if (options.dryRun) {
+                await planSingleFile(inputPath, options, 'video');
+                return;
+            }
+
             try {
                 let currentOutputPath = await getFinalOutputPath(inputPath, options, generateOutputPath(inputPath, options.output));
 
@@ -444,17 +1327,27 @@ program
                     return;
                 }
 
-                const crf = parseInt(options.crf, 10);
+                const videoOptions = getVideoOptions(options);
 
                 console.log(chalk.blue('🎬 Compressing video...'));
                 console.log(chalk.gray(`   Input:  ${inputPath}`));
                 console.log(chalk.gray(`   Output: ${currentOutputPath}`));
-                console.log(chalk.gray(`   CRF:    ${crf} | Encoder: ${options.encoder}`));
+                if (videoOptions.start || videoOptions.end || videoOptions.duration) {
+                    const range = `${videoOptions.start || '0'} → ${videoOptions.end || (videoOptions.duration ? `+${videoOptions.duration}` : 'end')}`;
+                    console.log(chalk.gray(`   Trim:   ${range} (${videoOptions.trimMode})`));
+                }
+                if (videoOptions.targetSize) {
+                    console.log(chalk.gray(`   Target: ${videoOptions.targetSize} | Encoder: ${options.encoder}`));
+                } else if (videoOptions.autoCrf) {
+                    console.log(chalk.gray(`   CRF:    auto (searching per file) | Encoder: ${options.encoder}`));
+                } else {
+                    console.log(chalk.gray(`   CRF:    ${videoOptions.crf} | Encoder: ${options.encoder}`));
+                }
 
-                const result = await compressVideo(inputPath, currentOutputPath, {
-                    crf,
-                    preset: options.preset,
-                    encoder: options.encoder,
+                const compress = videoOptions.segmentLength ? segmentVideo : compressVideo;
+                const result = await compress(inputPath, currentOutputPath, {
+                    ...videoOptions,
+                    getSegmentPath: (numberedPath, start) => getSegmentOutputPath(inputPath, options, numberedPath, start),
                     onStart: (cmd) => activeProcesses.add(cmd),
                     onProgress: (progress) => {
                         if (progress.percent) {
@@ -464,13 +1357,66 @@ program
                 });
 
                 activeProcesses.clear();
+
+                if (result.segments) {
+                    result.segments.forEach(segment => setFileMetadata(inputPath, segment.output, segment.trim.start));
+                    console.log(chalk.green(`\n\n✅ Split into ${result.segments.length} segment(s)!`));
+                    result.segments.forEach(segment => {
+                        console.log(chalk.gray(`   ${path.basename(segment.output)}: ${segment.compressedSizeFormatted}`));
+                    });
+                    console.log(chalk.white(`   Original:   ${result.originalSizeFormatted}`));
+                    console.log(chalk.white(`   Compressed: ${result.compressedSizeFormatted} total`));
+                    console.log(chalk.cyan(`   Saved:      ${result.savings}`));
+                    return;
+                }
+
                 setFileMetadata(inputPath, currentOutputPath);
 
+                if (result.skipped) {
+                    const { codec, bitrate, bpp, threshold } = result.efficiency;
+                    console.log(chalk.green(`\n\n⏭️  Skipped: ${result.skipped}`));
+                    console.log(chalk.gray(`   Source:     ${codec} ${bitrate}, ${bpp} bpp (threshold ${threshold})`));
+                    console.log(chalk.white(`   Output:     ${result.rateControl === 'remux' ? 'remuxed' : 'copied'} (${result.compressedSizeFormatted})`));
+                    console.log(chalk.gray(`   Metadata:   ${formatMetadataSummary(result.metadata)}`));
+                    return;
+                }
+
                 console.log(chalk.green('\n\n✅ Compression complete!'));
                 console.log(chalk.white(`   Original:   ${result.originalSizeFormatted}`));
                 console.log(chalk.white(`   Compressed: ${result.compressedSizeFormatted}`));
                 console.log(chalk.cyan(`   Saved:      ${result.savings}`));
+                if (result.trim) {
+                    const { start, duration, mode } = result.trim;
+                    console.log(chalk.gray(`   Trim:       ${start.toFixed(2)}s → ${duration ? `${(start + duration).toFixed(2)}s` : 'end'} (${mode})`));
+                }
+                if (result.targetBitrate) {
+                    console.log(chalk.gray(`   Bitrate:    ${result.targetBitrate} (${result.rateControl})`));
+                }
+                if (result.autoCrf) {
+                    const { metric, score, targetScore, met, tried } = result.autoCrf;
+                    console.log(chalk.gray(`   Auto CRF:   ${result.crf} (${metric.toUpperCase()} ${formatScore(metric, score)} on samples, target ${targetScore}${met ? '' : ' not reached'}, ${tried.length} tries)`));
+                }
+                if (result.resolution) {
+                    console.log(chalk.gray(`   Output:     ${result.resolution}${result.fps ? ` @ ${result.fps}fps` : ''}`));
+                }
+                if (result.hdr !== 'none') {
+                    console.log(chalk.gray(`   HDR:        ${result.hdr} (${result.hdrNote})`));
+                }
+                console.log(chalk.gray(`   Audio:      ${formatAudioSummary(result.audio)}`));
+                if (result.streams && result.streams.audio !== null) {
+                    const { audio, subtitles, attachments, chapters, skipped } = result.streams;
+                    console.log(chalk.gray(`   Streams:    ${audio} audio, ${subtitles} subtitle, ${attachments} attachment, ${chapters} chapter(s)`));
+                    skipped.forEach(reason => console.log(chalk.gray(`               skipped ${reason}`)));
+                }
+                if (result.quality) {
+                    const qualityColor = result.quality.passed === false ? chalk.yellow : chalk.white;
+                    console.log(qualityColor(`   Quality:    ${formatQualitySummary(result.quality) || 'not measured'}${result.quality.passed === false ? ` (below ${result.quality.minScore})` : ''}`));
+                }
+                if (result.metadata) {
+                    console.log(chalk.gray(`   Metadata:   ${formatMetadataSummary(result.metadata)}`));
+                }
             } catch (error) {
+                if (getVideoCopyBlocker(options, inputPath)) throw error;
                 console.log(chalk.yellow(`\n\n⚠ Compression failed (${error.message || error.error}). Copying original instead...`));
                 const finalOutputPath = await getFinalOutputPath(inputPath, options, generateOutputPath(inputPath, options.output));
 
@@ -484,24 +1430,147 @@ program
         }
     });
 
-// Batch compression command
+// Responsive web image command
 program
+    .command('web <input>')
+    .description('Generate responsive web images (several widths and formats) with a srcset/<picture> manifest')
+    .option('-o, --output <dir>', 'Output directory (default: <input folder>/web)')
+    .option('--widths <list>', 'Widths in pixels, comma-separated (never upscales)', '320,640,1280,2560')
+    .option('--formats <list>', 'Formats, best first (the last one is the <img> fallback): avif, webp, jpeg, png', 'avif,webp,jpeg')
+    .option('-q, --quality <number>', 'Quality level (1-100, default: 88)', '88')
+    .option('--sizes <sizes>', 'sizes attribute of the generated markup', '100vw')
+    .option('--base-url <url>', 'URL prefix for the manifest and markup, e.g. /images or https://cdn.example.com', '')
+    .option('--icc <mode>', 'Colour profile: srgb (convert and embed sRGB), keep (keep the source profile, e.g. Display P3)', 'srgb')
+    .option('--metadata <policy>', 'Metadata to keep: strip, strip-location (drop GPS), whitelist (date, camera, orientation, copyright), keep', 'strip')
+    .option('-r, --recursive', 'Search directories recursively (if input is directory)', false)
+    .option('-j, --jobs <number>', 'Parallel jobs (if input is directory)')
+    .option('--dry-run', 'Show the files each image would get (and name collisions) without writing anything', false)
+    .option('--preset-name <name>', 'Apply a named preset (built in: archive, web, whatsapp; more in .mediasquashrc)')
+    .option('--config <file>', 'Config file (default: .mediasquashrc or mediasquash.config.json in the input folder or a parent folder)')
+    .action(async (input, options) => {
+        await processWebImages(input, options);
+    });
+
+// Duplicate detection command
+program
+    .command('dedupe <inputDir>')
+    .description('Find exact and near-duplicate photos and videos (content hash, dHash/pHash, video keyframes)')
+    .option('-r, --recursive', 'Search directories recursively', false)
+    .option('--action <action>', 'report (list the groups) or move (duplicates into <inputDir>/_duplicates)', 'report')
+    .option('--move-to <dir>', 'Folder for --action move (default: <inputDir>/_duplicates)')
+    .option('--threshold <bits>', 'Near-duplicate distance out of 64 bits (0 = identical, default: 8)')
+    .option('--exact-only', 'Only exact copies (content hash), no perceptual matching', false)
+    .option('--json <file>', 'Also write the groups to a JSON file')
+    .option('-j, --jobs <number>', 'Parallel jobs (default: auto)')
+    .option('--dry-run', 'With --action move, show where duplicates would go without moving them', false)
+    .option('--preset-name <name>', 'Apply a named preset (built in: archive, web, whatsapp; more in .mediasquashrc)')
+    .option('--config <file>', 'Config file (default: .mediasquashrc or mediasquash.config.json in the input folder or a parent folder)')
+    .action(async (inputDir, options) => {
+        try {
+            const inputPath = path.resolve(inputDir);
+            if (!fs.existsSync(inputPath) || !fs.statSync(inputPath).isDirectory()) {
+                console.error(chalk.red(`Error: Directory not found: ${inputPath}`));
+                process.exit(1);
+            }
+            // 'skip' only means something when compressing (--dedupe skip)
+            if (resolveDedupeAction(options.action) === 'skip') {
+                throw new Error('Action "skip" applies to compression runs (--dedupe skip), use report or move');
+            }
+
+            const maxDistance = resolveMaxDistance(options.threshold);
+            const filter = (f) => (isImage(f) || isVideo(f)) && !isInDuplicatesFolder(path.relative(inputPath, f));
+            const files = options.recursive
+                ? getFilesRecursive(inputPath, filter)
+                : fs.readdirSync(inputPath)
+                    .map(f => path.join(inputPath, f))
+                    .filter(f => fs.statSync(f).isFile() && filter(f));
+
+            console.log(chalk.blue(`🔍 Looking for duplicates among ${files.length} file(s)...`));
+            const startTime = Date.now();
+            const dedupe = await findDuplicates(files, {
+                maxDistance,
+                exactOnly: options.exactOnly,
+                concurrency: options.jobs ? parseInt(options.jobs, 10) : getOptimalConcurrency()
+            });
+            console.log('');
+            printDuplicateReport(dedupe, inputPath);
+
+            if (options.json && options.dryRun) {
+                console.log(chalk.gray(`   Report:  ${path.resolve(options.json)} (not written, dry run)`));
+            } else if (options.json) {
+                fs.writeFileSync(path.resolve(options.json), JSON.stringify(dedupe, null, 2));
+                console.log(chalk.gray(`   Report:  ${path.resolve(options.json)}`));
+            }
+            if (options.action === 'move' && dedupe.duplicates.length > 0) {
+                const targetDir = options.moveTo ? path.resolve(options.moveTo) : path.join(inputPath, DUPLICATES_FOLDER);
+                const moved = moveDuplicates(dedupe.duplicates, inputPath, targetDir, { dryRun: options.dryRun });
+                if (options.dryRun) {
+                    console.log(chalk.blue('\n📝 Plan (dry run, nothing is moved)'));
+                    moved.forEach(move => console.log(chalk.gray(`   ${path.relative(inputPath, move.from)} → ${move.to}`)));
+                } else {
+                    console.log(chalk.green(`\n✅ Moved ${moved.length} duplicate(s) to ${targetDir}`));
+                }
+            }
+            console.log(chalk.gray(`   Time taken: ${((Date.now() - startTime) / 1000).toFixed(1)}s`));
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    });
+
+// Batch compression command
+addBatchOptions(program
     .command('all <inputDir>')
-    .description('Compress all images and videos in a directory')
-    .option('-o, --output <dir>', 'Output directory')
-    .option('-q, --quality <number>', 'Image quality (1-100, default: 88)', '88')
-    .option('--image-format <format>', 'Target image format: jpeg, webp, avif (default: webp)', 'webp')
-    .option('-c, --crf <number>', 'Video CRF (0-51, default: 22)', '22')
-    .option('-e, --encoder <encoder>', 'Video encoder: auto, nvenc, qsv, x264, x265 (default: auto)', 'auto')
-    .option('-j, --jobs <number>', `Parallel jobs for images (default: auto)`)
+    .description('Compress all images and videos in a directory'))
     .option('-r, --recursive', 'Search directories recursively', false)
-    .option('--flatten', 'Put all files directly in output folder (no subfolders)', false)
-    .option('--organize', 'Organize output into folders by date (YYYY-MM)', false)
-    .option('-p, --preset <preset>', 'Encoding preset for x264/x265 (ultrafast, fast, medium, slow, veryslow)', 'medium')
-    .option('--rename', 'Rename files based on capture date (yyyymmdd-hhmmss)', false)
-    .option('--rename-only', 'Rename and copy files without compressing', false)
+    .option('--dedupe <action>', 'Find duplicates first: report, skip (compress only the best copy), move (into <input>/_duplicates)')
+    .option('--dedupe-threshold <bits>', 'Near-duplicate distance out of 64 bits (0 = identical, default: 8)')
+    .option('--dry-run', 'Show the plan (output paths, renames, capture dates, HEIC/RAW conversions, collisions) without writing anything', false)
+    .option('--preset-name <name>', 'Apply a named preset (built in: archive, web, whatsapp; more in .mediasquashrc)')
+    .option('--config <file>', 'Config file (default: .mediasquashrc or mediasquash.config.json in the input folder or a parent folder)')
     .action(async (inputDir, options) => {
-        await processDirectory(inputDir, options, 'all');
+        try {
+            await processDirectory(inputDir, options, 'all');
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
+    });
+
+// Watch command: compress new files as they arrive
+addBatchOptions(program
+    .command('watch <inputDir>')
+    .description('Watch a directory (recursively) and compress new images and videos once they are completely written'))
+    .option('--stable-time <seconds>', 'How long a new file\'s size must stay the same before it is processed (seconds or HH:MM:SS)', '3')
+    .option('--new-only', 'Ignore the files already in the folder, process only those that arrive', false)
+    .option('--log <file>', 'Also append the running log to this file')
+    .option('--dry-run', 'Show the plan (output paths, renames, capture dates, HEIC/RAW conversions, collisions) without writing anything', false)
+    .option('--preset-name <name>', 'Apply a named preset (built in: archive, web, whatsapp; more in .mediasquashrc)')
+    .option('--config <file>', 'Config file (default: .mediasquashrc or mediasquash.config.json in the input folder or a parent folder)')
+    .action((inputDir, options) => {
+        watchDirectory(inputDir, options);
+    });
+
+// Preset listing command
+program
+    .command('presets')
+    .description('List the built-in presets and those of the config file (use one with --preset-name)')
+    .option('--config <file>', 'Config file (default: .mediasquashrc or mediasquash.config.json here or in a parent folder)')
+    .action((options) => {
+        try {
+            const config = loadConfig(options.config ? path.resolve(options.config) : findConfigFile());
+            console.log(chalk.blue(`⚙️  Presets${config.path ? ` (${config.path})` : ' (no config file, built-in only)'}\n`));
+            for (const preset of listPresets(config)) {
+                const settings = Object.entries(preset.options).map(([key, value]) => `${key}=${value}`).join(' ');
+                console.log(chalk.green(`   ${preset.name}`) + chalk.gray(` [${preset.source}]${preset.description ? ` ${preset.description}` : ''}`));
+                console.log(chalk.gray(`     ${settings}`));
+            }
+            const defaults = Object.entries(config.defaults).map(([key, value]) => `${key}=${value}`).join(' ');
+            if (defaults) console.log(chalk.white(`\n   Defaults: ${defaults}`));
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            process.exit(1);
+        }
     });
 
 // Parse arguments
@@ -0,0 +1,249 @@
+/**
+ * Metadata Policy Module
+ *
+ * Decides which metadata survives compression, for images (Sharp/EXIF) and videos (FFmpeg tags):
+ * - keep: everything, including GPS location (default)
+ * - strip: nothing
+ * - strip-location: everything except GPS/location data
+ * - whitelist: only date, camera, orientation and copyright
+ *
+ * Outputs written under any policy other than 'keep' are checked for leftover GPS data.
+ */
+
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+const METADATA_POLICIES = ['keep', 'strip', 'strip-location', 'whitelist'];
+
+// EXIF tags kept by the whitelist policy, by group
+// Orientation is applied to the pixels (.rotate()), so the written tag is always 1
+const IMAGE_WHITELIST = {
+    date: ['DateTime', 'DateTimeOriginal', 'DateTimeDigitized', 'OffsetTime', 'OffsetTimeOriginal', 'OffsetTimeDigitized', 'SubSecTime', 'SubSecTimeOriginal', 'SubSecTimeDigitized'],
+    camera: ['Make', 'Model', 'LensMake', 'LensModel', 'ExposureTime', 'FNumber', 'ISOSpeedRatings', 'FocalLength', 'FocalLengthIn35mmFilm'],
+    orientation: ['Orientation'],
+    copyright: ['Copyright', 'Artist']
+};
+
+// Container tags kept by the whitelist policy (rotation is stream side data, kept by every policy)
+const VIDEO_WHITELIST = {
+    date: ['creation_time', 'date', 'com.apple.quicktime.creationdate'],
+    camera: ['make', 'model', 'com.apple.quicktime.make', 'com.apple.quicktime.model'],
+    orientation: [],
+    copyright: ['copyright', 'artist', 'author', 'com.apple.quicktime.author']
+};
+
+// exif-reader section → libvips IFD name for Sharp's withExif (GPSInfo is never written back)
+const EXIF_SECTIONS = {
+    Image: 'IFD0',
+    Photo: 'IFD2'
+};
+
+// IFD pointers are rebuilt by libvips, copying them would point into the old file
+const EXIF_POINTER_TAGS = ['ExifTag', 'GPSTag', 'InteroperabilityTag'];
+
+// Container tags holding a location (QuickTime ©xyz/ISO 6709, 3GP loci, Android GPS tags)
+const VIDEO_LOCATION_TAG = /location|gps|xyz/i;
+
+// XMP properties holding a location
+const XMP_GPS = /exif:GPS(Latitude|Longitude|Altitude)|GPSLatitude|GPSLongitude/;
+
+/**
+ * Validate a metadata policy name
+ * @param {string} policy - Policy name (undefined = 'keep')
+ * @returns {string} - The policy
+ */
+function resolveMetadataPolicy(policy) {
+    const resolved = policy || 'keep';
+    if (!METADATA_POLICIES.includes(resolved)) {
+        throw new Error(`Invalid metadata policy "${policy}" (expected ${METADATA_POLICIES.join(', ')})`);
+    }
+    return resolved;
+}
+
+/**
+ * Build the EXIF to write for a policy, in Sharp's withExif format
+ * @param {Buffer|undefined} exif - Raw EXIF from the source (Sharp metadata().exif)
+ * @param {string} policy - 'strip-location' or 'whitelist'
+ * @returns {Object|null} - { IFD0: {...}, IFD2: {...} }, null when nothing is left
+ */
+function buildExif(exif, policy) {
+    if (!exif) return null;
+
+    let parsed;
+    try {
+        parsed = exifReader(exif);
+    } catch {
+        // Unreadable EXIF can't be filtered tag by tag, drop it
+        return null;
+    }
+
+    const whitelist = policy === 'whitelist' ? Object.values(IMAGE_WHITELIST).flat() : null;
+    const result = {};
+    let count = 0;
+
+    for (const [section, ifd] of Object.entries(EXIF_SECTIONS)) {
+        for (const [tag, value] of Object.entries(parsed[section] || {})) {
+            if (EXIF_POINTER_TAGS.includes(tag) || (whitelist && !whitelist.includes(tag))) continue;
+
+            const text = formatExifValue(value);
+            if (text === null) continue;
+
+            result[ifd] = result[ifd] || {};
+            result[ifd][tag] = text;
+            count++;
+        }
+    }
+
+    return count > 0 ? result : null;
+}
+
+/**
+ * Convert an exif-reader value back to the string form libvips parses
+ * Binary (UNDEFINED) tags such as MakerNote are dropped.
+ * @param {*} value - Parsed tag value
+ * @returns {string|null}
+ */
+function formatExifValue(value) {
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        // exif-reader reads EXIF dates as UTC, write them back the same way
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${value.getUTCFullYear()}:${pad(value.getUTCMonth() + 1)}:${pad(value.getUTCDate())} ` +
+            `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}`;
+    }
+    if (Array.isArray(value)) {
+        const parts = value.map(formatExifValue);
+        return parts.includes(null) ? null : parts.join(' ');
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? String(value) : toRational(value);
+    }
+    if (typeof value === 'string') {
+        const text = value.replace(/\0+$/, '');
+        return text || null;
+    }
+    return null;
+}
+
+/**
+ * Closest fraction to a number (e.g. 0.008333 → "1/120") for RATIONAL tags
+ * @param {number} value - Decimal value
+ * @returns {string} - "numerator/denominator"
+ */
+function toRational(value) {
+    const sign = value < 0 ? '-' : '';
+    let x = Math.abs(value);
+    // Continued fraction expansion, stopping once the fraction is exact enough
+    let [h0, h1, k0, k1] = [0, 1, 1, 0];
+    for (let i = 0; i < 20; i++) {
+        const a = Math.floor(x);
+        [h0, h1] = [h1, a * h1 + h0];
+        [k0, k1] = [k1, a * k1 + k0];
+        if (Math.abs(Math.abs(value) - h1 / k1) < 1e-9 || x - a < 1e-9 || k1 > 1e6) break;
+        x = 1 / (x - a);
+    }
+    return `${sign}${h1}/${k1}`;
+}
+
+/**
+ * Apply a metadata policy to a Sharp pipeline
+ * The colour profile is not personal data, applyColourProfile decides about it afterwards.
+ * @param {Object} pipeline - Sharp pipeline
+ * @param {string} policy - Metadata policy
+ * @param {Object|null} exif - Result of buildExif for strip-location/whitelist
+ * @returns {Object} - Sharp pipeline
+ */
+function applyImageMetadata(pipeline, policy, exif = null) {
+    switch (policy) {
+        case 'strip':
+            // Sharp writes no metadata by default
+            return pipeline;
+        case 'strip-location':
+        case 'whitelist':
+            // XMP and IPTC are dropped since they can hold a location too
+            return exif ? pipeline.withExif(exif) : pipeline;
+        default:
+            return pipeline.keepMetadata();
+    }
+}
+
+/**
+ * List the GPS data left in an image
+ * @param {string|Buffer} input - Image path or bytes
+ * @returns {Promise<string[]>} - GPS tag names found (empty = none)
+ */
+async function findImageGps(input) {
+    const { exif, xmp } = await sharp(input).metadata();
+    const found = [];
+
+    if (exif) {
+        try {
+            found.push(...Object.keys(exifReader(exif).GPSInfo || {}));
+        } catch {
+            // Can't prove an unreadable EXIF block is location-free
+            found.push('EXIF (unreadable)');
+        }
+    }
+    if (xmp) {
+        const match = xmp.toString('utf8').match(XMP_GPS);
+        if (match) found.push(`XMP ${match[0]}`);
+    }
+
+    return found;
+}
+
+/**
+ * Build FFmpeg output options for a metadata policy
+ * @param {Object|null} metadata - ffprobe metadata of the source
+ * @param {string} policy - Metadata policy
+ * @returns {string[]} - Output options
+ */
+function getVideoMetadataOptions(metadata, policy) {
+    const tags = metadata?.format?.tags || {};
+
+    switch (policy) {
+        case 'strip':
+            return ['-map_metadata', '-1'];
+        case 'strip-location': {
+            // An empty value deletes the tag
+            const locationKeys = new Set(['location', 'location-eng', 'com.apple.quicktime.location.ISO6709']);
+            Object.keys(tags).filter(key => VIDEO_LOCATION_TAG.test(key)).forEach(key => locationKeys.add(key));
+            return ['-map_metadata', '0', ...[...locationKeys].flatMap(key => ['-metadata', `${key}=`])];
+        }
+        case 'whitelist': {
+            const whitelist = Object.values(VIDEO_WHITELIST).flat();
+            const kept = Object.entries(tags).filter(([key]) => whitelist.includes(key.toLowerCase()));
+            return ['-map_metadata', '-1', ...kept.flatMap(([key, value]) => ['-metadata', `${key}=${value}`])];
+        }
+        default:
+            // Preserve metadata (GPS location, date, etc)
+            return ['-map_metadata', '0'];
+    }
+}
+
+/**
+ * List the location tags left in a video
+ * @param {Object} metadata - ffprobe metadata of the output
+ * @returns {string[]} - Tag names found (empty = none)
+ */
+function findVideoGps(metadata) {
+    const found = Object.keys(metadata?.format?.tags || {}).filter(key => VIDEO_LOCATION_TAG.test(key));
+    for (const stream of metadata?.streams || []) {
+        Object.keys(stream.tags || {})
+            .filter(key => VIDEO_LOCATION_TAG.test(key))
+            .forEach(key => found.push(`stream ${stream.index} ${key}`));
+    }
+    return found;
+}
+
+module.exports = {
+    resolveMetadataPolicy,
+    buildExif,
+    applyImageMetadata,
+    findImageGps,
+    getVideoMetadataOptions,
+    findVideoGps,
+    METADATA_POLICIES,
+    IMAGE_WHITELIST,
+    VIDEO_WHITELIST
+};
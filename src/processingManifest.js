@@ -0,0 +1,290 @@
+/**
+ * Processing Manifest Module
+ *
+ * Makes batch runs resumable and incremental. A JSON manifest in the output folder records,
+ * per source file: size, mtime, content hash (SHA-256), settings hash and the outputs written.
+ * - Unchanged files (same content, same settings, outputs still there) are skipped
+ * - Files whose content or settings changed are redone, overwriting their own earlier outputs
+ * - A file is marked pending before it starts, so a crash or cancel leaves it to be redone
+ * The manifest also tracks which source owns which output path, so reruns don't create _1, _2 copies.
+ * Changes are written in batches (every SAVE_EVERY changes, after SAVE_DELAY_MS, at the end of a run and on exit),
+ * not once per change: rewriting the whole file per record is quadratic on a large library.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ensureDirectoryExists } = require('./utils');
+
+const MANIFEST_NAME = '.media-compressor-manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Run-time options that don't change the output (callbacks, thread counts)
+const IGNORED_SETTINGS = ['onStart', 'onProgress', 'threads'];
+
+// Changes between manifest writes, and the longest a change waits to be written
+// (a crash loses at most these; the files are simply redone next run)
+const SAVE_EVERY = 50;
+const SAVE_DELAY_MS = 2000;
+
+// Manifests with unsaved changes, written when the process exits
+const unsavedManifests = new Set();
+process.on('exit', () => {
+    for (const manifest of unsavedManifests) {
+        try { saveManifest(manifest); } catch { }
+    }
+});
+
+/**
+ * Hash a file's content (streamed, so large videos don't fill memory)
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} - SHA-256, hex
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Hash the settings a file is processed with (key order doesn't matter)
+ * @param {Object} settings - Processing settings
+ * @returns {string} - SHA-256, hex (first 16 characters)
+ */
+function hashSettings(settings) {
+    const normalize = (value) => {
+        if (Array.isArray(value)) return value.map(normalize);
+        if (value && typeof value === 'object') {
+            return Object.keys(value)
+                .filter(key => !IGNORED_SETTINGS.includes(key) && typeof value[key] !== 'function' && value[key] !== undefined)
+                .sort()
+                .reduce((sorted, key) => ({ ...sorted, [key]: normalize(value[key]) }), {});
+        }
+        return value;
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(normalize(settings))).digest('hex').slice(0, 16);
+}
+
+/**
+ * Open the manifest of an output folder (a missing or unreadable one starts empty)
+ * @param {string} outputDir - Output folder
+ * @param {Object} options - { readOnly } (dry runs: the manifest is never saved)
+ * @returns {Object} - Manifest { path, entries, owners, readOnly, unsaved, saveTimer }
+ */
+function openManifest(outputDir, { readOnly = false } = {}) {
+    const manifestPath = path.join(outputDir, MANIFEST_NAME);
+    let entries = {};
+
+    if (fs.existsSync(manifestPath)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            if (data.version === MANIFEST_VERSION) entries = data.entries || {};
+        } catch {
+            // A damaged manifest only costs a full rerun
+            console.log(`    ⚠️  Unreadable manifest ${manifestPath}, starting a new one`);
+        }
+    }
+
+    // Output path → source path, for collision checks
+    const owners = new Map();
+    for (const [source, entry] of Object.entries(entries)) {
+        (entry.outputs || []).forEach(output => owners.set(output, source));
+    }
+
+    return { path: manifestPath, entries, owners, readOnly, unsaved: 0, saveTimer: null };
+}
+
+/**
+ * Write the manifest's unsaved changes now (to a temporary file first, so a crash never leaves half a manifest)
+ * Call at the end of a run; changes in between are written by queueSave.
+ * @param {Object} manifest - Manifest from openManifest
+ */
+function saveManifest(manifest) {
+    if (manifest.readOnly || manifest.unsaved === 0) return;
+    clearTimeout(manifest.saveTimer);
+    manifest.saveTimer = null;
+    manifest.unsaved = 0;
+    unsavedManifests.delete(manifest);
+
+    ensureDirectoryExists(manifest.path);
+    const temp = `${manifest.path}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ version: MANIFEST_VERSION, entries: manifest.entries }, null, 2));
+    fs.renameSync(temp, manifest.path);
+}
+
+/**
+ * Note a change to the manifest: written once SAVE_EVERY changes add up or SAVE_DELAY_MS has passed
+ * @param {Object} manifest - Manifest from openManifest
+ */
+function queueSave(manifest) {
+    if (manifest.readOnly) return;
+    manifest.unsaved++;
+    unsavedManifests.add(manifest);
+
+    if (manifest.unsaved >= SAVE_EVERY) {
+        saveManifest(manifest);
+    } else if (!manifest.saveTimer) {
+        manifest.saveTimer = setTimeout(() => {
+            try {
+                saveManifest(manifest);
+            } catch (error) {
+                // Kept in memory; the next change or the end of the run tries again
+                console.log(`    ⚠️  Could not write manifest ${manifest.path}: ${error.message}`);
+            }
+        }, SAVE_DELAY_MS);
+        manifest.saveTimer.unref();
+    }
+}
+
+/**
+ * Check a source file against its manifest entry
+ * The content is only hashed when size or mtime changed (or the file is new).
+ * @param {Object} manifest - Manifest from openManifest
+ * @param {string} sourcePath - Source file
+ * @param {string} settingsHash - Result of hashSettings for this file
+ * @returns {Promise<Object>} - { status: 'new'|'unchanged'|'changed'|'settings'|'incomplete', entry, hash, size, mtimeMs }
+ */
+async function checkFile(manifest, sourcePath, settingsHash) {
+    const stats = fs.statSync(sourcePath);
+    const entry = manifest.entries[sourcePath] || null;
+    const base = { entry, size: stats.size, mtimeMs: stats.mtimeMs };
+
+    if (!entry) return { ...base, status: 'new', hash: await hashFile(sourcePath) };
+
+    const sameStats = entry.size === stats.size && entry.mtimeMs === stats.mtimeMs;
+    const hash = sameStats && entry.hash ? entry.hash : await hashFile(sourcePath);
+
+    const status = getEntryStatus(entry, hash, settingsHash);
+
+    // Touched but not edited: remember the new mtime so the next run doesn't hash it again
+    if (status === 'unchanged' && !sameStats) {
+        Object.assign(entry, { size: stats.size, mtimeMs: stats.mtimeMs });
+        queueSave(manifest);
+    }
+
+    return { ...base, status, hash };
+}
+
+/**
+ * Check a source file for a dry run: the same status as checkFile without reading every file
+ * A new file isn't hashed, one whose size and mtime match its entry reuses the entry's hash;
+ * only a touched file is hashed, to tell an edit from a touch. Nothing is recorded.
+ * @param {Object} manifest - Manifest from openManifest
+ * @param {string} sourcePath - Source file
+ * @param {string} settingsHash - Result of hashSettings for this file
+ * @returns {Promise<Object>} - { status, entry, hash, size, mtimeMs } (hash is null for a new file)
+ */
+async function planCheckFile(manifest, sourcePath, settingsHash) {
+    const stats = fs.statSync(sourcePath);
+    const entry = manifest.entries[sourcePath] || null;
+    const base = { entry, size: stats.size, mtimeMs: stats.mtimeMs };
+
+    if (!entry) return { ...base, status: 'new', hash: null };
+
+    const sameStats = entry.size === stats.size && entry.mtimeMs === stats.mtimeMs;
+    const hash = sameStats && entry.hash ? entry.hash : await hashFile(sourcePath);
+    return { ...base, status: getEntryStatus(entry, hash, settingsHash), hash };
+}
+
+/**
+ * Status of a source with a manifest entry, given its current content hash
+ * @param {Object} entry - Manifest entry
+ * @param {string} hash - Current content hash
+ * @param {string} settingsHash - Result of hashSettings for this file
+ * @returns {string} - 'unchanged', 'changed', 'settings', or 'incomplete'
+ */
+function getEntryStatus(entry, hash, settingsHash) {
+    if (entry.status !== 'done' || !(entry.outputs || []).every(output => fs.existsSync(output))) return 'incomplete';
+    if (hash !== entry.hash) return 'changed';
+    if (entry.settingsHash !== settingsHash) return 'settings';
+    return 'unchanged';
+}
+
+/**
+ * Reserve an output path for a source: free when not on disk, or written by this same source
+ * Paths reserved by another source in this run count as taken before they exist.
+ * Checking and claiming happen in one synchronous step, so parallel jobs can't pick the same path.
+ * @param {Object} manifest - Manifest from openManifest
+ * @param {string} sourcePath - Source file
+ * @param {string} outputPath - Candidate output path
+ * @param {Object} check - Result of checkFile
+ * @returns {boolean} - true when reserved (the source is then saved as pending)
+ */
+function reserveOutput(manifest, sourcePath, outputPath, check) {
+    const owner = manifest.owners.get(outputPath);
+    if (owner ? owner !== sourcePath : fs.existsSync(outputPath)) return false;
+
+    const previous = manifest.entries[sourcePath];
+    // Earlier outputs stay claimed until the new ones are written
+    const outputs = [...new Set([...(previous?.outputs || []), outputPath])];
+    manifest.entries[sourcePath] = {
+        ...previous,
+        size: check.size,
+        mtimeMs: check.mtimeMs,
+        hash: check.hash,
+        status: 'pending',
+        outputs
+    };
+    manifest.owners.set(outputPath, sourcePath);
+    queueSave(manifest);
+    return true;
+}
+
+/**
+ * Record a finished source file
+ * Outputs from an earlier run that weren't written again are deleted.
+ * @param {Object} manifest - Manifest from openManifest
+ * @param {string} sourcePath - Source file
+ * @param {string} settingsHash - Result of hashSettings
+ * @param {string[]} outputs - Files written
+ * @param {Object} sizes - { originalSize, compressedSize }
+ */
+function recordFile(manifest, sourcePath, settingsHash, outputs, sizes = {}) {
+    const previous = manifest.entries[sourcePath] || {};
+    for (const stale of (previous.outputs || []).filter(output => !outputs.includes(output))) {
+        try { fs.unlinkSync(stale); } catch { }
+        manifest.owners.delete(stale);
+    }
+
+    manifest.entries[sourcePath] = {
+        size: previous.size,
+        mtimeMs: previous.mtimeMs,
+        hash: previous.hash,
+        settingsHash,
+        status: 'done',
+        outputs,
+        originalSize: sizes.originalSize ?? null,
+        compressedSize: sizes.compressedSize ?? null,
+        completedAt: new Date().toISOString()
+    };
+    outputs.forEach(output => manifest.owners.set(output, sourcePath));
+    queueSave(manifest);
+}
+
+/**
+ * Record a failed source file, so the next run tries it again
+ * @param {Object} manifest - Manifest from openManifest
+ * @param {string} sourcePath - Source file
+ */
+function recordFailure(manifest, sourcePath) {
+    if (!manifest.entries[sourcePath]) return;
+    manifest.entries[sourcePath].status = 'failed';
+    queueSave(manifest);
+}
+
+module.exports = {
+    hashFile,
+    hashSettings,
+    openManifest,
+    saveManifest,
+    checkFile,
+    planCheckFile,
+    reserveOutput,
+    recordFile,
+    recordFailure,
+    MANIFEST_NAME
+};
@@ -0,0 +1,435 @@
+/**
+ * Camera RAW Module
+ *
+ * Gets a normal image out of camera RAW files, without a RAW developer:
+ * - DNG whose main image is already RGB (linear/demosaiced DNG) is decoded by libvips (Sharp's TIFF loader)
+ * - Everything else uses the largest embedded JPEG preview (full size on most cameras),
+ *   with the RAW's EXIF (date, camera, exposure, GPS, orientation) spliced into it
+ *
+ * Understands TIFF-based RAWs (DNG, CR2, NEF, NRW, ARW, SR2, ORF, RW2, PEF, SRW, ERF, 3FR) and Fujifilm RAF.
+ */
+
+const fs = require('fs');
+const sharp = require('sharp');
+const { encodeTaggedPng } = require('./utils');
+
+// TIFF magic numbers (bytes 2-3): standard TIFF, Olympus ORF ("RO"/"RS"), Panasonic RW2 ("U")
+const TIFF_MAGICS = [42, 0x4f52, 0x5352, 0x55];
+
+// Fujifilm RAF header, followed by a big-endian offset/length of the embedded JPEG at bytes 84/88
+const RAF_MAGIC = 'FUJIFILMCCD-RAW';
+
+// TIFF tags used to find the images inside a RAW
+const TAGS = {
+    newSubfileType: 0x00fe,
+    width: 0x0100,
+    height: 0x0101,
+    compression: 0x0103,
+    photometric: 0x0106,
+    stripOffsets: 0x0111,
+    stripByteCounts: 0x0117,
+    subIfds: 0x014a,
+    jpegOffset: 0x0201,
+    jpegLength: 0x0202,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    rw2Jpeg: 0x002e, // Panasonic JpgFromRaw
+    makerNote: 0x927c,
+    interopIfd: 0xa005,
+    dngVersion: 0xc612
+};
+
+// IFD0 tags copied into the preview's EXIF (the rest of IFD0 describes the RAW data itself)
+const IFD0_EXIF_TAGS = [0x010e, 0x010f, 0x0110, 0x0112, 0x0131, 0x0132, 0x013b, 0x8298];
+
+// Photometric interpretations libvips can decode (RGB, YCbCr); CFA (32803) and LinearRaw (34892) need demosaicing
+const DECODABLE_PHOTOMETRICS = [2, 6];
+
+// Compression values of JPEG-coded strips (old-style and new-style JPEG)
+const JPEG_COMPRESSIONS = [6, 7];
+
+// Bytes per value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+// EXIF values larger than this are left out (an APP1 segment holds 64KB)
+const MAX_EXIF_VALUE = 16 * 1024;
+
+// Bytes read for the EXIF alone: the TIFF header and the IFD0/EXIF/GPS IFDs sit in front of the sensor
+// data (values beyond are left out, like oversized ones); for RAF, the start of the embedded JPEG
+const EXIF_READ_BYTES = 1024 * 1024;
+
+/**
+ * Read the entries of one IFD
+ * @param {Buffer} buffer - Whole file
+ * @param {number} offset - IFD offset
+ * @param {boolean} le - Little-endian
+ * @returns {Object|null} - { entries: Map(tag → { tag, type, count, valueOffset }), next }, null when out of bounds
+ */
+function readIfd(buffer, offset, le) {
+    if (!offset || offset + 2 > buffer.length) return null;
+    const count = le ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    if (offset + 2 + count * 12 + 4 > buffer.length) return null;
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        const pos = offset + 2 + i * 12;
+        const tag = le ? buffer.readUInt16LE(pos) : buffer.readUInt16BE(pos);
+        const type = le ? buffer.readUInt16LE(pos + 2) : buffer.readUInt16BE(pos + 2);
+        const valueCount = le ? buffer.readUInt32LE(pos + 4) : buffer.readUInt32BE(pos + 4);
+        const size = (TYPE_SIZES[type] || 1) * valueCount;
+        // Values up to 4 bytes sit in the entry itself, larger ones at an offset
+        const valueOffset = size <= 4 ? pos + 8 : (le ? buffer.readUInt32LE(pos + 8) : buffer.readUInt32BE(pos + 8));
+        if (valueOffset + size <= buffer.length) {
+            entries.set(tag, { tag, type, count: valueCount, valueOffset, size });
+        }
+    }
+
+    const nextPos = offset + 2 + count * 12;
+    return { entries, next: le ? buffer.readUInt32LE(nextPos) : buffer.readUInt32BE(nextPos) };
+}
+
+/**
+ * Read a numeric (BYTE/SHORT/LONG) value of an IFD entry
+ * @param {Buffer} buffer - Whole file
+ * @param {Object|undefined} entry - IFD entry
+ * @param {boolean} le - Little-endian
+ * @param {number} index - Value index
+ * @returns {number|null}
+ */
+function readNumber(buffer, entry, le, index = 0) {
+    if (!entry || index >= entry.count) return null;
+    const pos = entry.valueOffset + index * (TYPE_SIZES[entry.type] || 1);
+    switch (entry.type) {
+        case 1: return buffer[pos];
+        case 3: return le ? buffer.readUInt16LE(pos) : buffer.readUInt16BE(pos);
+        case 4:
+        case 13: return le ? buffer.readUInt32LE(pos) : buffer.readUInt32BE(pos);
+        default: return null;
+    }
+}
+
+/**
+ * Parse the IFD structure of a TIFF-based RAW: the IFD chain plus SubIFDs, and the EXIF/GPS IFDs
+ * @param {Buffer} buffer - Whole file
+ * @returns {Object|null} - { le, ifds: [{ entries, subIfd, isIfd0 }], ifd0, exif, gps }, null when not TIFF-based
+ */
+function parseTiff(buffer) {
+    if (buffer.length < 8) return null;
+    const order = buffer.toString('latin1', 0, 2);
+    if (order !== 'II' && order !== 'MM') return null;
+    const le = order === 'II';
+    if (!TIFF_MAGICS.includes(le ? buffer.readUInt16LE(2) : buffer.readUInt16BE(2))) return null;
+
+    const ifds = [];
+    const visited = new Set();
+    let offset = le ? buffer.readUInt32LE(4) : buffer.readUInt32BE(4);
+
+    // Main chain (IFD0, IFD1...); SubIFDs of IFD0 are numbered like Sharp's subifd option
+    while (offset && !visited.has(offset) && ifds.length < 16) {
+        visited.add(offset);
+        const ifd = readIfd(buffer, offset, le);
+        if (!ifd) break;
+        const isIfd0 = ifds.length === 0;
+        ifds.push({ entries: ifd.entries, subIfd: null, isIfd0 });
+
+        const subIfds = ifd.entries.get(TAGS.subIfds);
+        for (let i = 0; subIfds && i < subIfds.count; i++) {
+            const subOffset = readNumber(buffer, subIfds, le, i);
+            const sub = !visited.has(subOffset) && readIfd(buffer, subOffset, le);
+            if (!sub) continue;
+            visited.add(subOffset);
+            ifds.push({ entries: sub.entries, subIfd: isIfd0 ? i : null, isIfd0: false });
+        }
+        offset = ifd.next;
+    }
+    if (ifds.length === 0) return null;
+
+    const ifd0 = ifds[0].entries;
+    return {
+        le,
+        ifds,
+        ifd0,
+        exif: readIfd(buffer, readNumber(buffer, ifd0.get(TAGS.exifIfd), le), le)?.entries || null,
+        gps: readIfd(buffer, readNumber(buffer, ifd0.get(TAGS.gpsIfd), le), le)?.entries || null
+    };
+}
+
+/**
+ * List the embedded JPEG images of a TIFF-based RAW, largest first
+ * @param {Buffer} buffer - Whole file
+ * @param {Object} tiff - Result of parseTiff
+ * @returns {Object[]} - [{ offset, length }]
+ */
+function findPreviews(buffer, tiff) {
+    const previews = [];
+
+    for (const { entries } of tiff.ifds) {
+        const photometric = readNumber(buffer, entries.get(TAGS.photometric), tiff.le);
+        if (entries.has(TAGS.jpegOffset) && entries.has(TAGS.jpegLength)) {
+            previews.push({
+                offset: readNumber(buffer, entries.get(TAGS.jpegOffset), tiff.le),
+                length: readNumber(buffer, entries.get(TAGS.jpegLength), tiff.le)
+            });
+        } else if (JPEG_COMPRESSIONS.includes(readNumber(buffer, entries.get(TAGS.compression), tiff.le)) &&
+            DECODABLE_PHOTOMETRICS.includes(photometric) && entries.get(TAGS.stripOffsets)?.count === 1) {
+            // A single JPEG strip (lossless-JPEG RAW data has a CFA/LinearRaw photometric and is skipped)
+            previews.push({
+                offset: readNumber(buffer, entries.get(TAGS.stripOffsets), tiff.le),
+                length: readNumber(buffer, entries.get(TAGS.stripByteCounts), tiff.le)
+            });
+        }
+        const rw2 = entries.get(TAGS.rw2Jpeg);
+        if (rw2) {
+            previews.push({ offset: rw2.valueOffset, length: rw2.size });
+        }
+    }
+
+    return previews
+        .filter(p => p.offset && p.length && p.offset + p.length <= buffer.length &&
+            buffer[p.offset] === 0xff && buffer[p.offset + 1] === 0xd8)
+        .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Find the full-resolution image of a DNG that libvips can decode directly
+ * @param {Buffer} buffer - Whole file
+ * @param {Object} tiff - Result of parseTiff
+ * @returns {Object|null} - { subIfd, width, height } (subIfd null = IFD0), null when it needs demosaicing
+ */
+function findDecodableImage(buffer, tiff) {
+    if (!tiff.ifd0.has(TAGS.dngVersion)) return null;
+    let best = null;
+
+    for (const { entries, subIfd, isIfd0 } of tiff.ifds) {
+        // NewSubfileType 0 = full-resolution image (1 = preview); Sharp can open IFD0 and its SubIFDs
+        if ((readNumber(buffer, entries.get(TAGS.newSubfileType), tiff.le) || 0) !== 0) continue;
+        if (subIfd === null && !isIfd0) continue;
+
+        const width = readNumber(buffer, entries.get(TAGS.width), tiff.le);
+        const height = readNumber(buffer, entries.get(TAGS.height), tiff.le);
+        if (!width || !height || (best && width * height <= best.width * best.height)) continue;
+
+        const photometric = readNumber(buffer, entries.get(TAGS.photometric), tiff.le);
+        best = { subIfd, width, height, decodable: DECODABLE_PHOTOMETRICS.includes(photometric) };
+    }
+
+    return best && best.decodable ? best : null;
+}
+
+/**
+ * Copy IFD entries into a new TIFF block (values are copied byte for byte, offsets rewritten)
+ * @param {Buffer} buffer - Whole source file
+ * @param {boolean} le - Little-endian
+ * @param {Object[]} ifds - [{ entries: IFD entry[], pointers: { tag: index of the IFD it points to } }]
+ * @returns {Buffer} - TIFF bytes
+ */
+function writeTiff(buffer, le, ifds) {
+    const u16 = (b, v, p) => (le ? b.writeUInt16LE(v, p) : b.writeUInt16BE(v, p));
+    const u32 = (b, v, p) => (le ? b.writeUInt32LE(v, p) : b.writeUInt32BE(v, p));
+
+    // IFDs first, then the out-of-line values
+    const ifdOffsets = [];
+    let offset = 8;
+    for (const ifd of ifds) {
+        ifd.entries.sort((a, b) => a.tag - b.tag);
+        ifdOffsets.push(offset);
+        offset += 2 + ifd.entries.length * 12 + 4;
+    }
+
+    const parts = [];
+    const header = Buffer.alloc(8);
+    header.write(le ? 'II' : 'MM', 0, 'latin1');
+    u16(header, 42, 2);
+    u32(header, 8, 4);
+    parts.push(header);
+
+    const values = [];
+    ifds.forEach((ifd) => {
+        const block = Buffer.alloc(2 + ifd.entries.length * 12 + 4);
+        u16(block, ifd.entries.length, 0);
+        ifd.entries.forEach((entry, i) => {
+            const pos = 2 + i * 12;
+            u16(block, entry.tag, pos);
+            u16(block, entry.type, pos + 2);
+            u32(block, entry.count, pos + 4);
+            if (entry.pointer !== undefined) {
+                u32(block, ifdOffsets[entry.pointer], pos + 8);
+            } else if (entry.size <= 4) {
+                buffer.copy(block, pos + 8, entry.valueOffset, entry.valueOffset + entry.size);
+            } else {
+                u32(block, offset, pos + 8);
+                values.push(buffer.subarray(entry.valueOffset, entry.valueOffset + entry.size));
+                offset += entry.size;
+                // Values start on a word boundary
+                if (entry.size % 2) {
+                    values.push(Buffer.alloc(1));
+                    offset++;
+                }
+            }
+        });
+        parts.push(block);
+    });
+
+    return Buffer.concat([...parts, ...values]);
+}
+
+/**
+ * Build an EXIF block from the RAW's own tags: camera/date IFD0 tags, the EXIF IFD (without MakerNote) and GPS
+ * @param {Buffer} buffer - Whole file
+ * @param {Object} tiff - Result of parseTiff
+ * @returns {Buffer|null} - "Exif\0\0" + TIFF, as stored in a JPEG APP1 segment
+ */
+function buildRawExif(buffer, tiff) {
+    const pick = (entries, skip = []) => [...(entries || new Map()).values()]
+        .filter(entry => entry.size <= MAX_EXIF_VALUE && !skip.includes(entry.tag));
+
+    const ifd0 = pick(tiff.ifd0).filter(entry => IFD0_EXIF_TAGS.includes(entry.tag));
+    const ifds = [{ entries: ifd0 }];
+
+    // Pointer entries get their offset once the layout is known; MakerNote is vendor data with its own offsets
+    const exif = pick(tiff.exif, [TAGS.makerNote, TAGS.interopIfd]);
+    if (exif.length > 0) {
+        ifd0.push({ tag: TAGS.exifIfd, type: 4, count: 1, pointer: ifds.length });
+        ifds.push({ entries: exif });
+    }
+    const gps = pick(tiff.gps);
+    if (gps.length > 0) {
+        ifd0.push({ tag: TAGS.gpsIfd, type: 4, count: 1, pointer: ifds.length });
+        ifds.push({ entries: gps });
+    }
+    if (ifd0.length === 0) return null;
+
+    return Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), writeTiff(buffer, tiff.le, ifds)]);
+}
+
+/**
+ * Find the EXIF APP1 segment of a JPEG
+ * @param {Buffer} jpeg - JPEG bytes
+ * @returns {Buffer|null} - Segment payload ("Exif\0\0" + TIFF)
+ */
+function findJpegExif(jpeg) {
+    let pos = 2;
+    // Markers before the image data: APPn, COM, DQT... each with a 2-byte length
+    while (pos + 4 <= jpeg.length && jpeg[pos] === 0xff && jpeg[pos + 1] !== 0xda) {
+        const length = jpeg.readUInt16BE(pos + 2);
+        if (jpeg[pos + 1] === 0xe1 && jpeg.toString('latin1', pos + 4, pos + 10) === 'Exif\0\0') {
+            return jpeg.subarray(pos + 4, pos + 2 + length);
+        }
+        pos += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Insert an EXIF APP1 segment right after a JPEG's start marker
+ * @param {Buffer} jpeg - JPEG bytes without EXIF
+ * @param {Buffer} exif - "Exif\0\0" + TIFF
+ * @returns {Buffer}
+ */
+function insertJpegExif(jpeg, exif) {
+    const marker = Buffer.from([0xff, 0xe1, 0, 0]);
+    marker.writeUInt16BE(exif.length + 2, 2);
+    return Buffer.concat([jpeg.subarray(0, 2), marker, exif, jpeg.subarray(2)]);
+}
+
+/**
+ * Read what a RAW file holds: its EXIF, embedded previews and (DNG) a directly decodable main image
+ * @param {Buffer} buffer - Whole file
+ * @returns {Object} - { exif, previews: [{ offset, length }], decodable }
+ */
+function inspectRaw(buffer) {
+    if (buffer.toString('latin1', 0, RAF_MAGIC.length) === RAF_MAGIC) {
+        const offset = buffer.readUInt32BE(84);
+        const length = buffer.readUInt32BE(88);
+        const jpeg = buffer.subarray(offset, offset + length);
+        // The RAF preview is a complete camera JPEG, EXIF included
+        return { exif: findJpegExif(jpeg), previews: [{ offset, length }], decodable: null };
+    }
+
+    const tiff = parseTiff(buffer);
+    if (!tiff) {
+        throw new Error('Unsupported RAW format (not TIFF-based or Fujifilm RAF)');
+    }
+    return { exif: buildRawExif(buffer, tiff), previews: findPreviews(buffer, tiff), decodable: findDecodableImage(buffer, tiff) };
+}
+
+/**
+ * Read part of a file
+ * @param {number} fd - Open file descriptor
+ * @param {number} position - Offset in the file
+ * @param {number} length - Bytes wanted (fewer at the end of the file)
+ * @returns {Buffer}
+ */
+function readBytes(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, position));
+}
+
+/**
+ * Read the EXIF of a RAW file (capture date, camera, GPS) without reading the whole file
+ * @param {string} filePath - Path to RAW file
+ * @returns {Promise<Buffer|null>} - "Exif\0\0" + TIFF, readable by exif-reader
+ */
+async function readRawExif(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const head = readBytes(fd, 0, EXIF_READ_BYTES);
+        if (head.toString('latin1', 0, RAF_MAGIC.length) === RAF_MAGIC) {
+            const offset = head.readUInt32BE(84);
+            const length = head.readUInt32BE(88);
+            return findJpegExif(readBytes(fd, offset, Math.min(length, EXIF_READ_BYTES)));
+        }
+
+        const tiff = parseTiff(head);
+        if (!tiff) {
+            throw new Error('Unsupported RAW format (not TIFF-based or Fujifilm RAF)');
+        }
+        return buildRawExif(head, tiff);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Prepare a RAW file for the normal Sharp pipeline
+ * A DNG with an RGB main image is decoded at full resolution; other RAWs use the largest embedded
+ * JPEG preview. Either way the RAW's EXIF travels with the pixels, so orientation, metadata policies
+ * and capture dates work as for any JPEG.
+ * @param {string} inputPath - Path to RAW file
+ * @returns {Promise<Object>} - { source, raw: { decoder: 'libvips'|'preview', width, height } }
+ */
+async function loadRawSource(inputPath) {
+    const buffer = await fs.promises.readFile(inputPath);
+    const { exif, previews, decodable } = inspectRaw(buffer);
+
+    if (decodable) {
+        try {
+            const { data, info } = await sharp(buffer, decodable.subIfd !== null ? { subifd: decodable.subIfd } : undefined)
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+            return {
+                source: { input: await encodeTaggedPng(data, { width: info.width, height: info.height, channels: info.channels }, { exif }) },
+                raw: { decoder: 'libvips', width: info.width, height: info.height }
+            };
+        } catch (decodeError) {
+            console.log(`    ⚠️  DNG decode failed (${decodeError.message}), using embedded preview...`);
+        }
+    }
+
+    if (previews.length === 0) {
+        throw new Error('No embedded JPEG preview found in RAW file');
+    }
+
+    // A copy, so the rest of the RAW can be freed
+    let preview = Buffer.from(buffer.subarray(previews[0].offset, previews[0].offset + previews[0].length));
+    if (exif && !findJpegExif(preview)) {
+        preview = insertJpegExif(preview, exif);
+    }
+    const { width, height } = await sharp(preview).metadata();
+    return { source: { input: preview }, raw: { decoder: 'preview', width, height } };
+}
+
+module.exports = {
+    loadRawSource,
+    readRawExif
+};
@@ -0,0 +1,140 @@
+/**
+ * Run Plan Module
+ *
+ * Dry runs: what a batch would do, without writing anything. Per file it gives the output path
+ * (after renaming and extension normalizing), the capture date and where it came from, HEIC/RAW
+ * conversions, and the name collisions that pushed a file to a _1, _2 path.
+ * Collisions are simulated the way a real run finds them: paths already on disk, paths the
+ * manifest gives to another source, and paths planned for another file earlier in the same run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isRawImage } = require('./utils');
+
+// getCaptureDateInfo sources, as shown to the user
+const DATE_SOURCE_LABELS = {
+    'takeout-json': 'Google Takeout JSON',
+    'exif': 'EXIF DateTimeOriginal',
+    'exif-datetime': 'EXIF DateTime',
+    'video-metadata': 'video creation_time',
+    'file-mtime': 'file modified time'
+};
+
+// Source formats that are always decoded, even when only renaming
+const HEIC_EXTENSIONS = ['.heic', '.heif'];
+
+/**
+ * Create the collision simulation of a dry run
+ * @param {Object|null} manifest - Manifest from openManifest (opened read-only), or null without one
+ * @returns {Object} - { reserveFor(sourcePath) → reserve(path), collisionsOf(sourcePath) }
+ */
+function createPlanReserver(manifest = null) {
+    const planned = new Map(); // Output path → source planned to write it
+    const collisions = new Map(); // Source → [{ path, reason, source }]
+
+    const findCollision = (outputPath, sourcePath) => {
+        const plannedFor = planned.get(outputPath);
+        if (plannedFor) return plannedFor === sourcePath ? null : { reason: 'planned', source: plannedFor };
+        const owner = manifest ? manifest.owners.get(outputPath) : null;
+        if (owner) return owner === sourcePath ? null : { reason: 'manifest', source: owner };
+        return fs.existsSync(outputPath) ? { reason: 'exists', source: null } : null;
+    };
+
+    const reserveFor = (sourcePath) => (outputPath) => {
+        const collision = findCollision(outputPath, sourcePath);
+        if (collision) {
+            if (!collisions.has(sourcePath)) collisions.set(sourcePath, []);
+            collisions.get(sourcePath).push({ path: outputPath, ...collision });
+            return false;
+        }
+        planned.set(outputPath, sourcePath);
+        return true;
+    };
+
+    return { reserveFor, collisionsOf: (sourcePath) => collisions.get(sourcePath) || [] };
+}
+
+/**
+ * Which conversion a source needs whatever the mode
+ * @param {string} filePath - Source file
+ * @returns {string|null} - 'HEIC', 'RAW' or null
+ */
+function getConversion(filePath) {
+    if (isRawImage(filePath)) return 'RAW';
+    return HEIC_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) ? 'HEIC' : null;
+}
+
+/**
+ * What a run does with a file that isn't skipped
+ * @param {string} filePath - Source file
+ * @param {boolean} renameOnly - Rename-only mode (copy, but HEIC and RAW still get converted)
+ * @returns {string} - 'compress', 'convert' or 'copy'
+ */
+function getPlannedAction(filePath, renameOnly) {
+    if (!renameOnly) return 'compress';
+    return getConversion(filePath) ? 'convert' : 'copy';
+}
+
+/**
+ * Build one plan entry
+ * @param {string} sourcePath - Source file
+ * @param {string|null} outputPath - Planned output (the earlier output for unchanged files, null when dropped)
+ * @param {Object} details - { type, action, dateInfo, collisions, duplicateOf, movedTo }
+ * @returns {Object}
+ */
+function createPlanEntry(sourcePath, outputPath, { type, action, dateInfo = null, collisions = [], duplicateOf = null, movedTo = null }) {
+    return {
+        source: sourcePath,
+        type,
+        action,
+        output: outputPath,
+        renamed: outputPath ? path.parse(outputPath).name !== path.parse(sourcePath).name : false,
+        conversion: action === 'compress' || action === 'convert' ? getConversion(sourcePath) : null,
+        // Capture dates hold local time in their UTC fields (see getCaptureDate)
+        captureDate: dateInfo ? dateInfo.date.toISOString().slice(0, 19).replace('T', ' ') : null,
+        dateSource: dateInfo ? dateInfo.source : null,
+        collisions,
+        duplicateOf,
+        movedTo
+    };
+}
+
+/**
+ * Count what a plan does
+ * @param {Object[]} entries - Plan entries
+ * @returns {Object} - { total, actions: { compress, ... }, renamed, collisions, conversions }
+ */
+function summarizePlan(entries) {
+    const actions = {};
+    entries.forEach(entry => { actions[entry.action] = (actions[entry.action] || 0) + 1; });
+    return {
+        total: entries.length,
+        actions,
+        renamed: entries.filter(entry => entry.renamed).length,
+        collisions: entries.filter(entry => entry.collisions.length > 0).length,
+        conversions: entries.filter(entry => entry.conversion).length
+    };
+}
+
+/**
+ * Describe a collision for the user
+ * @param {Object} collision - { path, reason, source }
+ * @returns {string}
+ */
+function formatCollision(collision) {
+    const name = path.basename(collision.path);
+    if (collision.reason === 'exists') return `${name} already exists`;
+    if (collision.reason === 'manifest') return `${name} belongs to ${path.basename(collision.source)} (earlier run)`;
+    return `${name} is taken by ${path.basename(collision.source)}`;
+}
+
+module.exports = {
+    createPlanReserver,
+    getConversion,
+    getPlannedAction,
+    createPlanEntry,
+    summarizePlan,
+    formatCollision,
+    DATE_SOURCE_LABELS
+};
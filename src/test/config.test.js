@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { findConfigFile, loadConfig, resolveSettings, validateOption } = require('../config');
+
+// A config file in a fresh temp dir
+function writeConfig(t, data, name = '.mediasquashrc') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const configPath = path.join(dir, name);
+    fs.writeFileSync(configPath, JSON.stringify(data));
+    return { dir, configPath };
+}
+
+test('options are checked against the schema', () => {
+    assert.deepStrictEqual(validateOption('quality', 85), { value: 85 });
+    assert.deepStrictEqual(validateOption('quality', '85'), { value: 85 });
+    assert.ok(validateOption('quality', 101).error);
+    assert.ok(validateOption('quality', 8.5).error);
+    assert.deepStrictEqual(validateOption('recursive', true), { value: true });
+    assert.ok(validateOption('recursive', 'yes').error);
+    assert.deepStrictEqual(validateOption('imageTargetSize', '500KB'), { value: '500KB' });
+    assert.ok(validateOption('videoTargetSize', 'big').error);
+    assert.deepStrictEqual(validateOption('widths', [640, 1280]), { value: '640,1280' });
+    assert.ok(validateOption('encoder', 'divx').error);
+    assert.ok(validateOption('audioBitrate', '128').error);
+    assert.strictEqual(validateOption('threshold', 70).error, 'must be between 0 and 64');
+    assert.strictEqual(validateOption('maxWidht', 100).error, 'is not a known option');
+    assert.match(validateOption('targetSize', '16MB').error, /imageTargetSize or videoTargetSize/);
+});
+
+test('the preset overrides the file defaults', (t) => {
+    const { configPath } = writeConfig(t, {
+        defaults: { quality: 70, recursive: true },
+        presets: { family: { description: 'Shared album', quality: 82, maxWidth: 2048 } }
+    });
+    const config = loadConfig(configPath);
+    assert.deepStrictEqual(resolveSettings(config, 'family'), { quality: 82, recursive: true, maxWidth: 2048 });
+    assert.deepStrictEqual(resolveSettings(config), { quality: 70, recursive: true });
+});
+
+test('a file preset replaces the built-in one of the same name', (t) => {
+    const { configPath } = writeConfig(t, { presets: { web: { quality: 60 } } });
+    assert.deepStrictEqual(resolveSettings(loadConfig(configPath), 'web'), { quality: 60 });
+    assert.strictEqual(resolveSettings(loadConfig(null), 'web').maxWidth, 2560);
+});
+
+test('built-in presets give videos their own target size', () => {
+    const settings = resolveSettings(loadConfig(null), 'whatsapp');
+    assert.strictEqual(settings.videoTargetSize, '16MB');
+    assert.strictEqual(settings.targetSize, undefined);
+});
+
+test('unknown presets and invalid files are errors', (t) => {
+    assert.throws(() => resolveSettings(loadConfig(null), 'missing'), /Unknown preset "missing"/);
+
+    const { configPath } = writeConfig(t, { defaults: { quality: 0, colour: 'red' }, extra: {} });
+    assert.throws(() => loadConfig(configPath), (error) => {
+        assert.match(error.message, /defaults\.quality must be between 1 and 100/);
+        assert.match(error.message, /defaults\.colour is not a known option/);
+        assert.match(error.message, /extra is not a known section/);
+        return true;
+    });
+});
+
+test('the config is found in the folder or its parents', (t) => {
+    const { dir, configPath } = writeConfig(t, {}, 'mediasquash.config.json');
+    const nested = path.join(dir, 'a', 'b');
+    fs.mkdirSync(nested, { recursive: true });
+    assert.strictEqual(findConfigFile(nested), configPath);
+});
+
+test('CLI flags override the preset, which overrides the file defaults', async (t) => {
+    const { dir } = writeConfig(t, {
+        defaults: { maxWidth: 48 },
+        presets: { small: { maxWidth: 40 } }
+    });
+    const input = path.join(dir, 'photo.png');
+    await sharp({ create: { width: 64, height: 48, channels: 3, background: 'red' } }).png().toFile(input);
+
+    // The image command reports the size it resized to
+    const resizedWidth = (...args) => {
+        const output = path.join(dir, `out-${args.length}.png`);
+        const log = execFileSync(process.execPath, [path.join(__dirname, '..', 'index.js'), 'image', input, '-o', output, ...args], { encoding: 'utf8' });
+        return Number(log.match(/Resized: +64x48 → (\d+)x/)[1]);
+    };
+    assert.strictEqual(resizedWidth(), 48);
+    assert.strictEqual(resizedWidth('--preset-name', 'small'), 40);
+    assert.strictEqual(resizedWidth('--preset-name', 'small', '--max-width', '32'), 32);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHashIndex, hammingDistance, resolveMaxDistance, DEFAULT_MAX_DISTANCE } = require('../dedupe');
+
+// Deterministic pseudo-random numbers, so a failure can be reproduced
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+// 64-bit hex hash with the given bits flipped
+function flipBits(hash, bits) {
+    const value = bits.reduce((result, bit) => result ^ (1n << BigInt(bit)), BigInt(`0x${hash}`));
+    return value.toString(16).padStart(16, '0');
+}
+
+function randomHash(random) {
+    return Array.from({ length: 16 }, () => Math.floor(random() * 16).toString(16)).join('');
+}
+
+// Random hashes plus near copies of them at every distance up to 16 bits
+function createHashes(random, count) {
+    const hashes = [];
+    for (let i = 0; i < count; i++) {
+        const hash = randomHash(random);
+        const bits = new Set();
+        const flips = Math.floor(random() * 17);
+        while (bits.size < flips) bits.add(Math.floor(random() * 64));
+        hashes.push(hash, flipBits(hash, [...bits]));
+    }
+    return hashes;
+}
+
+for (const radius of [0, 4, 8, 10, 12, 16]) {
+    test(`the hash index finds every hash within ${radius} bits`, () => {
+        const hashes = createHashes(createRandom(radius + 1), 300);
+        const index = createHashIndex(radius);
+        hashes.forEach((hash, i) => index.add(hash, i));
+
+        hashes.forEach((hash, i) => {
+            const candidates = index.candidates(hash);
+            hashes.forEach((other, j) => {
+                if (hammingDistance(hash, other) <= radius) {
+                    assert.ok(candidates.has(j), `${hash} and ${other} are ${hammingDistance(hash, other)} bits apart but not candidates`);
+                }
+            });
+            assert.ok(candidates.has(i));
+        });
+    });
+}
+
+test('the hash index leaves distant hashes out', () => {
+    const index = createHashIndex(4);
+    index.add('0000000000000000', 'zero');
+    assert.deepStrictEqual([...index.candidates('ffffffffffffffff')], []);
+    assert.deepStrictEqual([...index.candidates(flipBits('0000000000000000', [0, 17, 33, 63]))], ['zero']);
+});
+
+test('dedupe thresholds must be 0 to 64 bits', () => {
+    assert.strictEqual(resolveMaxDistance(undefined), DEFAULT_MAX_DISTANCE);
+    assert.strictEqual(resolveMaxDistance('12'), 12);
+    assert.strictEqual(resolveMaxDistance(0), 0);
+    for (const value of ['abc', '', '8x', -1, 65]) {
+        assert.throws(() => resolveMaxDistance(value), /Invalid dedupe threshold/);
+    }
+});
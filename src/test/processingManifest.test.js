@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openManifest, saveManifest, checkFile, planCheckFile, reserveOutput, recordFile, recordFailure, hashSettings } = require('../processingManifest');
+
+const SETTINGS = hashSettings({ quality: 80 });
+
+// A source folder and an output folder in a fresh temp dir, with an opener for its manifest
+// (opened manifests are saved before the folder goes, or the exit-time save would recreate it)
+function createFolders(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+    const manifests = [];
+    t.after(() => {
+        manifests.forEach(manifest => saveManifest(manifest));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    const source = path.join(dir, 'photo.jpg');
+    fs.writeFileSync(source, 'original content');
+    const outputDir = path.join(dir, 'out');
+    fs.mkdirSync(outputDir);
+    const open = (options) => {
+        const manifest = openManifest(outputDir, options);
+        manifests.push(manifest);
+        return manifest;
+    };
+    return { dir, source, outputDir, open };
+}
+
+// Run one file the way a batch run does: check, reserve, write, record, save
+async function runFile(open, source, outputPath, settingsHash = SETTINGS) {
+    const manifest = open();
+    const check = await checkFile(manifest, source, settingsHash);
+    const reserved = reserveOutput(manifest, source, outputPath, check);
+    if (reserved) {
+        fs.writeFileSync(outputPath, 'compressed');
+        recordFile(manifest, source, settingsHash, [outputPath], { originalSize: 16, compressedSize: 10 });
+    }
+    saveManifest(manifest);
+    return { check, reserved };
+}
+
+test('a new file is hashed and reported new', async (t) => {
+    const { source, open } = createFolders(t);
+    const check = await checkFile(open(), source, SETTINGS);
+    assert.strictEqual(check.status, 'new');
+    assert.match(check.hash, /^[0-9a-f]{64}$/);
+});
+
+test('a rerun with the same content and settings is unchanged', async (t) => {
+    const { source, outputDir, open } = createFolders(t);
+    const outputPath = path.join(outputDir, 'photo.webp');
+    await runFile(open, source, outputPath);
+
+    const check = await checkFile(open(), source, SETTINGS);
+    assert.strictEqual(check.status, 'unchanged');
+    assert.deepStrictEqual(check.entry.outputs, [outputPath]);
+});
+
+test('a rerun reuses its own output instead of taking a new name', async (t) => {
+    const { source, outputDir, open } = createFolders(t);
+    const outputPath = path.join(outputDir, 'photo.webp');
+    await runFile(open, source, outputPath);
+
+    // New settings: the file is redone and may overwrite the output it wrote itself
+    const { check, reserved } = await runFile(open, source, outputPath, hashSettings({ quality: 60 }));
+    assert.strictEqual(check.status, 'settings');
+    assert.strictEqual(reserved, true);
+    assert.deepStrictEqual(fs.readdirSync(outputDir).filter(name => !name.startsWith('.')), ['photo.webp']);
+});
+
+test('an output written by another source is not reserved', async (t) => {
+    const { dir, source, outputDir, open } = createFolders(t);
+    const outputPath = path.join(outputDir, 'photo.webp');
+    await runFile(open, source, outputPath);
+
+    const other = path.join(dir, 'other.jpg');
+    fs.writeFileSync(other, 'other content');
+    const manifest = open();
+    const check = await checkFile(manifest, other, SETTINGS);
+    assert.strictEqual(reserveOutput(manifest, other, outputPath, check), false);
+});
+
+test('a path reserved in this run is taken before it exists', async (t) => {
+    const { dir, source, outputDir, open } = createFolders(t);
+    const other = path.join(dir, 'other.jpg');
+    fs.writeFileSync(other, 'other content');
+    const outputPath = path.join(outputDir, 'photo.webp');
+
+    const manifest = open();
+    assert.strictEqual(reserveOutput(manifest, source, outputPath, await checkFile(manifest, source, SETTINGS)), true);
+    assert.strictEqual(reserveOutput(manifest, other, outputPath, await checkFile(manifest, other, SETTINGS)), false);
+});
+
+test('edited content, missing outputs and failures are redone', async (t) => {
+    const { source, outputDir, open } = createFolders(t);
+    const outputPath = path.join(outputDir, 'photo.webp');
+    await runFile(open, source, outputPath);
+
+    fs.writeFileSync(source, 'edited content!');
+    assert.strictEqual((await checkFile(open(), source, SETTINGS)).status, 'changed');
+
+    await runFile(open, source, outputPath);
+    fs.unlinkSync(outputPath);
+    assert.strictEqual((await checkFile(open(), source, SETTINGS)).status, 'incomplete');
+
+    await runFile(open, source, outputPath);
+    const manifest = open();
+    recordFailure(manifest, source);
+    assert.strictEqual((await checkFile(manifest, source, SETTINGS)).status, 'incomplete');
+});
+
+test('a touched but unedited file stays unchanged', async (t) => {
+    const { source, outputDir, open } = createFolders(t);
+    await runFile(open, source, path.join(outputDir, 'photo.webp'));
+
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(source, later, later);
+    assert.strictEqual((await checkFile(open(), source, SETTINGS)).status, 'unchanged');
+});
+
+test('planning a dry run does not hash new files', async (t) => {
+    const { source, outputDir, open } = createFolders(t);
+    const check = await planCheckFile(open({ readOnly: true }), source, SETTINGS);
+    assert.strictEqual(check.status, 'new');
+    assert.strictEqual(check.hash, null);
+
+    await runFile(open, source, path.join(outputDir, 'photo.webp'));
+    assert.strictEqual((await planCheckFile(open(), source, SETTINGS)).status, 'unchanged');
+});
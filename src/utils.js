@@ -1,18 +1,23 @@
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const zlib = require('zlib');
 
 // Supported file extensions
-const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.tiff', '.gif', '.heic', '.heif'];
+// Camera RAW (TIFF-based and Fujifilm RAF), read through their embedded preview or decoded (DNG)
+const RAW_EXTENSIONS = ['.dng', '.cr2', '.nef', '.nrw', '.arw', '.sr2', '.orf', '.rw2', '.pef', '.srw', '.erf', '.3fr', '.raf'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.tiff', '.gif', '.heic', '.heif', ...RAW_EXTENSIONS];
 const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.webm', '.3gp', '.m4v', '.mpeg', '.mpg'];
 
 /**
  * Normalize output file extension for consistent format
- * Images → .webp (default), .jpeg, or .avif | Videos → .mp4
+ * Images → .webp (default), .jpeg, or .avif | Videos → .mp4 (default), .mkv, or .webm
  * @param {string} filePath - File path to normalize
+ * @param {string} imageFormat - Target image format
+ * @param {string} videoFormat - Target video container
  * @returns {string} - Normalized file path with consistent extension
  */
-function normalizeOutputExtension(filePath, imageFormat = 'webp') {
+function normalizeOutputExtension(filePath, imageFormat = 'webp', videoFormat = 'mp4') {
     const ext = path.extname(filePath).toLowerCase();
     const dir = path.dirname(filePath);
     const baseName = path.basename(filePath, path.extname(filePath));
@@ -23,9 +28,10 @@ function normalizeOutputExtension(filePath, imageFormat = 'webp') {
         return path.join(dir, `${baseName}${targetExt}`);
     }
 
-    // Normalize video extensions to .mp4
+    // Normalize video extensions to the target container
     if (VIDEO_EXTENSIONS.includes(ext)) {
-        return path.join(dir, `${baseName}.mp4`);
+        const targetExt = videoFormat.startsWith('.') ? videoFormat : `.${videoFormat}`;
+        return path.join(dir, `${baseName}${targetExt}`);
     }
 
     // Return as-is for other files
@@ -94,6 +100,16 @@ function isImage(filePath) {
     return IMAGE_EXTENSIONS.includes(ext);
 }
 
+/**
+ * Check if a file is a camera RAW image based on extension
+ * @param {string} filePath - Path to the file
+ * @returns {boolean}
+ */
+function isRawImage(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return RAW_EXTENSIONS.includes(ext);
+}
+
 /**
  * Check if a file is a video based on extension
  * @param {string} filePath - Path to the file
@@ -117,6 +133,42 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+/**
+ * Parse a human-readable size (e.g. "25MB", "500 KB", 1048576) into bytes
+ * Uses 1024-based units to match formatFileSize
+ * @param {string|number} size - Size string or byte count
+ * @returns {number|null} - Size in bytes, or null if not parseable
+ */
+function parseSize(size) {
+    if (typeof size === 'number') return size > 0 ? Math.floor(size) : null;
+    if (!size) return null;
+
+    const match = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*(b|bytes|k|kb|m|mb|g|gb)?$/i);
+    if (!match) return null;
+
+    const units = { b: 0, bytes: 0, k: 1, kb: 1, m: 2, mb: 2, g: 3, gb: 3 };
+    const power = units[(match[2] || 'b').toLowerCase()];
+    const bytes = Math.floor(parseFloat(match[1]) * Math.pow(1024, power));
+    return bytes > 0 ? bytes : null;
+}
+
+/**
+ * Parse a time value (e.g. 90, "90.5", "1:30", "01:02:03.5") into seconds
+ * @param {string|number} time - Seconds or [hh:]mm:ss[.ms]
+ * @returns {number|null} - Seconds, or null if not parseable
+ */
+function parseTime(time) {
+    if (typeof time === 'number') return time >= 0 && isFinite(time) ? time : null;
+    if (time === null || time === undefined) return null;
+
+    const match = String(time).trim().match(/^(?:(\d+):)?(?:(\d+):)?(\d+(?:\.\d+)?)s?$/i);
+    if (!match) return null;
+
+    // With a single colon the first group is minutes, not hours
+    const [hours, minutes] = match[2] !== undefined ? [match[1], match[2]] : [undefined, match[1]];
+    return (parseInt(hours, 10) || 0) * 3600 + (parseInt(minutes, 10) || 0) * 60 + parseFloat(match[3]);
+}
+
 /**
  * Get file size in bytes
  * @param {string} filePath - Path to the file
@@ -276,6 +328,18 @@ function findJsonSidecar(filePath) {
  * @returns {Promise<Date|null>}
  */
 async function getCaptureDate(filePath) {
+    const info = await getCaptureDateInfo(filePath);
+    return info ? info.date : null;
+}
+
+/**
+ * Get capture date from metadata, with where it was found
+ * Sources, in order: 'takeout-json' (Google Takeout sidecar), 'exif' (DateTimeOriginal),
+ * 'exif-datetime' (DateTime), 'video-metadata' (creation_time), 'file-mtime'
+ * @param {string} filePath
+ * @returns {Promise<Object|null>} - { date, source }
+ */
+async function getCaptureDateInfo(filePath) {
     // Helper: Convert absolute timestamp to "Fake UTC" so that getUTC methods return Local time.
     // e.g. If local is 19:00 and UTC is 12:00, this shifts 12:00 -> 19:00 (still labeled UTC).
     // This allows formatDateForFilename to print "1900" using getUTC methods.
@@ -290,7 +354,7 @@ async function getCaptureDate(filePath) {
                 const timestamp = parseInt(jsonContent.photoTakenTime.timestamp, 10) * 1000;
                 if (!isNaN(timestamp)) {
                     // Google timestamps are real UTC. Shift to local.
-                    return toLocalAsUTC(new Date(timestamp));
+                    return { date: toLocalAsUTC(new Date(timestamp)), source: 'takeout-json' };
                 }
             }
         } catch (err) {
@@ -300,12 +364,17 @@ async function getCaptureDate(filePath) {
     // --- IMAGES ---
     if (isImage(filePath)) {
         try {
-            const metadata = await sharp(filePath).metadata();
-            if (metadata.exif) {
-                const exif = exifReader(metadata.exif);
-                const exifDate = exif.Photo?.DateTimeOriginal || exif.Image?.DateTime;
-                if (exifDate) {
-                    return new Date(exifDate);
+            // Sharp would only see the RAW's small TIFF thumbnail, which carries no EXIF
+            const exifData = isRawImage(filePath)
+                ? await require('./rawImage').readRawExif(filePath)
+                : (await sharp(filePath).metadata()).exif;
+            if (exifData) {
+                const exif = exifReader(exifData);
+                if (exif.Photo?.DateTimeOriginal) {
+                    return { date: new Date(exif.Photo.DateTimeOriginal), source: 'exif' };
+                }
+                if (exif.Image?.DateTime) {
+                    return { date: new Date(exif.Image.DateTime), source: 'exif-datetime' };
                 }
             }
         } catch (err) {
@@ -313,7 +382,7 @@ async function getCaptureDate(filePath) {
 
         try {
             const stats = fs.statSync(filePath);
-            return toLocalAsUTC(stats.mtime);
+            return { date: toLocalAsUTC(stats.mtime), source: 'file-mtime' };
         } catch {
             return null;
         }
@@ -360,11 +429,11 @@ async function getCaptureDate(filePath) {
             // Check for sanity: if metadata date is in the future compared to mtime, it might be corrupt.
             // But since we shifted metadata to local, strict comparison is tricky.
             // Generally, rely on metadata if it exists.
-            return metadataDate;
+            return { date: metadataDate, source: 'video-metadata' };
         } else if (mtimeDate) {
-            return mtimeDate;
+            return { date: mtimeDate, source: 'file-mtime' };
         } else if (metadataDate) {
-            return metadataDate;
+            return { date: metadataDate, source: 'video-metadata' };
         }
 
         return null;
@@ -402,11 +471,12 @@ function formatDateForFolder(date) {
  * Preserve file metadata (birthtime and mtime)
  * @param {string} sourcePath - Path to original file
  * @param {string} targetPath - Path to new file
+ * @param {number} [offsetSeconds] - Shift the times by this much (a video segment starts later than its source)
  */
-function setFileMetadata(sourcePath, targetPath) {
+function setFileMetadata(sourcePath, targetPath, offsetSeconds = 0) {
     try {
         const stats = fs.statSync(sourcePath);
-        fs.utimesSync(targetPath, stats.atime, stats.mtime);
+        fs.utimesSync(targetPath, new Date(stats.atimeMs + offsetSeconds * 1000), new Date(stats.mtimeMs + offsetSeconds * 1000));
     } catch {
     }
 }
@@ -430,6 +500,56 @@ function getFFmpegPath() {
     return ffmpegPath;
 }
 
+/**
+ * Wrap raw pixels in a PNG carrying an ICC profile and/or EXIF, so Sharp reads them like a file
+ * Sharp can't attach metadata to raw input; the PNG is uncompressed and only lives in memory.
+ * @param {Buffer} data - Raw pixels
+ * @param {Object} raw - Sharp raw descriptor { width, height, channels, premultiplied? }
+ * @param {Object} tags - { icc: ICC profile bytes, exif: EXIF block (with or without the "Exif\0\0" prefix) }
+ * @returns {Promise<Buffer>} - PNG bytes
+ */
+async function encodeTaggedPng(data, raw, { icc = null, exif = null } = {}) {
+    const png = await sharp(data, { raw })
+        .png({ compressionLevel: 0, adaptiveFiltering: false })
+        .toBuffer();
+
+    const chunks = [];
+    if (icc) {
+        // Profile name, null separator, compression method 0 (zlib)
+        chunks.push(createPngChunk('iCCP', Buffer.concat([Buffer.from('ICC profile\0\0', 'latin1'), zlib.deflateSync(icc)])));
+    }
+    if (exif) {
+        chunks.push(createPngChunk('eXIf', exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif));
+    }
+
+    // Signature (8 bytes) + IHDR chunk (4 length + 4 type + 13 data + 4 CRC)
+    const headerEnd = 8 + 25;
+    return Buffer.concat([png.subarray(0, headerEnd), ...chunks, png.subarray(headerEnd)]);
+}
+
+/**
+ * Build a PNG chunk (length, type, data, CRC-32)
+ * @param {string} type - Chunk type, e.g. 'iCCP'
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer}
+ */
+function createPngChunk(type, data) {
+    const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    let crc = 0xffffffff;
+    for (const byte of typeAndData) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) {
+            crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+        }
+    }
+
+    const chunk = Buffer.alloc(typeAndData.length + 8);
+    chunk.writeUInt32BE(data.length, 0);
+    typeAndData.copy(chunk, 4);
+    chunk.writeUInt32BE((crc ^ 0xffffffff) >>> 0, chunk.length - 4);
+    return chunk;
+}
+
 /**
  * Get corrected FFprobe path for Electron environment
  * @returns {string}
@@ -452,10 +572,14 @@ function getFFprobePath() {
 
 module.exports = {
     IMAGE_EXTENSIONS,
+    RAW_EXTENSIONS,
     VIDEO_EXTENSIONS,
     isImage,
+    isRawImage,
     isVideo,
     formatFileSize,
+    parseSize,
+    parseTime,
     getFileSize,
     getCompressionRatio,
     ensureDirectoryExists,
@@ -466,9 +590,11 @@ module.exports = {
     parallelProcess,
     getFilesRecursive,
     getCaptureDate,
+    getCaptureDateInfo,
     formatDateForFilename,
     formatDateForFolder,
     setFileMetadata,
+    encodeTaggedPng,
     getFFmpegPath,
     getFFprobePath
 };
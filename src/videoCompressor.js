@@ -1,23 +1,127 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
-const { ensureDirectoryExists, getFileSize, formatFileSize, getCompressionRatio, getOptimalThreads, setFileMetadata, getFFmpegPath } = require('./utils');
-const { getEncoderConfig, detectAvailableEncoders } = require('./hwEncoder');
+const os = require('os');
+const { ensureDirectoryExists, getFileSize, formatFileSize, parseSize, parseTime, getCompressionRatio, getOptimalThreads, setFileMetadata, getFFmpegPath } = require('./utils');
+const { getEncoderConfig, detectAvailableEncoders, validateContainer, SOFTWARE_ENCODERS } = require('./hwEncoder');
+const { measureQuality, getAvailableMetrics, evaluateScore, formatScore, DEFAULT_MIN_SCORES } = require('./videoQuality');
+const { resolveMetadataPolicy, getVideoMetadataOptions, findVideoGps } = require('./metadata');
 
 // Set ffmpeg path
 ffmpeg.setFfmpegPath(getFFmpegPath());
 
 // Default compression settings
 const DEFAULT_SETTINGS = {
-    encoder: 'auto', // 'auto', 'nvenc', 'amf', 'qsv', 'x264', or 'x265'
+    encoder: 'auto', // 'auto', 'nvenc', 'amf', 'qsv', 'x264', 'x265', 'svtav1', 'aom', or 'vp9'
     crf: 22,
     preset: 'medium', // For x264/x265 software encoders
-    audioCodec: 'aac',
+    audioMode: 'auto', // 'auto' (copy efficient compatible audio, else encode), 'copy', or 'encode'
+    audioCodec: 'aac', // AV1/VP9 profiles default to Opus instead
     audioBitrate: '128k',
+    downmix: false, // Downmix surround tracks to stereo (re-encodes)
+    normalizeAudio: false, // EBU R128 loudness normalization (re-encodes)
+    loudnessTarget: -23, // Integrated loudness in LUFS for normalizeAudio (EBU R128 = -23)
     threads: 0, // 0 = auto (for x264/x265 software encoders)
-    videoJobs: 2 // Number of videos to process in parallel
+    videoJobs: 2, // Number of videos to process in parallel
+    targetSize: null, // e.g. '25MB' - switches from CRF to bitrate-based rate control
+    maxWidth: null, // Downscale (never upscale) to fit these bounds, aspect ratio preserved
+    maxHeight: null,
+    maxFps: null, // Drop frame rate above this value (e.g. 60fps phone footage → 30)
+    hdr: 'auto', // 'auto' (keep 10-bit HDR when the encoder can, else tone-map), 'preserve', or 'tonemap'
+    verify: false, // Measure VMAF/SSIM/PSNR against the source after encoding
+    scoreMetric: 'vmaf', // Metric the minScore threshold applies to: 'vmaf', 'ssim', or 'psnr'
+    minScore: null, // e.g. 93 (VMAF), 0.98 (SSIM), 40 (PSNR dB) - null = report only
+    rejectLowScore: false, // Fail the encode (callers fall back to the original) instead of flagging it
+    autoCrf: false, // Search per file for the highest CRF that still meets targetScore (scoreMetric)
+    targetScore: null, // null = DEFAULT_MIN_SCORES for the metric (VMAF 93)
+    streams: 'all', // 'all' (every audio/subtitle track), 'first' (one of each type), or 'language'
+    languages: [], // ISO 639-2 codes for streams: 'language', e.g. ['eng', 'jpn']
+    efficient: 'skip', // Already efficient sources: 'skip' (keep as-is), 'remux' (copy video into the output container), or 'encode'
+    efficiencyThreshold: null, // Bits per pixel per frame at or below which a source counts as efficient (null = EFFICIENT_BPP per codec)
+    start: null, // Trim start: seconds or [hh:]mm:ss
+    end: null, // Trim end (use either end or duration)
+    duration: null, // Trim length from start
+    trimMode: 'precise', // 'precise' (re-encode, frame-accurate) or 'fast' (stream copy, cuts on the keyframe before start)
+    segmentLength: null, // segmentVideo: chunk length in seconds or [hh:]mm:ss
+    metadata: 'keep' // 'keep', 'strip', 'strip-location' (drop GPS only), or 'whitelist' (date, camera, copyright)
 };
 
+// Source codecs that rarely shrink when re-encoded, with the bits per pixel per frame
+// below which they are left alone (about what our own CRF encodes produce)
+const EFFICIENT_BPP = {
+    hevc: 0.06,
+    av1: 0.05,
+    vp9: 0.06,
+    h264: 0.04
+};
+
+// Video codecs each container family accepts for stream copy (remux)
+const VIDEO_COPY_CODECS = {
+    mp4: ['h264', 'hevc', 'av1', 'vp9'],
+    webm: ['av1', 'vp9'],
+    mkv: null // anything
+};
+
+// Audio codecs each container family accepts for stream copy
+const AUDIO_COPY_CODECS = {
+    mp4: ['aac', 'mp3', 'ac3', 'eac3', 'alac', 'opus', 'flac'],
+    webm: ['opus', 'vorbis'],
+    mkv: null // anything
+};
+
+// Lossy codecs worth keeping as-is in auto mode (PCM/FLAC/ALAC get re-encoded to save space)
+const EFFICIENT_AUDIO_CODECS = ['aac', 'opus', 'vorbis', 'mp3', 'ac3', 'eac3'];
+
+// Above this bitrate (kbps) auto mode re-encodes even efficient codecs
+const AUDIO_COPY_MAX_BITRATE = 320;
+
+// Friendly names for FFmpeg's audio encoders
+const AUDIO_CODEC_ALIASES = { opus: 'libopus', vorbis: 'libvorbis', mp3: 'libmp3lame' };
+
+// Subtitle codecs stored as text (convertible between containers); bitmap ones (PGS, DVD) are not
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Subtitle codec each container family can hold, by source codec type
+const SUBTITLE_TARGETS = {
+    mp4: { text: 'mov_text', bitmap: null },
+    webm: { text: 'webvtt', bitmap: null },
+    mkv: { text: 'copy', bitmap: 'copy' }
+};
+
+// CRF bounds for the auto-CRF search (AV1/VP9 CRF scales run up to 63)
+const AUTO_CRF_RANGES = {
+    default: [16, 36],
+    svtav1: [20, 55],
+    aom: [20, 55],
+    vp9: [20, 55]
+};
+
+// Auto-CRF samples: count and length of the segments encoded per candidate CRF
+const AUTO_CRF_SAMPLES = 3;
+const AUTO_CRF_SAMPLE_SECONDS = 4;
+
+// Transfer characteristics that mark a stream as HDR (PQ / HDR10 and HLG)
+const HDR_TRANSFERS = {
+    smpte2084: 'HDR10',
+    'arib-std-b67': 'HLG'
+};
+
+// HDR → SDR (BT.709) tone mapping, needs FFmpeg built with zimg (ffmpeg-static is)
+const TONEMAP_FILTERS = [
+    'zscale=t=linear:npl=100',
+    'format=gbrpf32le',
+    'zscale=p=bt709',
+    'tonemap=tonemap=hable:desat=0',
+    'zscale=t=bt709:m=bt709:r=tv',
+    'format=yuv420p'
+];
+
+// Share of the target size reserved for container overhead (moov atom, index, padding)
+const CONTAINER_OVERHEAD = 0.03;
+
+// Lowest video bitrate (kbps) still worth encoding in target-size mode
+const MIN_VIDEO_BITRATE = 64;
+
 // Supported video extensions
 const SUPPORTED_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.webm', '.3gp', '.m4v', '.mpeg', '.mpg'];
 
@@ -26,6 +130,8 @@ const SUPPORTED_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.
  * @param {string} inputPath - Path to input video
  * @param {string} outputPath - Path to output video
  * @param {Object} options - Compression options
+ * @param {Object} [options.sourceInfo] - Probe result (getVideoInfo) to use instead of probing the source again
+ * @param {Object} [options.crfSearchRange] - { start, duration } the auto-CRF samples are spread over (default: the trimmed range)
  * @returns {Promise<Object>} - Compression result with stats
  */
 async function compressVideo(inputPath, outputPath, options = {}) {
@@ -39,37 +145,203 @@ async function compressVideo(inputPath, outputPath, options = {}) {
     const outputExt = path.extname(outputPath).toLowerCase();
 
     // Get encoder configuration (handles auto-detection and fallback)
-    const encoderConfig = await getEncoderConfig(settings.encoder);
+    const encoderConfig = await getEncoderConfig(settings.encoder, outputExt);
+    const isSoftwareEncoder = SOFTWARE_ENCODERS.includes(encoderConfig.type);
+
+    // Fail before encoding if the codec can't live in the chosen container (e.g. H.264 in WebM)
+    validateContainer(encoderConfig, outputExt);
+    const metadataPolicy = resolveMetadataPolicy(settings.metadata);
+
+    // Encoder profiles may prefer their own audio codec (Opus for AV1/VP9) unless overridden
+    const requestedAudioCodec = options.audioCodec || encoderConfig.audioCodec || settings.audioCodec;
+    const audioCodec = AUDIO_CODEC_ALIASES[requestedAudioCodec] || requestedAudioCodec;
 
-    // Calculate optimal threads for software encoders (x264/x265)
+    // Calculate optimal threads for software encoders
     const threads = settings.threads || getOptimalThreads();
 
-    return new Promise((resolve, reject) => {
-        // Get encoder-specific output options
-        let outputOptions;
-        if (encoderConfig.type === 'x264' || encoderConfig.type === 'x265') {
-            outputOptions = encoderConfig.getOutputOptions(settings.crf, settings.preset, threads);
+    // Probe the source for duration, dimensions and color info
+    // A failed probe is not fatal - FFmpeg may still decode the file, only probe-based features are skipped
+    let metadata = options.sourceInfo || null;
+    if (!metadata) {
+        try {
+            metadata = await getVideoInfo(inputPath);
+        } catch (err) {
+            if (options.verbose) {
+                console.log('ffprobe failed:', err.message);
+            }
+        }
+    }
+
+    // Trim range (start/end/duration); everything duration-based works on the trimmed length
+    const sourceDuration = getDurationSeconds(metadata);
+    const trim = resolveTrim(settings, sourceDuration);
+    const duration = trim ? trim.duration : sourceDuration;
+
+    // Pick audio/subtitle/attachment streams according to the stream policy
+    const streamSelection = selectStreams(metadata, settings, outputExt);
+
+    // Per-track audio decision: copy, re-encode, downmix, normalize
+    const audioPlan = buildAudioPlan(streamSelection.audioStreams, settings, audioCodec, outputExt);
+
+    // Container tags to keep, drop or clear according to the metadata policy
+    const metadataOptions = getVideoMetadataOptions(metadata, metadataPolicy);
+
+    // Target-size mode: derive an average bitrate from the duration instead of using CRF
+    let targetBitrate = null;
+    if (settings.targetSize) {
+        const targetBytes = parseSize(settings.targetSize);
+        if (!targetBytes) {
+            throw new Error(`Invalid target size "${settings.targetSize}" (expected e.g. 25MB)`);
+        }
+        targetBitrate = calculateTargetBitrate(targetBytes, duration, audioPlan.totalBitrate);
+    }
+
+    // Decide between keeping HDR/10-bit and tone-mapping to SDR
+    const streamInfo = metadata ? getVideoStreamInfo(metadata) : null;
+    const hdrPath = resolveHdrPath(streamInfo, encoderConfig, settings.hdr);
+
+    // Resolution / frame-rate caps (applied after FFmpeg's automatic rotation), then tone mapping
+    const { filters: videoFilters, width: outputWidth, height: outputHeight, fps: outputFps } = buildVideoFilters(streamInfo, settings, hdrPath.mode === 'tonemapped');
+
+    const colorOptions = getColorOptions(streamInfo, encoderConfig, hdrPath);
+    const absoluteInput = path.resolve(inputPath);
+    const absoluteOutput = path.resolve(outputPath);
+
+    // Pre-encode analysis: low-bitrate HEVC/AV1/VP9 sources only grow when re-encoded, keep them as they are.
+    // Explicit transforms (trim, target size, resize, frame-rate cap, --hdr tonemap) always encode; the automatic
+    // tone mapping of encoders without HDR output doesn't, it only applies when the source gets encoded anyway.
+    const efficiency = analyzeEfficiency(metadata, streamInfo, settings.efficiencyThreshold);
+    const autoTonemap = hdrPath.mode === 'tonemapped' && settings.hdr !== 'tonemap';
+    const transformsVideo = !!targetBitrate || settings.hdr === 'tonemap'
+        || videoFilters.length > (hdrPath.mode === 'tonemapped' ? TONEMAP_FILTERS.length : 0);
+    const keepsVideo = !transformsVideo && !autoTonemap;
+    let copyMethod = null;
+    if (efficiency && efficiency.efficient && settings.efficient !== 'encode' && !transformsVideo && !trim) {
+        copyMethod = await keepEfficientSource(absoluteInput, absoluteOutput, efficiency, streamSelection, audioPlan, metadataOptions, settings, options);
+    }
+
+    // Fast trim: stream copy from the keyframe at or before the start, only possible when nothing
+    // else needs the video re-encoded - otherwise fall back to a precise trim
+    if (trim && settings.trimMode === 'fast') {
+        if (keepsVideo && streamInfo && canRemux(streamInfo.codec, outputExt)) {
+            await remuxVideo(absoluteInput, absoluteOutput, streamInfo.codec, streamSelection, audioPlan, metadataOptions, trim, options);
+            copyMethod = 'remux';
         } else {
-            outputOptions = encoderConfig.getOutputOptions(settings.crf);
+            trim.mode = 'precise';
+            if (options.verbose) {
+                console.log('    Fast trim needs a plain stream copy, using precise trim instead');
+            }
         }
+    }
+
+    if (copyMethod) {
+        const metadataCheck = await checkOutputMetadata(inputPath, outputPath, metadataPolicy);
+        const compressedSize = getFileSize(outputPath);
+        const skipped = trim ? null : 'already efficient';
+        return {
+            input: inputPath,
+            output: outputPath,
+            originalSize,
+            compressedSize,
+            originalSizeFormatted: formatFileSize(originalSize),
+            compressedSizeFormatted: formatFileSize(compressedSize),
+            savings: getCompressionRatio(originalSize, compressedSize) + (skipped ? ` (skipped: ${skipped})` : ' (trimmed, stream copy)'),
+            encoder: null,
+            container: outputExt.slice(1),
+            rateControl: copyMethod,
+            crf: null,
+            autoCrf: null,
+            targetBitrate: null,
+            resolution: `${streamInfo.width}x${streamInfo.height}`,
+            fps: streamInfo.fps,
+            hdr: autoTonemap ? 'preserved' : hdrPath.mode,
+            hdrNote: autoTonemap ? `${streamInfo.hdrFormat}, ${streamInfo.bitDepth}-bit kept (video not re-encoded)` : hdrPath.note,
+            streams: copyMethod === 'remux' ? streamSelection.summary : null,
+            audio: copyMethod === 'remux' ? audioPlan.tracks : null,
+            quality: null,
+            trim,
+            skipped,
+            efficiency: skipped ? efficiency : null,
+            metadata: metadataCheck,
+            success: true
+        };
+    }
+
+    // Quality-based output options for a given CRF (also used for auto-CRF samples)
+    const getCrfOptions = (crf) => (isSoftwareEncoder
+        ? encoderConfig.getOutputOptions(crf, settings.preset, threads)
+        : encoderConfig.getOutputOptions(crf)).concat(colorOptions);
 
+    // Auto-CRF: pick the CRF per file from sample encodes (target size takes precedence)
+    let crf = settings.crf;
+    let autoCrf = null;
+    if (settings.autoCrf && !targetBitrate) {
+        const range = options.crfSearchRange || { start: trim ? trim.start : 0, duration };
+        autoCrf = await findOptimalCrf(absoluteInput, encoderConfig, getCrfOptions, videoFilters, range, settings, options);
+        crf = autoCrf.crf;
+    }
+
+    // Get encoder-specific output options
+    let outputOptions;
+    if (targetBitrate) {
+        outputOptions = (isSoftwareEncoder
+            ? encoderConfig.getBitrateOptions(targetBitrate, settings.preset, threads)
+            : encoderConfig.getBitrateOptions(targetBitrate)).concat(colorOptions);
+    } else {
+        outputOptions = getCrfOptions(crf);
+    }
+
+    // Software encoders hit a bitrate far more accurately with two passes.
+    // Pass logs live in the temp dir; FFmpeg runs there so the log name stays relative
+    // (x265-params cannot take Windows drive-letter paths).
+    const useTwoPass = Boolean(targetBitrate && encoderConfig.getPassOptions);
+    const passLogName = useTwoPass ? `mediasquash-pass-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` : null;
+    const ffmpegOptions = useTwoPass ? { cwd: os.tmpdir() } : {};
+
+    let rateControl = 'crf';
+    if (useTwoPass) rateControl = 'two-pass';
+    else if (targetBitrate) rateControl = 'vbr';
+
+    if (useTwoPass) {
+        try {
+            await runFirstPass(absoluteInput, encoderConfig, outputOptions, videoFilters, passLogName, ffmpegOptions, trim, options);
+        } catch (err) {
+            cleanupPassLogs(passLogName);
+            throw {
+                input: inputPath,
+                output: outputPath,
+                error: `First pass failed: ${err.message}`,
+                success: false
+            };
+        }
+        outputOptions = outputOptions.concat(encoderConfig.getPassOptions(2, passLogName));
+    }
+
+    await new Promise((resolve, reject) => {
         // Create ffmpeg command
-        let command = ffmpeg(inputPath)
-            // Explicitly map only first video and first audio stream
-            // Some iPhone MOV files have multiple streams including invalid ones (codec 'none')
-            .addOutputOptions(['-map', '0:v:0', '-map', '0:a:0?'])
+        let command = ffmpeg(absoluteInput, ffmpegOptions)
+            // Input-side seek: fast, and frame-accurate because the video is decoded and re-encoded
+            .inputOptions(trim ? trim.inputOptions : [])
+            // Explicit stream maps - iPhone MOV files carry data streams FFmpeg can't write (codec 'none')
+            .addOutputOptions(streamSelection.options)
             .videoCodec(encoderConfig.codec)
             .addOutputOptions(outputOptions)
-            .audioCodec(settings.audioCodec)
-            .audioBitrate(settings.audioBitrate)
-            // Preserve metadata (GPS location, date, etc) and auto-rotate
-            .addOutputOptions(['-map_metadata', '0']);
+            .addOutputOptions(audioPlan.options)
+            // Container tags per the metadata policy; rotation is applied by FFmpeg's auto-rotate
+            .addOutputOptions(metadataOptions);
+
+        if (videoFilters.length > 0) {
+            command = command.videoFilters(videoFilters);
+        }
 
         // Add format-specific options
         if (outputExt === '.mp4' || outputExt === '.m4v') {
             // Enable faststart for web streaming
             command = command.addOutputOptions(['-movflags', '+faststart']);
         }
+        if (encoderConfig.mp4Tag && (outputExt === '.mp4' || outputExt === '.m4v' || outputExt === '.mov')) {
+            command = command.addOutputOptions(['-tag:v', encoderConfig.mp4Tag]);
+        }
 
         const ffmpegCommand = command
             .on('start', (cmdLine) => {
@@ -82,46 +354,19 @@ async function compressVideo(inputPath, outputPath, options = {}) {
             })
             .on('progress', (progress) => {
                 if (options.onProgress) {
-                    options.onProgress(progress);
+                    // Second pass covers the upper half of the progress range
+                    options.onProgress(useTwoPass
+                        ? { ...progress, percent: 50 + (progress.percent || 0) / 2 }
+                        : progress);
                 }
             })
             .on('end', () => {
-                let compressedSize = getFileSize(outputPath);
-                let note = '';
-
-                // Check if we're converting container formats (e.g., MOV to MP4)
-                const inputExt = path.extname(inputPath).toLowerCase();
-                const isConvertingFormat = inputExt !== outputExt;
-
-                // Use original file if compressed is larger, but ONLY if not converting formats
-                // When converting formats (e.g., MOV to MP4), we must keep the re-encoded version
-                // to ensure audio codec compatibility
-                if (compressedSize > originalSize && !isConvertingFormat) {
-                    try {
-                        fs.copyFileSync(inputPath, outputPath);
-                        setFileMetadata(inputPath, outputPath);
-                        compressedSize = originalSize;
-                        note = ' (used original, compressed was larger)';
-                    } catch (err) {
-                        console.error('Error reverting to original file:', err.message);
-                    }
-                } else if (compressedSize > originalSize && isConvertingFormat) {
-                    note = ' (kept converted file for compatibility)';
-                }
-
-                resolve({
-                    input: inputPath,
-                    output: outputPath,
-                    originalSize,
-                    compressedSize,
-                    originalSizeFormatted: formatFileSize(originalSize),
-                    compressedSizeFormatted: formatFileSize(compressedSize),
-                    savings: getCompressionRatio(originalSize, compressedSize) + note,
-                    encoder: encoderConfig.name,
-                    success: true
-                });
+                if (useTwoPass) cleanupPassLogs(passLogName);
+                resolve();
             })
             .on('error', (err) => {
+                if (useTwoPass) cleanupPassLogs(passLogName);
+
                 reject({
                     input: inputPath,
                     output: outputPath,
@@ -129,10 +374,1106 @@ async function compressVideo(inputPath, outputPath, options = {}) {
                     success: false
                 });
             })
+            .save(absoluteOutput);
+    });
+
+    let compressedSize = getFileSize(outputPath);
+    let note = '';
+
+    // Check if we're converting container formats (e.g., MOV to MP4)
+    const inputExt = path.extname(inputPath).toLowerCase();
+    const isConvertingFormat = inputExt !== outputExt;
+    let usedOriginal = false;
+
+    // Use original file if compressed is larger, but ONLY if not converting formats
+    // When converting formats (e.g., MOV to MP4), we must keep the re-encoded version
+    // to ensure audio codec compatibility. A trimmed encode is never replaced by the full original,
+    // and neither is one with filtered metadata - the original still has its location.
+    // Nor is one that was scaled, frame-rate capped or tone-mapped, or lost tracks/audio processing by request.
+    const keepsAllStreams = (settings.streams || 'all') === 'all' && !settings.downmix && !settings.normalizeAudio;
+    if (compressedSize > originalSize && !isConvertingFormat && !trim && metadataPolicy === 'keep' &&
+        videoFilters.length === 0 && keepsAllStreams) {
+        try {
+            fs.copyFileSync(inputPath, outputPath);
+            setFileMetadata(inputPath, outputPath);
+            compressedSize = originalSize;
+            usedOriginal = true;
+            note = ' (used original, compressed was larger)';
+        } catch (err) {
+            console.error('Error reverting to original file:', err.message);
+        }
+    } else if (compressedSize > originalSize && isConvertingFormat) {
+        note = ' (kept converted file for compatibility)';
+    }
+
+    const metadataCheck = await checkOutputMetadata(inputPath, outputPath, metadataPolicy);
+
+    // Optional objective quality check against the source (skipped when the original was kept)
+    let quality = null;
+    if (settings.verify && !usedOriginal) {
+        quality = await verifyEncode(absoluteInput, absoluteOutput, videoFilters, trim, settings, options);
+
+        if (quality.passed === false && settings.rejectLowScore) {
+            try { fs.unlinkSync(outputPath); } catch { }
+            throw {
+                input: inputPath,
+                output: outputPath,
+                error: `Quality check failed: ${quality.metric.toUpperCase()} ${formatScore(quality.metric, quality.score)} < ${quality.minScore}`,
+                quality,
+                success: false
+            };
+        }
+        if (quality.passed === false) {
+            note += ` (below ${quality.metric.toUpperCase()} ${quality.minScore})`;
+        }
+    }
+
+    return {
+        input: inputPath,
+        output: outputPath,
+        originalSize,
+        compressedSize,
+        originalSizeFormatted: formatFileSize(originalSize),
+        compressedSizeFormatted: formatFileSize(compressedSize),
+        savings: getCompressionRatio(originalSize, compressedSize) + note,
+        encoder: encoderConfig.name,
+        container: outputExt.slice(1),
+        rateControl,
+        crf: targetBitrate ? null : crf,
+        autoCrf,
+        targetBitrate: targetBitrate ? `${targetBitrate}k` : null,
+        resolution: outputWidth && outputHeight ? `${outputWidth}x${outputHeight}` : null,
+        fps: outputFps,
+        hdr: hdrPath.mode,
+        hdrNote: hdrPath.note,
+        streams: streamSelection.summary,
+        audio: audioPlan.tracks,
+        quality,
+        trim,
+        metadata: metadataCheck,
+        success: true
+    };
+}
+
+/**
+ * Split a video into fixed-length chunks, each compressed with compressVideo
+ * Chunks are named after the output path with a sequence number (clip_001.mp4, clip_002.mp4, ...).
+ * start/end/duration limit the range being split. The source is probed once and auto CRF searched once,
+ * over the whole range; each chunk is still verified, against its own part of the source.
+ * @param {string} inputPath - Path to input video
+ * @param {string} outputPath - Base output path
+ * @param {Object} options - compressVideo options plus segmentLength
+ * @param {Function} [options.getSegmentPath] - (numberedPath, start) → Promise of the chunk's path, e.g. named after its capture time
+ * @returns {Promise<Object>} - Totals plus per-chunk results in segments
+ */
+async function segmentVideo(inputPath, outputPath, options = {}) {
+    const settings = { ...DEFAULT_SETTINGS, ...options };
+    const segmentLength = parseTime(settings.segmentLength);
+    if (!segmentLength) {
+        throw new Error(`Invalid segment length "${settings.segmentLength}" (expected seconds or [hh:]mm:ss)`);
+    }
+
+    const sourceInfo = await getVideoInfo(inputPath);
+    const sourceDuration = getDurationSeconds(sourceInfo);
+    const range = resolveTrim(settings, sourceDuration) || { start: 0, duration: sourceDuration };
+    if (!range.duration) {
+        throw new Error('Cannot segment: video duration is unknown');
+    }
+
+    // A fraction-of-a-second tail (container duration rounding) joins the last chunk instead of getting its own file
+    const count = Math.max(1, Math.ceil((range.duration - 0.5) / segmentLength));
+    const digits = Math.max(3, String(count).length);
+    const ext = path.extname(outputPath);
+    const base = outputPath.slice(0, outputPath.length - ext.length);
+
+    // The first chunk searches the CRF over the whole range, the others encode with the CRF it found
+    // (the filters follow from the shared probe)
+    let shared = { sourceInfo, crfSearchRange: range };
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+        const start = range.start + i * segmentLength;
+        const length = i === count - 1 ? range.start + range.duration - start : segmentLength;
+        const numberedPath = `${base}_${String(i + 1).padStart(digits, '0')}${ext}`;
+        const segmentPath = options.getSegmentPath ? await options.getSegmentPath(numberedPath, start) : numberedPath;
+
+        const result = await compressVideo(inputPath, segmentPath, {
+            ...options,
+            ...shared,
+            start,
+            end: null,
+            duration: length,
+            onProgress: options.onProgress
+                ? (progress) => options.onProgress({ ...progress, percent: (i * 100 + (progress.percent || 0)) / count })
+                : null
+        });
+        if (result.autoCrf) shared = { sourceInfo, crf: result.autoCrf.crf, autoCrf: false };
+        segments.push(result);
+    }
+
+    const originalSize = getFileSize(inputPath);
+    const compressedSize = segments.reduce((sum, r) => sum + r.compressedSize, 0);
+
+    return {
+        input: inputPath,
+        output: segments.map(r => r.output),
+        originalSize,
+        compressedSize,
+        originalSizeFormatted: formatFileSize(originalSize),
+        compressedSizeFormatted: formatFileSize(compressedSize),
+        savings: getCompressionRatio(originalSize, compressedSize),
+        segmentLength,
+        autoCrf: segments[0].autoCrf,
+        segments,
+        success: true
+    };
+}
+
+/**
+ * Convert an animated image (GIF/WebP) to a video - large animations are many times smaller as video
+ * Frame delays become timestamps (variable frame rate). Containers have no loop count,
+ * players loop with e.g. <video autoplay loop muted>.
+ * @param {string} inputPath - Path to animated image
+ * @param {string} outputPath - Path to output video
+ * @param {Object} options - compressVideo options (encoder, crf, preset, threads, metadata)
+ * @returns {Promise<Object>} - Conversion result with stats
+ */
+async function convertAnimationToVideo(inputPath, outputPath, options = {}) {
+    const settings = { ...DEFAULT_SETTINGS, ...options };
+    const originalSize = getFileSize(inputPath);
+    ensureDirectoryExists(outputPath);
+
+    const outputExt = path.extname(outputPath).toLowerCase();
+    const encoderConfig = await getEncoderConfig(settings.encoder, outputExt);
+    validateContainer(encoderConfig, outputExt);
+    const metadataPolicy = resolveMetadataPolicy(settings.metadata);
+
+    const threads = settings.threads || getOptimalThreads();
+    const outputOptions = SOFTWARE_ENCODERS.includes(encoderConfig.type)
+        ? encoderConfig.getOutputOptions(settings.crf, settings.preset, threads)
+        : encoderConfig.getOutputOptions(settings.crf);
+
+    await new Promise((resolve, reject) => {
+        let command = ffmpeg(path.resolve(inputPath))
+            .videoCodec(encoderConfig.codec)
+            .addOutputOptions(outputOptions)
+            // Encoders and players need 4:2:0 with even dimensions (GIFs are RGB and often odd-sized)
+            .videoFilters(['scale=trunc(iw/2)*2:trunc(ih/2)*2', 'format=yuv420p'])
+            // Keep each frame's own delay instead of resampling to a constant rate
+            .addOutputOptions(['-fps_mode', 'passthrough', '-an', '-map_metadata', '-1']);
+
+        if (getContainerFamily(outputExt) === 'mp4') {
+            command = command.addOutputOptions(['-movflags', '+faststart']);
+            if (encoderConfig.mp4Tag) command = command.addOutputOptions(['-tag:v', encoderConfig.mp4Tag]);
+        }
+
+        const ffmpegCommand = command
+            .on('start', (cmdLine) => {
+                if (options.verbose) {
+                    console.log('FFmpeg command (animation):', cmdLine);
+                }
+                if (options.onStart) {
+                    options.onStart(ffmpegCommand);
+                }
+            })
+            .on('progress', (progress) => {
+                if (options.onProgress) options.onProgress(progress);
+            })
+            .on('end', () => resolve())
+            .on('error', (err) => reject({
+                input: inputPath,
+                output: outputPath,
+                error: `Animation to video failed: ${err.message}`,
+                success: false
+            }))
+            .save(path.resolve(outputPath));
+    });
+
+    const metadataCheck = await checkOutputMetadata(inputPath, outputPath, metadataPolicy);
+    const compressedSize = getFileSize(outputPath);
+
+    return {
+        input: inputPath,
+        output: outputPath,
+        originalSize,
+        compressedSize,
+        originalSizeFormatted: formatFileSize(originalSize),
+        compressedSizeFormatted: formatFileSize(compressedSize),
+        savings: getCompressionRatio(originalSize, compressedSize) + ` (converted to ${outputExt.slice(1).toUpperCase()})`,
+        encoder: encoderConfig.name,
+        container: outputExt.slice(1),
+        crf: settings.crf,
+        metadata: metadataCheck,
+        success: true
+    };
+}
+
+/**
+ * Measure how densely the source video is already encoded
+ * Bits per pixel per frame = video bitrate / (width * height * fps); re-encoding a modern codec
+ * that is already below its threshold mostly just loses quality.
+ * @param {Object|null} metadata - ffprobe metadata
+ * @param {Object|null} streamInfo - Result of getVideoStreamInfo
+ * @param {number|null} threshold - Bits per pixel override (null = EFFICIENT_BPP for the codec)
+ * @returns {Object|null} - { codec, bitrate, bpp, threshold, efficient } or null if the bitrate is unknown
+ */
+function analyzeEfficiency(metadata, streamInfo, threshold = null) {
+    const stream = (metadata?.streams || []).find(s => s.codec_type === 'video' && !s.disposition?.attached_pic);
+    if (!stream || !streamInfo || !streamInfo.fps) return null;
+
+    // MKV/WebM don't store per-stream bitrates - use the container total minus the audio tracks
+    let bitrate = parseInt(stream.bit_rate, 10) || 0;
+    if (!bitrate) {
+        const duration = getDurationSeconds(metadata);
+        const size = Number(metadata.format?.size) || 0;
+        const total = parseInt(metadata.format?.bit_rate, 10) || (duration && size ? size * 8 / duration : 0);
+        const audio = metadata.streams
+            .filter(s => s.codec_type === 'audio')
+            .reduce((sum, s) => sum + (parseInt(s.bit_rate, 10) || 128000), 0);
+        bitrate = total - audio;
+    }
+    if (bitrate <= 0) return null;
+
+    const codec = stream.codec_name;
+    const bpp = bitrate / (streamInfo.width * streamInfo.height * streamInfo.fps);
+    const limit = threshold ?? EFFICIENT_BPP[codec] ?? null;
+
+    return {
+        codec,
+        bitrate: `${Math.round(bitrate / 1000)}k`,
+        bpp: Math.round(bpp * 1000) / 1000,
+        threshold: limit,
+        efficient: codec in EFFICIENT_BPP && limit !== null && bpp <= limit
+    };
+}
+
+/**
+ * Keep an already efficient source: copy the file untouched, or remux its video stream
+ * A plain copy is only possible when nothing else would change (same container, all
+ * streams kept, audio copied, metadata kept); otherwise the video is stream-copied and audio handled as planned.
+ * @param {string} inputPath - Absolute path to source video
+ * @param {string} outputPath - Absolute path to output video
+ * @param {Object} efficiency - Result of analyzeEfficiency
+ * @param {Object} streamSelection - Result of selectStreams
+ * @param {Object} audioPlan - Result of buildAudioPlan
+ * @param {string[]} metadataOptions - Result of getVideoMetadataOptions
+ * @param {Object} settings - Compression settings (efficient, streams, metadata)
+ * @param {Object} options - compressVideo options (onStart, verbose)
+ * @returns {Promise<string|null>} - 'copy', 'remux', or null if the video can't be kept (encode instead)
+ */
+async function keepEfficientSource(inputPath, outputPath, efficiency, streamSelection, audioPlan, metadataOptions, settings, options = {}) {
+    const outputExt = path.extname(outputPath).toLowerCase();
+    if (!canRemux(efficiency.codec, outputExt)) {
+        if (options.verbose) {
+            console.log(`    ${efficiency.codec} can't be remuxed into ${outputExt}, encoding instead`);
+        }
+        return null;
+    }
+
+    const unchanged = path.extname(inputPath).toLowerCase() === outputExt &&
+        (settings.streams || 'all') === 'all' &&
+        streamSelection.summary.skipped.length === 0 &&
+        audioPlan.tracks.every(t => t.action === 'copy') &&
+        settings.metadata === 'keep';
+
+    if (settings.efficient === 'skip' && unchanged) {
+        fs.copyFileSync(inputPath, outputPath);
+        setFileMetadata(inputPath, outputPath);
+        return 'copy';
+    }
+
+    await remuxVideo(inputPath, outputPath, efficiency.codec, streamSelection, audioPlan, metadataOptions, null, options);
+    return 'remux';
+}
+
+/**
+ * Check the output for location tags; any policy but 'keep' fails (and removes the output) when one is left
+ * @param {string} inputPath - Source video (for the error)
+ * @param {string} outputPath - Written output
+ * @param {string} policy - Metadata policy
+ * @returns {Promise<Object>} - { policy, gps, verified } (gps is null when 'keep' couldn't probe the output)
+ */
+async function checkOutputMetadata(inputPath, outputPath, policy) {
+    let gps;
+    try {
+        gps = findVideoGps(await getVideoInfo(outputPath));
+    } catch (err) {
+        if (policy === 'keep') return { policy, gps: null, verified: false };
+        gps = [`unreadable (${err.message})`];
+    }
+
+    if (gps.length > 0 && policy !== 'keep') {
+        try { fs.unlinkSync(outputPath); } catch { }
+        throw {
+            input: inputPath,
+            output: outputPath,
+            error: `GPS data remains in output under metadata policy "${policy}": ${gps.join(', ')}`,
+            success: false
+        };
+    }
+
+    return { policy, gps: gps.length > 0, verified: policy !== 'keep' };
+}
+
+/**
+ * Check whether a video codec can be stream-copied into the output container
+ * @param {string} codec - ffprobe codec name (e.g. 'hevc')
+ * @param {string} outputExt - Output extension
+ * @returns {boolean}
+ */
+function canRemux(codec, outputExt) {
+    const copyCodecs = VIDEO_COPY_CODECS[getContainerFamily(outputExt)];
+    return Boolean(codec) && (!copyCodecs || copyCodecs.includes(codec));
+}
+
+/**
+ * Copy the video stream into the output container, optionally cut to a trim range
+ * Audio and subtitles follow the stream selection and audio plan like a normal encode.
+ * @param {string} inputPath - Absolute path to source video
+ * @param {string} outputPath - Absolute path to output video
+ * @param {string} codec - Source video codec (HEVC gets the hvc1 tag in MP4)
+ * @param {Object} streamSelection - Result of selectStreams
+ * @param {Object} audioPlan - Result of buildAudioPlan
+ * @param {string[]} metadataOptions - Result of getVideoMetadataOptions
+ * @param {Object|null} trim - Result of resolveTrim
+ * @param {Object} options - compressVideo options (onStart, onProgress, verbose)
+ * @returns {Promise<void>}
+ */
+function remuxVideo(inputPath, outputPath, codec, streamSelection, audioPlan, metadataOptions, trim, options = {}) {
+    const container = getContainerFamily(path.extname(outputPath).toLowerCase());
+
+    return new Promise((resolve, reject) => {
+        let command = ffmpeg(inputPath)
+            .inputOptions(trim ? trim.inputOptions : [])
+            .addOutputOptions(streamSelection.options)
+            .videoCodec('copy')
+            .addOutputOptions(audioPlan.options)
+            .addOutputOptions(metadataOptions);
+
+        if (container === 'mp4') {
+            command = command.addOutputOptions(['-movflags', '+faststart']);
+            // Apple players only recognise HEVC in MP4 with the hvc1 tag
+            if (codec === 'hevc') command = command.addOutputOptions(['-tag:v', 'hvc1']);
+        }
+
+        const ffmpegCommand = command
+            .on('start', (cmdLine) => {
+                if (options.verbose) {
+                    console.log('FFmpeg command (remux):', cmdLine);
+                }
+                if (options.onStart) {
+                    options.onStart(ffmpegCommand);
+                }
+            })
+            .on('progress', (progress) => {
+                if (options.onProgress) options.onProgress(progress);
+            })
+            .on('end', () => resolve())
+            .on('error', (err) => reject({
+                input: inputPath,
+                output: outputPath,
+                error: `Remux failed: ${err.message}`,
+                success: false
+            }))
             .save(outputPath);
     });
 }
 
+/**
+ * Map an output extension to the container family used for codec compatibility
+ * @param {string} outputExt - Output extension (e.g. '.m4v')
+ * @returns {string} - 'mp4', 'webm', or 'mkv'
+ */
+function getContainerFamily(outputExt) {
+    return ['.mp4', '.m4v', '.mov'].includes(outputExt) ? 'mp4' : (outputExt === '.webm' ? 'webm' : 'mkv');
+}
+
+/**
+ * Build -map/-c:s options for the stream policy
+ * Skips streams the output can't carry (data tracks, bitmap subtitles in MP4/WebM) and
+ * converts text subtitles to the container's format (e.g. SRT → mov_text for MP4).
+ * @param {Object|null} metadata - ffprobe metadata (null = first video + first audio)
+ * @param {Object} settings - Compression settings (streams, languages)
+ * @param {string} outputExt - Output extension
+ * @returns {Object} - { options, audioStreams, summary: { audio, subtitles, attachments, chapters, skipped } }
+ */
+function selectStreams(metadata, settings, outputExt) {
+    const summary = { audio: 0, subtitles: 0, attachments: 0, chapters: 0, skipped: [] };
+
+    if (!metadata || !metadata.streams) {
+        return { options: ['-map', '0:v:0', '-map', '0:a:0?'], audioStreams: null, summary: { ...summary, audio: null } };
+    }
+
+    const policy = settings.streams || 'all';
+    const languages = (settings.languages || []).map(l => l.toLowerCase());
+    const container = getContainerFamily(outputExt);
+    const hasCodec = (s) => s.codec_name && s.codec_name !== 'none';
+    const describe = (s, reason) => `#${s.index} ${s.codec_type} (${s.codec_name || s.codec_tag_string || 'none'}): ${reason}`;
+    const matchesLanguage = (s) => languages.includes(String(s.tags?.language || '').toLowerCase());
+
+    const streams = metadata.streams;
+    const video = streams.find(s => s.codec_type === 'video' && !s.disposition?.attached_pic && hasCodec(s));
+    const options = ['-map', video ? `0:${video.index}` : '0:v:0'];
+
+    // Audio: codec 'none' tracks (iPhone) can't be decoded, skip them
+    let audio = streams.filter(s => s.codec_type === 'audio');
+    audio.filter(s => !hasCodec(s)).forEach(s => summary.skipped.push(describe(s, 'no codec')));
+    audio = audio.filter(hasCodec);
+    if (policy === 'first') {
+        audio = audio.slice(0, 1);
+    } else if (policy === 'language') {
+        const matching = audio.filter(matchesLanguage);
+        // Never produce a silent video because no track matched - keep the first one
+        audio = matching.length > 0 ? matching : audio.slice(0, 1);
+    }
+    audio.forEach(s => options.push('-map', `0:${s.index}`));
+    summary.audio = audio.length;
+
+    // Subtitles: convert text formats, drop bitmap formats the container can't hold
+    let subtitles = streams.filter(s => s.codec_type === 'subtitle');
+    if (policy === 'first') subtitles = subtitles.slice(0, 1);
+    else if (policy === 'language') subtitles = subtitles.filter(matchesLanguage);
+
+    subtitles.forEach(s => {
+        const isText = TEXT_SUBTITLE_CODECS.includes(s.codec_name);
+        let target = SUBTITLE_TARGETS[container][isText ? 'text' : 'bitmap'];
+        // MKV can't hold mov_text, turn it back into SRT
+        if (container === 'mkv' && s.codec_name === 'mov_text') target = 'srt';
+
+        if (!hasCodec(s) || !target) {
+            summary.skipped.push(describe(s, `not supported in .${container}`));
+            return;
+        }
+        options.push('-map', `0:${s.index}`, `-c:s:${summary.subtitles}`, target);
+        summary.subtitles++;
+    });
+
+    // Attachments (fonts for ASS subtitles, cover art) only survive in MKV
+    const attachments = policy === 'first' ? [] : streams.filter(s => s.codec_type === 'attachment');
+    if (container === 'mkv') {
+        attachments.forEach(s => options.push('-map', `0:${s.index}`));
+        if (attachments.length > 0) options.push('-c:t', 'copy');
+        summary.attachments = attachments.length;
+    } else {
+        attachments.forEach(s => summary.skipped.push(describe(s, `not supported in .${container}`)));
+    }
+
+    // Data streams (timecode, iPhone metadata tracks) are never written
+    streams.filter(s => s.codec_type === 'data')
+        .forEach(s => summary.skipped.push(describe(s, 'data stream')));
+
+    // Chapters carry over in every container
+    options.push('-map_chapters', '0');
+    summary.chapters = (metadata.chapters || []).length;
+
+    return { options, audioStreams: audio, summary };
+}
+
+/**
+ * Decide per audio track whether to copy or re-encode, and build the matching options
+ * @param {Object[]|null} audioStreams - Selected ffprobe audio streams (null = probe failed)
+ * @param {Object} settings - Compression settings (audioMode, audioBitrate, downmix, normalizeAudio)
+ * @param {string} audioCodec - FFmpeg audio encoder for re-encoded tracks
+ * @param {string} outputExt - Output extension
+ * @returns {Object} - { options, tracks, totalBitrate } (totalBitrate in kbps, for target-size mode)
+ */
+function buildAudioPlan(audioStreams, settings, audioCodec, outputExt) {
+    const mode = settings.audioMode || 'auto';
+    const bitrate = parseInt(settings.audioBitrate, 10) || 128;
+    const container = getContainerFamily(outputExt);
+    const processing = settings.normalizeAudio || settings.downmix;
+
+    // loudnorm works at 192kHz internally, resample back to a normal rate
+    const loudnessFilter = `loudnorm=I=${settings.loudnessTarget ?? -23}:TP=-1:LRA=11,aresample=48000`;
+
+    // Probe failed: one global encode setting for whatever "0:a:0?" matched
+    if (!audioStreams) {
+        const options = ['-c:a', audioCodec, '-b:a', `${bitrate}k`];
+        if (settings.downmix) options.push('-ac', '2');
+        if (settings.normalizeAudio) options.push('-af', loudnessFilter);
+        return { options, tracks: [{ action: 'encode', codec: audioCodec, bitrate: `${bitrate}k` }], totalBitrate: bitrate };
+    }
+
+    const options = [];
+    const tracks = [];
+    let totalBitrate = 0;
+
+    audioStreams.forEach((stream, i) => {
+        const sourceBitrate = Math.round((parseInt(stream.bit_rate, 10) || 0) / 1000) || null;
+        const copyCodecs = AUDIO_COPY_CODECS[container];
+        const canCopy = !copyCodecs || copyCodecs.includes(stream.codec_name);
+        const isEfficient = EFFICIENT_AUDIO_CODECS.includes(stream.codec_name) &&
+            (!sourceBitrate || sourceBitrate <= AUDIO_COPY_MAX_BITRATE);
+
+        // Downmix/normalize need decoded samples, so they always re-encode
+        const copy = !processing && canCopy && (mode === 'copy' || (mode === 'auto' && isEfficient));
+
+        if (copy) {
+            options.push(`-c:a:${i}`, 'copy');
+            tracks.push({ stream: stream.index, action: 'copy', codec: stream.codec_name, bitrate: sourceBitrate ? `${sourceBitrate}k` : null });
+            totalBitrate += sourceBitrate || bitrate;
+            return;
+        }
+
+        options.push(`-c:a:${i}`, audioCodec, `-b:a:${i}`, `${bitrate}k`);
+        const downmixed = Boolean(settings.downmix && stream.channels > 2);
+        if (downmixed) options.push(`-ac:a:${i}`, '2');
+        if (settings.normalizeAudio) options.push(`-filter:a:${i}`, loudnessFilter);
+
+        let reason = mode === 'encode' ? 'requested' : (canCopy ? `${stream.codec_name} re-encoded` : `${stream.codec_name} not allowed in .${container}`);
+        if (processing) reason = [settings.downmix && 'downmix', settings.normalizeAudio && 'loudness'].filter(Boolean).join(' + ');
+
+        tracks.push({
+            stream: stream.index,
+            action: 'encode',
+            codec: audioCodec,
+            bitrate: `${bitrate}k`,
+            from: stream.codec_name,
+            downmixed,
+            normalized: Boolean(settings.normalizeAudio),
+            reason
+        });
+        totalBitrate += bitrate;
+    });
+
+    return { options, tracks, totalBitrate };
+}
+
+/**
+ * Describe audio track decisions on one line (e.g. "copy aac, encode aac 128k (downmix)")
+ * @param {Object[]} tracks - result.audio from compressVideo
+ * @returns {string}
+ */
+function formatAudioSummary(tracks) {
+    if (!tracks || tracks.length === 0) return 'none';
+    return tracks.map(t => {
+        if (t.action === 'copy') return `copy ${t.codec}`;
+        const extras = [t.downmixed && 'stereo', t.normalized && 'R128'].filter(Boolean);
+        return `${t.from || ''}${t.from ? '→' : ''}${t.codec} ${t.bitrate}${extras.length ? ` (${extras.join(', ')})` : ''}`;
+    }).join(', ');
+}
+
+/**
+ * Measure an encode against its source and apply the minimum-score threshold
+ * The source gets the same scale/fps/tone-map filters as the encode so frames line up.
+ * @param {string} inputPath - Absolute path to source video
+ * @param {string} outputPath - Absolute path to encoded video
+ * @param {string[]} videoFilters - Filters used for the encode
+ * @param {Object|null} trim - Result of resolveTrim (the reference is cut the same way)
+ * @param {Object} settings - Compression settings (scoreMetric, minScore)
+ * @param {Object} options - compressVideo options (onStart, verbose)
+ * @returns {Promise<Object>} - { vmaf, ssim, psnr, metric, score, minScore, passed }
+ */
+async function verifyEncode(inputPath, outputPath, videoFilters, trim, settings, options = {}) {
+    const available = await getAvailableMetrics();
+    const requested = settings.scoreMetric || 'vmaf';
+    let metric = requested;
+
+    // libvmaf is an optional FFmpeg build flag - fall back to SSIM (or whatever is there) for the threshold
+    if (!available.includes(metric)) {
+        metric = available.includes('ssim') ? 'ssim' : available[0];
+        if (!metric) {
+            console.log('    ⚠️  Quality check skipped: no ssim, psnr or libvmaf filter in this FFmpeg build');
+            return { metric: requested, score: null, minScore: settings.minScore || null, passed: null, error: 'No quality metric available' };
+        }
+        console.log(`    ⚠️  ${requested.toUpperCase()} not available in this FFmpeg build, using ${metric.toUpperCase()}`);
+    }
+
+    // A threshold given for another metric (e.g. 93 VMAF after falling back to SSIM) makes no sense
+    let minScore = settings.minScore;
+    if (metric !== requested && minScore !== null && minScore !== undefined) {
+        minScore = DEFAULT_MIN_SCORES[metric];
+    }
+
+    try {
+        const scores = await measureQuality(inputPath, outputPath, {
+            metrics: available,
+            referenceFilters: videoFilters,
+            referenceInputOptions: trim ? trim.inputOptions : [],
+            onStart: options.onStart,
+            verbose: options.verbose
+        });
+        return { ...scores, ...evaluateScore(scores, metric, minScore) };
+    } catch (err) {
+        // A failed measurement shouldn't throw away a finished encode
+        console.log(`    ⚠️  Quality check failed to run: ${err.message}`);
+        return { metric, score: null, minScore: minScore || null, passed: null, error: err.message };
+    }
+}
+
+/**
+ * Binary-search the highest CRF whose sample encodes still meet the target score
+ * Samples are short segments spread over the video; the lowest sample score counts,
+ * so one grainy scene can't hide behind easy ones.
+ * @param {string} inputPath - Absolute path to source video
+ * @param {Object} encoderConfig - Encoder configuration from getEncoderConfig
+ * @param {Function} getCrfOptions - crf => output options
+ * @param {string[]} videoFilters - Filters used for the encode
+ * @param {Object} range - { start, duration } of the (trimmed) source in seconds
+ * @param {Object} settings - Compression settings (scoreMetric, targetScore, crf)
+ * @param {Object} options - compressVideo options (onStart, verbose)
+ * @returns {Promise<Object>} - { crf, metric, targetScore, score, samples, tried }
+ */
+async function findOptimalCrf(inputPath, encoderConfig, getCrfOptions, videoFilters, range, settings, options = {}) {
+    const available = await getAvailableMetrics();
+    let metric = settings.scoreMetric || 'vmaf';
+    if (!available.includes(metric)) {
+        metric = available.includes('ssim') ? 'ssim' : available[0];
+    }
+    if (!metric) {
+        throw new Error('Auto CRF needs the ssim, psnr or libvmaf filter in FFmpeg');
+    }
+
+    // A target given for another metric (e.g. 93 VMAF after falling back to SSIM) makes no sense
+    const targetScore = metric === (settings.scoreMetric || 'vmaf') && settings.targetScore
+        ? settings.targetScore
+        : DEFAULT_MIN_SCORES[metric];
+
+    // Short clips are measured whole, longer ones at evenly spaced points
+    const { start: offset, duration } = range;
+    const samples = [];
+    if (!duration || duration <= AUTO_CRF_SAMPLES * AUTO_CRF_SAMPLE_SECONDS * 2) {
+        samples.push({ start: offset, length: duration || AUTO_CRF_SAMPLE_SECONDS });
+    } else {
+        for (let i = 1; i <= AUTO_CRF_SAMPLES; i++) {
+            const start = (duration * i) / (AUTO_CRF_SAMPLES + 1) - AUTO_CRF_SAMPLE_SECONDS / 2;
+            samples.push({ start: offset + Math.max(0, start), length: AUTO_CRF_SAMPLE_SECONDS });
+        }
+    }
+
+    const tmpBase = path.join(os.tmpdir(), `mediasquash-sample-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+    const tried = [];
+
+    // Score one CRF: encode every sample, keep the worst score
+    const scoreCrf = async (crf) => {
+        let worst = Infinity;
+        for (let i = 0; i < samples.length; i++) {
+            const { start, length } = samples[i];
+            const samplePath = `${tmpBase}-${i}.mkv`;
+            const segmentOptions = ['-ss', start.toFixed(3), '-t', length.toFixed(3)];
+            try {
+                await encodeSample(inputPath, samplePath, encoderConfig, getCrfOptions(crf), videoFilters, segmentOptions, options);
+                const scores = await measureQuality(inputPath, samplePath, {
+                    metrics: [metric],
+                    referenceFilters: videoFilters,
+                    referenceInputOptions: segmentOptions,
+                    onStart: options.onStart,
+                    verbose: options.verbose
+                });
+                worst = Math.min(worst, scores[metric] ?? -Infinity);
+            } finally {
+                try { fs.unlinkSync(samplePath); } catch { }
+            }
+        }
+        tried.push({ crf, score: worst });
+        if (options.verbose) {
+            console.log(`    Auto CRF: ${crf} → ${metric.toUpperCase()} ${formatScore(metric, worst)}`);
+        }
+        return worst;
+    };
+
+    const [minCrf, maxCrf] = AUTO_CRF_RANGES[encoderConfig.type] || AUTO_CRF_RANGES.default;
+    let low = minCrf;
+    let high = maxCrf;
+    let best = null;
+
+    while (low <= high) {
+        const mid = Math.floor((low + high) / 2);
+        const score = await scoreCrf(mid);
+        if (score >= targetScore) {
+            best = { crf: mid, score };
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    // Even the lowest CRF missed the target - use it, it's the best we can do
+    if (!best) {
+        const lowest = tried.find(t => t.crf === minCrf);
+        best = { crf: minCrf, score: lowest ? lowest.score : null };
+    }
+
+    return {
+        crf: best.crf,
+        metric,
+        targetScore,
+        score: best.score,
+        met: best.score !== null && best.score >= targetScore,
+        samples: samples.length,
+        tried
+    };
+}
+
+/**
+ * Encode a short segment of the source (video only) for auto-CRF scoring
+ * @param {string} inputPath - Absolute path to source video
+ * @param {string} samplePath - Absolute path for the sample (.mkv accepts every codec)
+ * @param {Object} encoderConfig - Encoder configuration from getEncoderConfig
+ * @param {string[]} outputOptions - Output options for the candidate CRF
+ * @param {string[]} videoFilters - Filters used for the encode
+ * @param {string[]} segmentOptions - Input seek/length options (-ss/-t)
+ * @param {Object} options - compressVideo options (onStart, verbose)
+ * @returns {Promise<void>}
+ */
+function encodeSample(inputPath, samplePath, encoderConfig, outputOptions, videoFilters, segmentOptions, options = {}) {
+    return new Promise((resolve, reject) => {
+        let command = ffmpeg(inputPath)
+            .inputOptions(segmentOptions)
+            .addOutputOptions(['-map', '0:v:0'])
+            .videoCodec(encoderConfig.codec)
+            .addOutputOptions(outputOptions)
+            .noAudio();
+
+        if (videoFilters.length > 0) {
+            command = command.videoFilters(videoFilters);
+        }
+
+        const ffmpegCommand = command
+            .on('start', (cmdLine) => {
+                if (options.verbose) {
+                    console.log('FFmpeg command (sample):', cmdLine);
+                }
+                if (options.onStart) {
+                    options.onStart(ffmpegCommand);
+                }
+            })
+            .on('end', () => resolve())
+            .on('error', (err) => reject(err))
+            .save(samplePath);
+    });
+}
+
+/**
+ * Run the analysis pass of a two-pass encode (video only, output discarded)
+ * @param {string} inputPath - Absolute path to input video
+ * @param {Object} encoderConfig - Encoder configuration from getEncoderConfig
+ * @param {string[]} outputOptions - Bitrate output options shared with the second pass
+ * @param {string[]} videoFilters - Video filters shared with the second pass
+ * @param {string} passLogName - Pass log file name (relative to the FFmpeg cwd)
+ * @param {Object} ffmpegOptions - fluent-ffmpeg constructor options (cwd)
+ * @param {Object|null} trim - Result of resolveTrim (both passes must see the same frames)
+ * @param {Object} options - compressVideo options (onStart, onProgress, verbose)
+ * @returns {Promise<void>}
+ */
+function runFirstPass(inputPath, encoderConfig, outputOptions, videoFilters, passLogName, ffmpegOptions, trim, options = {}) {
+    return new Promise((resolve, reject) => {
+        let command = ffmpeg(inputPath, ffmpegOptions)
+            .inputOptions(trim ? trim.inputOptions : [])
+            .addOutputOptions(['-map', '0:v:0'])
+            .videoCodec(encoderConfig.codec)
+            .addOutputOptions(outputOptions)
+            .addOutputOptions(encoderConfig.getPassOptions(1, passLogName));
+
+        if (videoFilters.length > 0) {
+            command = command.videoFilters(videoFilters);
+        }
+
+        const ffmpegCommand = command
+            .noAudio()
+            .format('null')
+            .on('start', (cmdLine) => {
+                if (options.verbose) {
+                    console.log('FFmpeg command (pass 1):', cmdLine);
+                }
+                if (options.onStart) {
+                    options.onStart(ffmpegCommand);
+                }
+            })
+            .on('progress', (progress) => {
+                if (options.onProgress) {
+                    // First pass covers the lower half of the progress range
+                    options.onProgress({ ...progress, percent: (progress.percent || 0) / 2 });
+                }
+            })
+            .on('end', () => resolve())
+            .on('error', (err) => reject(err))
+            .save(os.devNull);
+    });
+}
+
+/**
+ * Remove two-pass log files (x264 .log/.mbtree, x265 stats/.cutree) from the temp dir
+ * @param {string} passLogName - Pass log file name prefix
+ */
+function cleanupPassLogs(passLogName) {
+    try {
+        const tmpDir = os.tmpdir();
+        fs.readdirSync(tmpDir)
+            .filter(f => f.startsWith(passLogName))
+            .forEach(f => fs.unlinkSync(path.join(tmpDir, f)));
+    } catch {
+        // Leftover logs in the temp dir are harmless
+    }
+}
+
+/**
+ * Calculate the video bitrate needed to land under a target file size
+ * @param {number} targetBytes - Target file size in bytes
+ * @param {number} durationSeconds - Video duration in seconds
+ * @param {number} audioBitrate - Audio bitrate in kbps
+ * @returns {number} - Video bitrate in kbps
+ */
+function calculateTargetBitrate(targetBytes, durationSeconds, audioBitrate = 128) {
+    if (!durationSeconds || durationSeconds <= 0) {
+        throw new Error('Cannot use target size: video duration is unknown');
+    }
+
+    // kbps available for the whole file, minus container overhead and audio
+    const totalBitrate = (targetBytes * 8 / 1000) / durationSeconds * (1 - CONTAINER_OVERHEAD);
+    const videoBitrate = Math.floor(totalBitrate - (audioBitrate || 0));
+
+    if (videoBitrate < MIN_VIDEO_BITRATE) {
+        throw new Error(
+            `Target size too small for a ${durationSeconds.toFixed(1)}s video ` +
+            `(would need ${videoBitrate}k video bitrate, minimum is ${MIN_VIDEO_BITRATE}k)`
+        );
+    }
+
+    return videoBitrate;
+}
+
+/**
+ * Parse an ffprobe frame rate fraction (e.g. "30000/1001")
+ * @param {string} rate - Frame rate string
+ * @returns {number|null} - Frames per second
+ */
+function parseFrameRate(rate) {
+    if (!rate) return null;
+    const [num, den] = String(rate).split('/').map(Number);
+    const fps = den ? num / den : num;
+    return fps > 0 && isFinite(fps) ? fps : null;
+}
+
+/**
+ * Get display dimensions and frame rate of the primary video stream
+ * Width/height are swapped for portrait clips stored landscape with rotation metadata,
+ * matching what FFmpeg outputs after automatic rotation.
+ * @param {Object} metadata - ffprobe metadata
+ * @returns {Object|null} - { width, height, rotation, fps } or null if no video stream
+ */
+function getVideoStreamInfo(metadata) {
+    const stream = (metadata?.streams || []).find(s => s.codec_type === 'video' && !s.disposition?.attached_pic);
+    if (!stream || !stream.width || !stream.height) return null;
+
+    // Older FFmpeg reports rotation as a tag, newer ones in the display matrix side data
+    let rotation = parseInt(stream.tags?.rotate, 10) || 0;
+    const displayMatrix = (stream.side_data_list || []).find(d => d.rotation !== undefined);
+    if (displayMatrix) rotation = parseInt(displayMatrix.rotation, 10) || 0;
+
+    const isSideways = Math.abs(rotation) % 180 === 90;
+
+    // Dolby Vision (iPhone Profile 8.4) rides on an HLG base layer; the RPU can't survive a re-encode
+    const dolbyVision = ['dvh1', 'dvhe', 'dav1'].includes(stream.codec_tag_string) ||
+        (stream.side_data_list || []).some(d => /dovi|dolby vision/i.test(d.side_data_type || ''));
+
+    return {
+        codec: stream.codec_name || null,
+        width: isSideways ? stream.height : stream.width,
+        height: isSideways ? stream.width : stream.height,
+        rotation,
+        fps: parseFrameRate(stream.avg_frame_rate) || parseFrameRate(stream.r_frame_rate),
+        pixFmt: stream.pix_fmt || null,
+        bitDepth: getBitDepth(stream),
+        colorPrimaries: stream.color_primaries || null,
+        colorTransfer: stream.color_transfer || null,
+        colorSpace: stream.color_space || null,
+        hdrFormat: HDR_TRANSFERS[stream.color_transfer] || null,
+        dolbyVision
+    };
+}
+
+/**
+ * Resolve start/end/duration settings into a trim range
+ * @param {Object} settings - Compression settings (start, end, duration, trimMode)
+ * @param {number|null} sourceDuration - Source duration in seconds (null if unknown)
+ * @returns {Object|null} - { start, duration, mode, inputOptions } or null when not trimming
+ */
+function resolveTrim(settings, sourceDuration) {
+    const isSet = (value) => value !== null && value !== undefined && value !== '';
+    if (!isSet(settings.start) && !isSet(settings.end) && !isSet(settings.duration)) return null;
+
+    if (isSet(settings.end) && isSet(settings.duration)) {
+        throw new Error('Use either an end time or a duration for trimming, not both');
+    }
+
+    const start = isSet(settings.start) ? parseTime(settings.start) : 0;
+    const end = isSet(settings.end) ? parseTime(settings.end) : null;
+    const length = isSet(settings.duration) ? parseTime(settings.duration) : null;
+    if (start === null || (isSet(settings.end) && end === null) || (isSet(settings.duration) && !length)) {
+        throw new Error('Invalid trim time (expected seconds or [hh:]mm:ss, e.g. 90 or 1:30)');
+    }
+    if (end !== null && end <= start) {
+        throw new Error(`Trim end (${end}s) must be after start (${start}s)`);
+    }
+    if (sourceDuration && start >= sourceDuration) {
+        throw new Error(`Trim start (${start}s) is past the end of the video (${sourceDuration.toFixed(1)}s)`);
+    }
+
+    let duration = end !== null ? end - start : length;
+    if (sourceDuration) {
+        duration = Math.min(duration ?? Infinity, sourceDuration - start);
+    }
+
+    // -ss/-t on the input: seeking there is fast, -t limits what is read
+    const inputOptions = [];
+    if (start > 0) inputOptions.push('-ss', start.toFixed(3));
+    if (duration) inputOptions.push('-t', duration.toFixed(3));
+
+    return {
+        start,
+        duration: duration || null,
+        mode: settings.trimMode === 'fast' ? 'fast' : 'precise',
+        inputOptions
+    };
+}
+
+/**
+ * Get the bit depth of a video stream
+ * @param {Object} stream - ffprobe stream
+ * @returns {number} - Bits per sample (8 if unknown)
+ */
+function getBitDepth(stream) {
+    const rawBits = parseInt(stream.bits_per_raw_sample, 10);
+    if (rawBits > 0) return rawBits;
+
+    // e.g. yuv420p10le, p010le
+    const match = String(stream.pix_fmt || '').match(/p(\d+)(le|be)$/);
+    return match ? parseInt(match[1], 10) : 8;
+}
+
+/**
+ * Decide how to handle HDR: keep it (10-bit + color tags) or tone-map to SDR
+ * @param {Object|null} streamInfo - Result of getVideoStreamInfo
+ * @param {Object} encoderConfig - Encoder configuration from getEncoderConfig
+ * @param {string} mode - 'auto', 'preserve', or 'tonemap'
+ * @returns {Object} - { mode: 'none'|'preserved'|'tonemapped', note }
+ */
+function resolveHdrPath(streamInfo, encoderConfig, mode = 'auto') {
+    if (!streamInfo || !streamInfo.hdrFormat) {
+        return { mode: 'none', note: null };
+    }
+
+    const source = `${streamInfo.dolbyVision ? 'Dolby Vision/' : ''}${streamInfo.hdrFormat}, ${streamInfo.bitDepth}-bit`;
+
+    if (mode === 'tonemap') {
+        return { mode: 'tonemapped', note: `${source} → SDR BT.709` };
+    }
+
+    // H.264 profiles (and the GPU encoders here) have no 10-bit HDR output
+    if (!encoderConfig.getHighBitDepthOptions) {
+        const reason = mode === 'preserve' ? `, ${encoderConfig.name} cannot keep HDR` : '';
+        return { mode: 'tonemapped', note: `${source} → SDR BT.709${reason}` };
+    }
+
+    const dolbyNote = streamInfo.dolbyVision ? ', Dolby Vision metadata dropped' : '';
+    return { mode: 'preserved', note: `${source} kept${dolbyNote}` };
+}
+
+/**
+ * Build pixel format and color tag options matching the HDR decision
+ * @param {Object|null} streamInfo - Result of getVideoStreamInfo
+ * @param {Object} encoderConfig - Encoder configuration from getEncoderConfig
+ * @param {Object} hdrPath - Result of resolveHdrPath
+ * @returns {string[]} - Output options
+ */
+function getColorOptions(streamInfo, encoderConfig, hdrPath) {
+    if (!streamInfo) return [];
+
+    const isKnown = (value) => value && value !== 'unknown' && value !== 'reserved';
+    const tagOptions = (primaries, transfer, space) => [
+        ...(isKnown(primaries) ? ['-color_primaries', primaries] : []),
+        ...(isKnown(transfer) ? ['-color_trc', transfer] : []),
+        ...(isKnown(space) ? ['-colorspace', space] : [])
+    ];
+
+    if (hdrPath.mode === 'tonemapped') {
+        return tagOptions('bt709', 'bt709', 'bt709');
+    }
+
+    const sourceTags = tagOptions(streamInfo.colorPrimaries, streamInfo.colorTransfer, streamInfo.colorSpace);
+
+    // Keep 10-bit (HDR or high bit depth SDR) when the encoder supports it
+    if (hdrPath.mode === 'preserved' || (streamInfo.bitDepth > 8 && encoderConfig.getHighBitDepthOptions)) {
+        return [...encoderConfig.getHighBitDepthOptions(), ...sourceTags];
+    }
+
+    // 8-bit output: GPU profiles already force yuv420p, software encoders would otherwise
+    // pick a 10-bit profile (e.g. x264 High 10) that many players can't decode
+    const needs8Bit = streamInfo.bitDepth > 8 && SOFTWARE_ENCODERS.includes(encoderConfig.type);
+    return [...(needs8Bit ? ['-pix_fmt yuv420p'] : []), ...sourceTags];
+}
+
+/**
+ * Calculate downscaled dimensions that fit within the given bounds
+ * Never upscales, preserves aspect ratio and rounds to even numbers (required by yuv420p)
+ * @param {number} width - Source display width
+ * @param {number} height - Source display height
+ * @param {number|null} maxWidth - Maximum output width
+ * @param {number|null} maxHeight - Maximum output height
+ * @returns {Object|null} - { width, height } or null if no scaling is needed
+ */
+function calculateOutputDimensions(width, height, maxWidth, maxHeight) {
+    const scale = Math.min(
+        1,
+        maxWidth > 0 ? maxWidth / width : 1,
+        maxHeight > 0 ? maxHeight / height : 1
+    );
+    if (scale >= 1) return null;
+
+    const toEven = (value) => Math.max(2, Math.floor(value / 2) * 2);
+    return {
+        width: toEven(width * scale),
+        height: toEven(height * scale)
+    };
+}
+
+/**
+ * Build scale/fps filters for the resolution and frame-rate caps, plus HDR tone mapping
+ * @param {Object|null} streamInfo - Result of getVideoStreamInfo
+ * @param {Object} settings - Compression settings (maxWidth, maxHeight, maxFps)
+ * @param {boolean} tonemap - Append the HDR → SDR tone mapping chain
+ * @returns {Object} - { filters, width, height, fps }
+ */
+function buildVideoFilters(streamInfo, settings, tonemap = false) {
+    const filters = [];
+    if (!streamInfo) return { filters, width: null, height: null, fps: null };
+
+    let { width, height, fps } = streamInfo;
+
+    const scaled = calculateOutputDimensions(width, height, settings.maxWidth, settings.maxHeight);
+    if (scaled) {
+        filters.push(`scale=${scaled.width}:${scaled.height}`);
+        ({ width, height } = scaled);
+    }
+
+    // Small tolerance so 30000/1001 (29.97) isn't treated as above a 30fps cap
+    if (settings.maxFps > 0 && fps && fps > settings.maxFps + 0.01) {
+        filters.push(`fps=${settings.maxFps}`);
+        fps = settings.maxFps;
+    }
+
+    // Tone map last so it runs on the smaller, downscaled frames
+    if (tonemap) {
+        filters.push(...TONEMAP_FILTERS);
+    }
+
+    return { filters, width, height, fps: fps ? Math.round(fps * 100) / 100 : null };
+}
+
+/**
+ * Get duration in seconds from ffprobe metadata
+ * Falls back to the longest stream when the container has no duration
+ * @param {Object} metadata - ffprobe metadata
+ * @returns {number} - Duration in seconds (0 if unknown)
+ */
+function getDurationSeconds(metadata) {
+    const formatDuration = parseFloat(metadata?.format?.duration);
+    if (formatDuration > 0) return formatDuration;
+
+    const streamDurations = (metadata?.streams || []).map(s => parseFloat(s.duration) || 0);
+    return Math.max(0, ...streamDurations);
+}
+
 /**
  * Get video metadata
  * @param {string} inputPath - Path to video file
@@ -162,7 +1503,18 @@ function isSupportedFormat(filePath) {
 
 module.exports = {
     compressVideo,
+    segmentVideo,
+    convertAnimationToVideo,
     getVideoInfo,
+    getDurationSeconds,
+    calculateTargetBitrate,
+    getVideoStreamInfo,
+    calculateOutputDimensions,
+    resolveHdrPath,
+    resolveTrim,
+    analyzeEfficiency,
+    selectStreams,
+    formatAudioSummary,
     isSupportedFormat,
     detectAvailableEncoders,
     SUPPORTED_EXTENSIONS,
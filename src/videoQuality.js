@@ -0,0 +1,172 @@
+/**
+ * Video Quality Verification Module
+ *
+ * Compares an encode against its source with FFmpeg's full-reference metrics:
+ * - VMAF (libvmaf) - Perceptual score 0-100, ~93+ is visually transparent
+ * - SSIM - Structural similarity 0-1, ~0.98+ is hard to tell apart
+ * - PSNR - Peak signal-to-noise ratio in dB, ~40+ is high quality
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const os = require('os');
+const { execFile } = require('child_process');
+const { getFFmpegPath, getOptimalThreads } = require('./utils');
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(getFFmpegPath());
+
+// Metric name → FFmpeg filter name
+const METRIC_FILTERS = {
+    vmaf: 'libvmaf',
+    ssim: 'ssim',
+    psnr: 'psnr'
+};
+
+// Typical "visually transparent" thresholds per metric
+const DEFAULT_MIN_SCORES = {
+    vmaf: 93,
+    ssim: 0.98,
+    psnr: 40
+};
+
+// Cache for filter availability (libvmaf is an optional FFmpeg build flag)
+let metricsCache = null;
+
+/**
+ * Get the quality metrics supported by the current FFmpeg build
+ * @returns {Promise<string[]>} - Subset of ['vmaf', 'ssim', 'psnr']
+ */
+function getAvailableMetrics() {
+    if (metricsCache) return Promise.resolve(metricsCache);
+
+    return new Promise((resolve) => {
+        execFile(getFFmpegPath(), ['-hide_banner', '-filters'], { timeout: 10000 }, (error, stdout) => {
+            const output = stdout || '';
+            metricsCache = Object.keys(METRIC_FILTERS).filter(metric => {
+                const regex = new RegExp(`\\s${METRIC_FILTERS[metric]}\\s`);
+                return regex.test(output);
+            });
+            resolve(metricsCache);
+        });
+    });
+}
+
+/**
+ * Measure quality of a distorted video against a reference
+ * @param {string} referencePath - Source video
+ * @param {string} distortedPath - Encoded video
+ * @param {Object} options - { metrics, referenceFilters, referenceInputOptions, distortedInputOptions, onStart, verbose }
+ * @returns {Promise<Object>} - { vmaf, ssim, psnr } (null for metrics not measured)
+ */
+function measureQuality(referencePath, distortedPath, options = {}) {
+    const metrics = (options.metrics || ['ssim', 'psnr']).filter(m => METRIC_FILTERS[m]);
+    if (metrics.length === 0) {
+        return Promise.reject(new Error('No quality metrics available'));
+    }
+
+    // Input 0 = distorted, input 1 = reference (libvmaf expects this order)
+    // The reference gets the encode's own filters (scale/fps/tone-map) so both sides match
+    const count = metrics.length;
+    const distortedLabels = metrics.map((m, i) => `[d${i}]`).join('');
+    const referenceLabels = metrics.map((m, i) => `[r${i}]`).join('');
+    const referenceChain = [...(options.referenceFilters || []), 'format=yuv420p', 'setpts=PTS-STARTPTS'].join(',');
+
+    const filterGraph = [
+        `[0:v]format=yuv420p,setpts=PTS-STARTPTS,split=${count}${distortedLabels}`,
+        `[1:v]${referenceChain},split=${count}${referenceLabels}`,
+        ...metrics.map((metric, i) => {
+            const filter = metric === 'vmaf'
+                ? `libvmaf=n_threads=${getOptimalThreads()}`
+                : METRIC_FILTERS[metric];
+            return `[d${i}][r${i}]${filter}`;
+        })
+    ].join(';');
+
+    return new Promise((resolve, reject) => {
+        const scores = { vmaf: null, ssim: null, psnr: null };
+
+        const ffmpegCommand = ffmpeg()
+            .input(distortedPath)
+            .inputOptions(options.distortedInputOptions || [])
+            .input(referencePath)
+            .inputOptions(options.referenceInputOptions || [])
+            .complexFilter(filterGraph)
+            .addOutputOptions(['-an'])
+            .format('null')
+            .on('start', (cmdLine) => {
+                if (options.verbose) {
+                    console.log('FFmpeg command (quality):', cmdLine);
+                }
+                if (options.onStart) {
+                    options.onStart(ffmpegCommand);
+                }
+            })
+            .on('stderr', (line) => {
+                const vmaf = line.match(/VMAF score[:=]\s*([\d.]+)/i);
+                if (vmaf) scores.vmaf = parseFloat(vmaf[1]);
+
+                const ssim = line.match(/SSIM .*All:([\d.]+)/);
+                if (ssim) scores.ssim = parseFloat(ssim[1]);
+
+                // Identical frames report "average:inf"
+                const psnr = line.match(/PSNR .*average:([\d.]+|inf)/);
+                if (psnr) scores.psnr = psnr[1] === 'inf' ? Infinity : parseFloat(psnr[1]);
+            })
+            .on('end', () => resolve(scores))
+            .on('error', (err) => reject(err))
+            .save(os.devNull);
+    });
+}
+
+/**
+ * Check scores against a minimum for one metric
+ * @param {Object} scores - Result of measureQuality
+ * @param {string} metric - 'vmaf', 'ssim', or 'psnr'
+ * @param {number|null} minScore - Threshold (null = report only)
+ * @returns {Object} - { metric, score, minScore, passed } (passed is null without a threshold)
+ */
+function evaluateScore(scores, metric = 'vmaf', minScore = null) {
+    const score = scores[metric] ?? null;
+
+    if (minScore === null || minScore === undefined || score === null) {
+        return { metric, score, minScore: minScore ?? null, passed: null };
+    }
+
+    return { metric, score, minScore, passed: score >= minScore };
+}
+
+/**
+ * Format a score for display
+ * @param {string} metric - 'vmaf', 'ssim', or 'psnr'
+ * @param {number|null} score - Score value
+ * @returns {string}
+ */
+function formatScore(metric, score) {
+    if (score === null || score === undefined) return 'n/a';
+    if (score === Infinity) return '∞';
+    if (metric === 'ssim') return score.toFixed(4);
+    if (metric === 'psnr') return `${score.toFixed(2)} dB`;
+    return score.toFixed(2);
+}
+
+/**
+ * Format all measured scores on one line (e.g. "VMAF 95.12 | SSIM 0.9871 | PSNR 42.10 dB")
+ * @param {Object} quality - Scores object
+ * @returns {string}
+ */
+function formatQualitySummary(quality) {
+    if (!quality) return '';
+    return Object.keys(METRIC_FILTERS)
+        .filter(metric => quality[metric] !== null && quality[metric] !== undefined)
+        .map(metric => `${metric.toUpperCase()} ${formatScore(metric, quality[metric])}`)
+        .join(' | ');
+}
+
+module.exports = {
+    measureQuality,
+    getAvailableMetrics,
+    evaluateScore,
+    formatScore,
+    formatQualitySummary,
+    DEFAULT_MIN_SCORES
+};
@@ -0,0 +1,148 @@
+/**
+ * Folder Watcher Module
+ *
+ * Watches a folder tree for media that arrives while it runs (synced phone uploads, copies from a card)
+ * and hands files over only once they are completely written: a file counts as ready when its size and
+ * modified time have stayed the same for the stable time. Change events come from a recursive fs.watch;
+ * a periodic rescan catches files whose events got lost (network drives, some sync tools).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getFilesRecursive } = require('./utils');
+const { isInDuplicatesFolder } = require('./dedupe');
+
+// How long a file's size must stay the same before it is handed over
+const DEFAULT_STABLE_MS = 3000;
+
+// How often files waiting to become stable are checked
+const CHECK_INTERVAL_MS = 1000;
+
+// Full rescan of the folder, for changes fs.watch didn't report
+const RESCAN_INTERVAL_MS = 30000;
+
+// Hidden files and the partial downloads of browsers and sync tools
+const TEMP_FILE_PATTERN = /^\.|\.(part|partial|tmp|crdownload|download|!sync)$|~$/i;
+
+/**
+ * Size and modified time of a file, or null when it is gone or not a file
+ * @param {string} filePath - File to check
+ * @returns {string|null}
+ */
+function getSignature(filePath) {
+    try {
+        const stat = fs.statSync(filePath);
+        return stat.isFile() ? `${stat.size}:${stat.mtimeMs}` : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Watch a folder recursively for new and changed media
+ * @param {string} inputDir - Folder to watch
+ * @param {Object} options - Watch options
+ * @param {Function} options.onReady - Called with the files that became ready, in batches: (filePaths[])
+ * @param {Function} [options.filter] - Which files to watch: (filePath) → boolean
+ * @param {string[]} [options.ignore] - Folders to leave out, e.g. an output folder inside the input
+ * @param {number} [options.stableTime] - Milliseconds a file's size must stay the same (default: 3000)
+ * @param {boolean} [options.includeExisting] - Hand over the files already there when watching starts (default: true)
+ * @param {Function} [options.onError] - Called when fs.watch fails; the periodic rescan keeps going
+ * @returns {Object} - { close(), pendingCount() }
+ */
+function watchFolder(inputDir, { onReady, filter = () => true, ignore = [], stableTime = DEFAULT_STABLE_MS, includeExisting = true, onError = () => { } }) {
+    const root = path.resolve(inputDir);
+    const ignored = ignore.map(dir => path.resolve(dir));
+    const handedOver = new Map(); // File → signature it was handed over with
+    const pending = new Map(); // File → { signature, since }
+
+    const isIgnored = (filePath) => ignored.some(dir => filePath === dir || filePath.startsWith(dir + path.sep));
+    const isWatched = (filePath) => {
+        if (isIgnored(filePath)) return false;
+        if (isInDuplicatesFolder(path.relative(root, filePath))) return false;
+        return !TEMP_FILE_PATTERN.test(path.basename(filePath)) && filter(filePath);
+    };
+
+    // A changed file (re)starts its wait; a new folder brings its files along
+    const consider = (filePath) => {
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (e) {
+            pending.delete(filePath);
+            return;
+        }
+        if (stat.isDirectory()) {
+            if (!isIgnored(filePath)) getFilesRecursive(filePath, isWatched).forEach(consider);
+            return;
+        }
+        if (!isWatched(filePath)) return;
+
+        const signature = `${stat.size}:${stat.mtimeMs}`;
+        if (handedOver.get(filePath) === signature) return;
+        const waiting = pending.get(filePath);
+        if (!waiting || waiting.signature !== signature) pending.set(filePath, { signature, since: Date.now() });
+    };
+
+    const rescan = () => {
+        try {
+            getFilesRecursive(root, isWatched).forEach(consider);
+        } catch (error) {
+            onError(error);
+        }
+    };
+
+    const checkPending = () => {
+        const ready = [];
+        const now = Date.now();
+        for (const [filePath, waiting] of pending) {
+            const signature = getSignature(filePath);
+            if (!signature) {
+                pending.delete(filePath);
+            } else if (signature !== waiting.signature) {
+                pending.set(filePath, { signature, since: now });
+            } else if (now - waiting.since >= stableTime && !signature.startsWith('0:')) {
+                // Empty files are usually placeholders the sync tool fills in later
+                pending.delete(filePath);
+                handedOver.set(filePath, signature);
+                ready.push(filePath);
+            }
+        }
+        if (ready.length > 0) onReady(ready);
+    };
+
+    if (includeExisting) {
+        rescan();
+    } else {
+        getFilesRecursive(root, isWatched).forEach(filePath => handedOver.set(filePath, getSignature(filePath)));
+    }
+
+    let watcher = null;
+    try {
+        watcher = fs.watch(root, { recursive: true }, (eventType, fileName) => {
+            if (fileName) consider(path.join(root, fileName.toString()));
+        });
+        watcher.on('error', onError);
+    } catch (error) {
+        // No recursive fs.watch here: the rescan alone finds new files
+        onError(error);
+    }
+
+    const checkTimer = setInterval(checkPending, CHECK_INTERVAL_MS);
+    const rescanTimer = setInterval(rescan, RESCAN_INTERVAL_MS);
+
+    return {
+        close: () => {
+            clearInterval(checkTimer);
+            clearInterval(rescanTimer);
+            if (watcher) watcher.close();
+            pending.clear();
+        },
+        pendingCount: () => pending.size
+    };
+}
+
+module.exports = {
+    watchFolder,
+    DEFAULT_STABLE_MS
+};
@@ -0,0 +1,409 @@
+/**
+ * Responsive Web Images Module
+ *
+ * Turns one source image into a responsive image set for websites:
+ * - Every width × format (e.g. AVIF, WebP, JPEG at 320/640/1280/2560) through compressImage
+ * - Placeholders: a BlurHash string and a tiny base64 LQIP (low-quality image placeholder)
+ * - Ready-made srcset strings and <picture> markup
+ * Entries from all images are collected in a JSON manifest.
+ */
+
+const sharp = require('sharp');
+const path = require('path');
+const fs = require('fs');
+const { compressImage, loadSource, loadImage, getOrientedSize, ANIMATED_FORMATS } = require('./imageCompressor');
+const { ensureDirectoryExists } = require('./utils');
+
+// Default widths and formats (browsers take the first <source> type they support, so best first)
+const DEFAULT_WIDTHS = [320, 640, 1280, 2560];
+const DEFAULT_FORMATS = ['avif', 'webp', 'jpeg'];
+
+// Formats that can go in a web image set → MIME type for <source type>
+const WEB_FORMATS = {
+    avif: 'image/avif',
+    webp: 'image/webp',
+    jpeg: 'image/jpeg',
+    png: 'image/png'
+};
+
+// <img src> for browsers without srcset: the largest fallback image up to this width
+const FALLBACK_SRC_WIDTH = 1280;
+
+// BlurHash: components along the longer side (the shorter side gets one less), sample size in pixels
+const BLURHASH_COMPONENTS = 4;
+const BLURHASH_SAMPLE_SIZE = 32;
+const BASE83_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+// LQIP: width and WebP quality of the inline placeholder
+const LQIP_WIDTH = 16;
+const LQIP_QUALITY = 40;
+
+const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * Parse a width list (e.g. "320,640,1280")
+ * @param {string|number[]} value - Comma-separated widths or an array
+ * @returns {number[]} - Unique widths, ascending
+ */
+function parseWidths(value) {
+    if (!value) return DEFAULT_WIDTHS;
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const widths = list.map(w => parseInt(w, 10));
+    if (widths.length === 0 || widths.some(w => !Number.isInteger(w) || w < 1)) {
+        throw new Error(`Invalid widths "${value}" (expected e.g. 320,640,1280)`);
+    }
+    return [...new Set(widths)].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a format list (e.g. "avif,webp,jpg")
+ * @param {string|string[]} value - Comma-separated formats or an array
+ * @returns {string[]} - Formats in the given order (jpg → jpeg)
+ */
+function parseFormats(value) {
+    if (!value) return DEFAULT_FORMATS;
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const formats = list.map(f => f.trim().toLowerCase()).map(f => (f === 'jpg' ? 'jpeg' : f));
+    const invalid = formats.filter(f => !WEB_FORMATS[f]);
+    if (formats.length === 0 || invalid.length > 0) {
+        throw new Error(`Invalid formats "${value}" (expected ${Object.keys(WEB_FORMATS).join(', ')})`);
+    }
+    return [...new Set(formats)];
+}
+
+/**
+ * Keep the formats an animated source can be written in (the others would silently become WebP)
+ * @param {string[]} formats - Requested formats, best first
+ * @param {Object} metadata - Sharp metadata of the source (pages)
+ * @param {string} fileName - Source name for the error message
+ * @returns {string[]} - The formats to generate
+ */
+function selectFormats(formats, metadata, fileName) {
+    if (!metadata.pages || metadata.pages < 2) return formats;
+    const animated = formats.filter(format => ANIMATED_FORMATS.includes(format));
+    if (animated.length === 0) {
+        throw new Error(`"${fileName}" is animated and none of the formats (${formats.join(', ')}) can animate (add webp)`);
+    }
+    return animated;
+}
+
+/**
+ * Format of a written file, from its extension (jpg → jpeg)
+ * @param {string} filePath - Output file
+ * @returns {string}
+ */
+function getFormatOf(filePath) {
+    const ext = path.extname(filePath).toLowerCase().slice(1);
+    return ext === 'jpg' ? 'jpeg' : ext;
+}
+
+/**
+ * Pick the widths to generate for a source (never upscaled; the source width replaces larger ones)
+ * @param {number[]} widths - Requested widths, ascending
+ * @param {number} sourceWidth - Oriented source width
+ * @returns {number[]}
+ */
+function planWidths(widths, sourceWidth) {
+    const planned = widths.filter(w => w < sourceWidth);
+    if (planned.length < widths.length) planned.push(sourceWidth);
+    return planned;
+}
+
+/**
+ * Encode a BlurHash (https://blurha.sh) from RGB pixels
+ * @param {Buffer} pixels - RGB pixels, 3 bytes each
+ * @param {number} width - Pixel width
+ * @param {number} height - Pixel height
+ * @param {number} componentsX - Horizontal components (1-9)
+ * @param {number} componentsY - Vertical components (1-9)
+ * @returns {string}
+ */
+function encodeBlurhash(pixels, width, height, componentsX, componentsY) {
+    const toLinear = (value) => {
+        const v = value / 255;
+        return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    const toSrgb = (value) => {
+        const v = Math.max(0, Math.min(1, value));
+        return v <= 0.0031308 ? Math.round(v * 12.92 * 255 + 0.5) : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+    };
+    const signPow = (value, exp) => Math.sign(value) * Math.pow(Math.abs(value), exp);
+    const encode83 = (value, length) => {
+        let result = '';
+        for (let i = 1; i <= length; i++) {
+            result += BASE83_CHARS[Math.floor(value / Math.pow(83, length - i)) % 83];
+        }
+        return result;
+    };
+
+    // DCT factors: average colour plus cosine components, in linear light
+    const linear = Float64Array.from(pixels, toLinear);
+    const factors = [];
+    for (let j = 0; j < componentsY; j++) {
+        for (let i = 0; i < componentsX; i++) {
+            const normalisation = i === 0 && j === 0 ? 1 : 2;
+            const factor = [0, 0, 0];
+            for (let y = 0; y < height; y++) {
+                const basisY = Math.cos((Math.PI * j * y) / height);
+                for (let x = 0; x < width; x++) {
+                    const basis = normalisation * Math.cos((Math.PI * i * x) / width) * basisY;
+                    const index = (y * width + x) * 3;
+                    factor[0] += basis * linear[index];
+                    factor[1] += basis * linear[index + 1];
+                    factor[2] += basis * linear[index + 2];
+                }
+            }
+            factors.push(factor.map(v => v / (width * height)));
+        }
+    }
+
+    const [dc, ...ac] = factors;
+    let hash = encode83((componentsX - 1) + (componentsY - 1) * 9, 1);
+
+    let maximum = 1;
+    if (ac.length > 0) {
+        const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+        const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)));
+        maximum = (quantisedMaximum + 1) / 166;
+        hash += encode83(quantisedMaximum, 1);
+    } else {
+        hash += encode83(0, 1);
+    }
+
+    hash += encode83((toSrgb(dc[0]) << 16) + (toSrgb(dc[1]) << 8) + toSrgb(dc[2]), 4);
+    for (const factor of ac) {
+        const [r, g, b] = factor.map(v => Math.max(0, Math.min(18, Math.floor(signPow(v / maximum, 0.5) * 9 + 9.5))));
+        hash += encode83(r * 19 * 19 + g * 19 + b, 2);
+    }
+    return hash;
+}
+
+/**
+ * Create the placeholders of an image from one of its (already upright, sRGB) outputs
+ * @param {string} imagePath - Generated image
+ * @returns {Promise<Object>} - { blurhash, lqip } (lqip = data: URI)
+ */
+async function createPlaceholders(imagePath) {
+    // BlurHash has no alpha, transparent areas count as white
+    const { data, info } = await sharp(imagePath)
+        .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: 'inside' })
+        .flatten({ background: '#ffffff' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const landscape = info.width >= info.height;
+    const blurhash = encodeBlurhash(data, info.width, info.height,
+        landscape ? BLURHASH_COMPONENTS : BLURHASH_COMPONENTS - 1,
+        landscape ? BLURHASH_COMPONENTS - 1 : BLURHASH_COMPONENTS);
+
+    const lqip = await sharp(imagePath).resize(LQIP_WIDTH).webp({ quality: LQIP_QUALITY }).toBuffer();
+    return { blurhash, lqip: `data:image/webp;base64,${lqip.toString('base64')}` };
+}
+
+/**
+ * Build a URL for a generated file (relative to the output folder, behind an optional base URL)
+ * Spaces and commas are escaped, a comma would split a srcset entry.
+ * @param {string} filePath - Generated file
+ * @param {string} outputDir - Output folder
+ * @param {string} baseUrl - URL prefix (e.g. "/img/" or a CDN origin)
+ * @returns {string}
+ */
+function toUrl(filePath, outputDir, baseUrl = '') {
+    const relative = path.relative(outputDir, filePath).split(path.sep).join('/');
+    const prefix = baseUrl && !baseUrl.endsWith('/') ? `${baseUrl}/` : baseUrl;
+    return prefix + encodeURI(relative).replace(/,/g, '%2C');
+}
+
+/**
+ * Escape a value for an HTML attribute
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Build the <picture> markup of an image set
+ * Alternative formats become <source> elements; the last format is the <img> fallback.
+ * @param {Object} entry - Manifest entry (images, srcset)
+ * @param {string[]} formats - Formats, best first
+ * @param {string} sizes - sizes attribute (e.g. "100vw")
+ * @returns {string}
+ */
+function buildPictureHtml(entry, formats, sizes) {
+    const fallback = formats[formats.length - 1];
+    const fallbackImages = entry.images.filter(image => image.format === fallback);
+    const src = [...fallbackImages].reverse().find(image => image.width <= FALLBACK_SRC_WIDTH) || fallbackImages[0];
+    const largest = fallbackImages[fallbackImages.length - 1];
+
+    const lines = ['<picture>'];
+    for (const format of formats.slice(0, -1)) {
+        lines.push(`  <source type="${WEB_FORMATS[format]}" srcset="${escapeAttribute(entry.srcset[format])}" sizes="${escapeAttribute(sizes)}">`);
+    }
+    lines.push(`  <img src="${escapeAttribute(src.url)}" srcset="${escapeAttribute(entry.srcset[fallback])}" sizes="${escapeAttribute(sizes)}" ` +
+        `width="${largest.width}" height="${largest.height}" alt="" loading="lazy" decoding="async">`);
+    lines.push('</picture>');
+    return lines.join('\n');
+}
+
+/**
+ * Generate the responsive image set of one image
+ * @param {string} inputPath - Source image
+ * @param {string} outputDir - Folder for this image's files
+ * @param {Object} options - { widths, formats, sizes, baseUrl, manifestDir, quality, metadata, icc, ... compressImage options }
+ * @returns {Promise<Object>} - Manifest entry { width, height, placeholder, images, srcset, html }
+ */
+async function generateWebImages(inputPath, outputDir, options = {}) {
+    const widths = parseWidths(options.widths);
+    const sizes = options.sizes || '100vw';
+    const manifestDir = options.manifestDir || outputDir;
+    const name = path.basename(inputPath, path.extname(inputPath));
+
+    // Only GIF and WebP sources can be animated, the rest skip the extra read
+    const canAnimate = ['.gif', '.webp'].includes(path.extname(inputPath).toLowerCase());
+    const formats = canAnimate
+        ? selectFormats(parseFormats(options.formats), await sharp(inputPath).metadata(), path.basename(inputPath))
+        : parseFormats(options.formats);
+
+    // Web images are public: no metadata unless asked for; animations stay images
+    const imageOptions = {
+        ...options,
+        metadata: options.metadata || 'strip',
+        animation: 'image',
+        fit: 'inside',
+        maxHeight: null,
+        maxMegapixels: null
+    };
+
+    const outputPathFor = (width, format) => getOutputPath(outputDir, name, width, format);
+    ensureDirectoryExists(outputPathFor(0, formats[0]));
+
+    // The largest width first: its result tells the source size, which decides the rest
+    const largest = widths[widths.length - 1];
+    const first = await compressImage(inputPath, outputPathFor(largest, formats[0]), { ...imageOptions, maxWidth: largest });
+    if (!first.originalResolution) {
+        // compressImage copied an unreadable original, that's no web image
+        fs.unlinkSync(first.output);
+        throw new Error(`Unable to read image "${path.basename(inputPath)}"`);
+    }
+    const [sourceWidth, sourceHeight] = first.originalResolution.split('x').map(Number);
+    const planned = planWidths(widths, sourceWidth);
+
+    const images = [];
+    for (const format of formats) {
+        for (const width of planned) {
+            let result;
+            if (format === formats[0] && width === planned[planned.length - 1]) {
+                result = first;
+                // Named after the requested width so far; the source was narrower (the extension stays)
+                if (width !== largest) {
+                    const renamed = outputPathFor(width, getFormatOf(first.output));
+                    fs.renameSync(first.output, renamed);
+                    result = { ...first, output: renamed };
+                }
+            } else {
+                result = await compressImage(inputPath, outputPathFor(width, format), { ...imageOptions, maxWidth: width });
+            }
+
+            const [outputWidth, outputHeight] = result.resolution.split('x').map(Number);
+            // The format actually written, should compressImage have picked another
+            images.push({
+                format: getFormatOf(result.output),
+                width: outputWidth,
+                height: outputHeight,
+                size: result.compressedSize,
+                url: toUrl(result.output, manifestDir, options.baseUrl),
+                path: result.output
+            });
+        }
+    }
+
+    const srcset = {};
+    for (const format of formats) {
+        srcset[format] = images.filter(image => image.format === format).map(image => `${image.url} ${image.width}w`).join(', ');
+    }
+
+    const placeholder = await createPlaceholders(images[0].path);
+    const entry = {
+        source: inputPath,
+        width: sourceWidth,
+        height: sourceHeight,
+        placeholder,
+        images: images.map(({ path: _path, ...image }) => image),
+        srcset,
+        sizes
+    };
+    entry.html = buildPictureHtml(entry, formats, sizes);
+    return entry;
+}
+
+/**
+ * Work out the files generateWebImages would write, without writing any (dry runs)
+ * @param {string} inputPath - Source image
+ * @param {string} outputDir - Folder the files would go in
+ * @param {Object} options - { widths, formats, heicImage }
+ * @returns {Promise<Object>} - { width, height, outputs: [{ format, width, path }] }
+ */
+async function planWebImages(inputPath, outputDir, options = {}) {
+    const widths = parseWidths(options.widths);
+    const name = path.basename(inputPath, path.extname(inputPath));
+
+    const { source } = await loadSource(inputPath, options);
+    const metadata = await loadImage(source).metadata();
+    const { width, height } = getOrientedSize(metadata);
+    const formats = selectFormats(parseFormats(options.formats), metadata, path.basename(inputPath));
+
+    const outputs = [];
+    for (const format of formats) {
+        for (const plannedWidth of planWidths(widths, width)) {
+            outputs.push({ format, width: plannedWidth, path: getOutputPath(outputDir, name, plannedWidth, format) });
+        }
+    }
+    return { width, height, outputs };
+}
+
+/**
+ * Path of one generated file (photo-640.webp)
+ * @param {string} outputDir - Output folder
+ * @param {string} name - Source name without extension
+ * @param {number} width - Requested width
+ * @param {string} format - Output format
+ * @returns {string}
+ */
+function getOutputPath(outputDir, name, width, format) {
+    return path.join(outputDir, `${name}-${width}.${format === 'jpeg' ? 'jpg' : format}`);
+}
+
+/**
+ * Write the manifest of a web image run
+ * @param {string} outputDir - Output folder (the manifest goes in it)
+ * @param {Object[]} entries - Results of generateWebImages
+ * @param {Object} options - { widths, formats, sizes, baseUrl }
+ * @returns {string} - Manifest path
+ */
+function writeManifest(outputDir, entries, options = {}) {
+    const manifestPath = path.join(outputDir, MANIFEST_NAME);
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        widths: parseWidths(options.widths),
+        formats: parseFormats(options.formats),
+        sizes: options.sizes || '100vw',
+        baseUrl: options.baseUrl || '',
+        images: entries
+    };
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    return manifestPath;
+}
+
+module.exports = {
+    generateWebImages,
+    planWebImages,
+    writeManifest,
+    parseWidths,
+    parseFormats,
+    encodeBlurhash,
+    DEFAULT_WIDTHS,
+    DEFAULT_FORMATS,
+    MANIFEST_NAME
+};